@@ -0,0 +1,5 @@
+#!/usr/bin/env node
+// uuid48 command-line entry point; see src/cli.js for commands and options
+import { run } from "../src/cli.js";
+
+process.exitCode = await run(process.argv.slice(2));
@@ -52,6 +52,35 @@ const batch = generator.generateBatch(iterations);
 console.timeEnd("generateBatch(10k)");
 console.log(`Generated ${batch.length} timestamps in batch`);
 
+// Benchmark 5: Bulk generation without per-ID allocation
+console.log("\n📊 Benchmark 5: Bulk Generation (1M timestamps)");
+const bulkCount = 1_000_000;
+// A 16-bit counter keeps up with bulk rates without borrowing future milliseconds
+const bulkGenerator = new TimestampGenerator({ maxSubMs: 65536 });
+
+let elapsed = performance.now();
+for (let i = 0; i < bulkCount; i++) {
+    bulkGenerator.generate("buffer");
+}
+elapsed = performance.now() - elapsed;
+const perIdRate = bulkCount / elapsed;
+console.log(`generate("buffer") x1M:        ${elapsed.toFixed(1)}ms`);
+
+elapsed = performance.now();
+const contiguous = bulkGenerator.generateBatchBuffer(bulkCount);
+elapsed = performance.now() - elapsed;
+const contiguousRate = bulkCount / elapsed;
+console.log(`generateBatchBuffer(1M):       ${elapsed.toFixed(1)}ms (${contiguous.length} bytes)`);
+
+const target = new Uint8Array(6 * 1000);
+elapsed = performance.now();
+for (let i = 0; i < bulkCount / 1000; i++) {
+    bulkGenerator.generateInto(target, 0, 1000);
+}
+elapsed = performance.now() - elapsed;
+console.log(`generateInto(reused, 1000) x1k: ${elapsed.toFixed(1)}ms`);
+console.log(`Contiguous batch speed-up over generate("buffer"): ${(contiguousRate / perIdRate).toFixed(1)}x`);
+
 // Memory usage
 const memUsage = process.memoryUsage();
 console.log("\n💾 Memory Usage:");
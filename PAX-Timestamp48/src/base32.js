@@ -0,0 +1,139 @@
+/**
+ * Crockford Base32 Encoding/Decoding Module
+ *
+ * Implements Crockford's Base32 alphabet as used by ULID. The alphabet is in
+ * ASCII order, so equal-length encodings sort in numeric order. Decoding is
+ * case-insensitive and maps the ambiguous letters I and L to 1 and O to 0.
+ *
+ * @author Pavel Valentov
+ * @license MIT
+ */
+
+import { isBytes, wrapBytes, bytesToHex } from "./bytes.js";
+import { InvalidTimestampError } from "./errors.js";
+
+export const CROCKFORD_ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+
+/**
+ * Normalize a Crockford Base32 string for decoding
+ * @param {string} str - Input string (any case, may contain I/L/O)
+ * @returns {string} Uppercase string with I/L mapped to 1 and O to 0
+ * @throws {Error} If input is not a string
+ */
+export function normalizeBase32(str) {
+    if (typeof str !== "string") {
+        throw new Error("Input must be a string");
+    }
+
+    return str.toUpperCase().replace(/[IL]/g, "1").replace(/O/g, "0");
+}
+
+/**
+ * Encode buffer as fixed-length Crockford Base32 string
+ * The buffer is read as one big-endian integer and left-padded with "0".
+ * @param {Buffer|Uint8Array} buffer - Input bytes to encode
+ * @param {number} length - Number of output characters
+ * @returns {string} Uppercase Crockford Base32 string
+ * @throws {Error} If input is not a Buffer or Uint8Array or does not fit the length
+ */
+export function encodeBase32(buffer, length = Math.ceil(buffer.length * 8 / 5)) {
+    if (!isBytes(buffer)) {
+        throw new Error("Input must be a Buffer or Uint8Array");
+    }
+
+    if (buffer.length * 8 > length * 5) {
+        throw new Error(`${buffer.length}-byte input does not fit ${length} Base32 characters`);
+    }
+
+    let value = buffer.length === 0 ? 0n : BigInt(`0x${bytesToHex(buffer)}`);
+    let result = "";
+    for (let i = 0; i < length; i++) {
+        result = CROCKFORD_ALPHABET[Number(value & 31n)] + result;
+        value >>= 5n;
+    }
+    return result;
+}
+
+/**
+ * Decode Crockford Base32 string into a buffer of the given size
+ * @param {string} str - Base32 string (case-insensitive, I/L/O accepted)
+ * @param {number} byteLength - Number of output bytes
+ * @returns {Buffer|Uint8Array} Decoded big-endian bytes (Buffer where available)
+ * @throws {InvalidTimestampError} If input contains invalid characters or overflows byteLength
+ */
+export function decodeBase32(str, byteLength) {
+    const normalized = normalizeBase32(str);
+
+    if (!/^[0-9A-HJKMNP-TV-Z]*$/.test(normalized)) {
+        throw new InvalidTimestampError("Invalid Base32 string: contains invalid characters", "base32");
+    }
+
+    let value = 0n;
+    for (const char of normalized) {
+        value = (value << 5n) | BigInt(CROCKFORD_ALPHABET.indexOf(char));
+    }
+
+    if (value >> BigInt(byteLength * 8) !== 0n) {
+        throw new InvalidTimestampError(`Invalid Base32 string: value exceeds ${byteLength} bytes`, "base32");
+    }
+
+    const bytes = new Uint8Array(byteLength);
+    for (let i = byteLength - 1; i >= 0; i--) {
+        bytes[i] = Number(value & 0xFFn);
+        value >>= 8n;
+    }
+    return wrapBytes(bytes);
+}
+
+/**
+ * Validate if a string is a 10-character Crockford Base32 timestamp
+ * @param {string} str - String to validate
+ * @returns {boolean} True if valid 10-character Base32 encoding of 6 bytes
+ */
+export function isValidTimestampBase32(str) {
+    if (typeof str !== "string" || str.length !== 10) {
+        return false;
+    }
+
+    try {
+        decodeBase32(str, 6);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Convert 6-byte timestamp buffer to 10-character Crockford Base32 string
+ * @param {Buffer|Uint8Array} timestampBuffer - 6-byte timestamp
+ * @returns {string} 10-character Base32 string (ULID time component)
+ * @throws {Error} If buffer is not 6 bytes
+ */
+export function timestampToBase32(timestampBuffer) {
+    if (!isBytes(timestampBuffer)) {
+        throw new Error("Input must be a Buffer or Uint8Array");
+    }
+
+    if (timestampBuffer.length !== 6) {
+        throw new InvalidTimestampError(
+            `Expected 6-byte timestamp buffer, got ${timestampBuffer.length} bytes`,
+            "buffer"
+        );
+    }
+
+    return encodeBase32(timestampBuffer, 10);
+}
+
+/**
+ * Convert 10-character Crockford Base32 string to 6-byte timestamp buffer
+ * @param {string} base32 - 10-character Base32 string
+ * @returns {Buffer|Uint8Array} 6-byte timestamp (Buffer where available)
+ * @throws {InvalidTimestampError} If string is not a valid 10-character timestamp
+ */
+export function base32ToTimestamp(base32) {
+    if (!isValidTimestampBase32(base32)) {
+        throw new InvalidTimestampError("Invalid timestamp Base32: must be 10 characters encoding 6 bytes", "base32");
+    }
+
+    return decodeBase32(base32, 6);
+}
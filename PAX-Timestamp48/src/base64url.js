@@ -3,37 +3,61 @@
  *
  * Implements RFC 4648 Base64URL encoding without padding for 48-bit timestamps.
  * Provides URL-safe encoding suitable for use in web applications and APIs.
+ * The codec is pure JavaScript over Uint8Array and does not require Node's Buffer.
  *
  * @author Pavel Valentov
  * @license MIT
  */
 
+import { isBytes, wrapBytes } from "./bytes.js";
+import { InvalidTimestampError } from "./errors.js";
+
+/**
+ * Base64URL alphabet (RFC 4648 Section 5)
+ */
+const BASE64URL_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_";
+
+// Reverse lookup: character code to 6-bit value
+const BASE64URL_VALUES = new Map([...BASE64URL_ALPHABET].map((char, i) => [char.charCodeAt(0), i]));
+
 /**
  * Encode buffer to Base64URL format (RFC 4648) without padding
- * @param {Buffer} buffer - Input buffer to encode
+ * @param {Buffer|Uint8Array} buffer - Input bytes to encode
  * @returns {string} Base64URL encoded string without padding
- * @throws {Error} If input is not a Buffer
+ * @throws {Error} If input is not a Buffer or Uint8Array
  */
 export function encodeBase64URL(buffer) {
-    if (!Buffer.isBuffer(buffer)) {
-        throw new Error("Input must be a Buffer");
+    if (!isBytes(buffer)) {
+        throw new Error("Input must be a Buffer or Uint8Array");
+    }
+
+    let result = "";
+    let bits = 0;
+    let value = 0;
+
+    for (let i = 0; i < buffer.length; i++) {
+        value = (value << 8) | buffer[i];
+        bits += 8;
+        while (bits >= 6) {
+            bits -= 6;
+            result += BASE64URL_ALPHABET[(value >> bits) & 0x3F];
+        }
+        value &= (1 << bits) - 1;
     }
 
-    if (buffer.length === 0) {
-        return "";
+    // Remaining bits are left-aligned in the last character
+    if (bits > 0) {
+        result += BASE64URL_ALPHABET[(value << (6 - bits)) & 0x3F];
     }
 
-    return buffer
-        .toString("base64")
-        .replace(/\+/g, "-")     // Replace + with -
-        .replace(/\//g, "_")     // Replace / with _
-        .replace(/=/g, "");      // Remove padding
+    return result;
 }
 
 /**
  * Decode Base64URL string back to buffer
+ * Trailing bits that do not form a whole byte are ignored.
  * @param {string} str - Base64URL string to decode
- * @returns {Buffer} Decoded buffer
+ * @returns {Buffer|Uint8Array} Decoded bytes (Buffer where available)
  * @throws {Error} If input is invalid Base64URL
  */
 export function decodeBase64URL(str) {
@@ -41,28 +65,27 @@ export function decodeBase64URL(str) {
         throw new Error("Input must be a string");
     }
 
-    if (str.length === 0) {
-        return Buffer.alloc(0);
-    }
-
     // Validate Base64URL character set
     if (!/^[A-Za-z0-9_-]*$/.test(str)) {
-        throw new Error("Invalid Base64URL string: contains invalid characters");
+        throw new InvalidTimestampError("Invalid Base64URL string: contains invalid characters", "base64url");
     }
 
-    try {
-        // Add padding back for standard Base64 decoding
-        const padded = str + "=".repeat((4 - str.length % 4) % 4);
-
-        // Convert back to standard Base64
-        const base64 = padded
-            .replace(/-/g, "+")
-            .replace(/_/g, "/");
+    const bytes = new Uint8Array(Math.floor(str.length * 6 / 8));
+    let bits = 0;
+    let value = 0;
+    let offset = 0;
 
-        return Buffer.from(base64, "base64");
-    } catch (error) {
-        throw new Error(`Failed to decode Base64URL string: ${error.message}`);
+    for (let i = 0; i < str.length; i++) {
+        value = (value << 6) | BASE64URL_VALUES.get(str.charCodeAt(i));
+        bits += 6;
+        if (bits >= 8) {
+            bits -= 8;
+            bytes[offset++] = (value >> bits) & 0xFF;
+        }
+        value &= (1 << bits) - 1;
     }
+
+    return wrapBytes(bytes);
 }
 
 /**
@@ -120,17 +143,20 @@ export function isValidTimestampBase64URL(str) {
 /**
  * Convert 6-byte timestamp buffer to Base64URL string
  * Convenience function combining timestamp validation and encoding
- * @param {Buffer} timestampBuffer - 6-byte timestamp buffer
+ * @param {Buffer|Uint8Array} timestampBuffer - 6-byte timestamp
  * @returns {string} 8-character Base64URL string
  * @throws {Error} If buffer is not 6 bytes
  */
 export function timestampToBase64URL(timestampBuffer) {
-    if (!Buffer.isBuffer(timestampBuffer)) {
-        throw new Error("Input must be a Buffer");
+    if (!isBytes(timestampBuffer)) {
+        throw new Error("Input must be a Buffer or Uint8Array");
     }
 
     if (timestampBuffer.length !== 6) {
-        throw new Error(`Expected 6-byte timestamp buffer, got ${timestampBuffer.length} bytes`);
+        throw new InvalidTimestampError(
+            `Expected 6-byte timestamp buffer, got ${timestampBuffer.length} bytes`,
+            "buffer"
+        );
     }
 
     const encoded = encodeBase64URL(timestampBuffer);
@@ -147,13 +173,100 @@ export function timestampToBase64URL(timestampBuffer) {
  * Convert Base64URL string to 6-byte timestamp buffer
  * Convenience function combining validation and decoding
  * @param {string} base64url - 8-character Base64URL string
- * @returns {Buffer} 6-byte timestamp buffer
- * @throws {Error} If string is not valid 8-character Base64URL
+ * @returns {Buffer|Uint8Array} 6-byte timestamp (Buffer where available)
+ * @throws {InvalidTimestampError} If string is not valid 8-character Base64URL
  */
 export function base64URLToTimestamp(base64url) {
     if (!isValidTimestampBase64URL(base64url)) {
-        throw new Error("Invalid timestamp Base64URL: must be 8 characters encoding 6 bytes");
+        throw new InvalidTimestampError(
+            "Invalid timestamp Base64URL: must be 8 characters encoding 6 bytes",
+            "base64url"
+        );
     }
 
     return decodeBase64URL(base64url);
 }
+
+/**
+ * Sortable Base64 alphabet: the same 64 URL-safe characters as Base64URL,
+ * rearranged into ASCII order so that string comparison of equal-length
+ * encodings matches numeric comparison of the encoded bytes.
+ */
+const BASE64SORT_ALPHABET = "-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz";
+
+/**
+ * Translate a string between two 64-character alphabets
+ * @private
+ */
+function translateAlphabet(str, from, to) {
+    let result = "";
+    for (let i = 0; i < str.length; i++) {
+        result += to[from.indexOf(str[i])];
+    }
+    return result;
+}
+
+/**
+ * Encode buffer to sortable Base64 ("base64sort") without padding
+ * @param {Buffer|Uint8Array} buffer - Input bytes to encode
+ * @returns {string} Base64sort encoded string without padding
+ * @throws {Error} If input is not a Buffer or Uint8Array
+ */
+export function encodeBase64Sort(buffer) {
+    return translateAlphabet(encodeBase64URL(buffer), BASE64URL_ALPHABET, BASE64SORT_ALPHABET);
+}
+
+/**
+ * Decode sortable Base64 ("base64sort") string back to buffer
+ * @param {string} str - Base64sort string to decode
+ * @returns {Buffer|Uint8Array} Decoded bytes (Buffer where available)
+ * @throws {Error} If input is invalid
+ */
+export function decodeBase64Sort(str) {
+    if (typeof str !== "string") {
+        throw new Error("Input must be a string");
+    }
+
+    if (!/^[A-Za-z0-9_-]*$/.test(str)) {
+        throw new InvalidTimestampError("Invalid Base64sort string: contains invalid characters", "base64sort");
+    }
+
+    return decodeBase64URL(translateAlphabet(str, BASE64SORT_ALPHABET, BASE64URL_ALPHABET));
+}
+
+/**
+ * Validate if a string is a valid 8-character base64sort timestamp
+ * @param {string} str - String to validate
+ * @returns {boolean} True if valid 8-character base64sort (for 6-byte input)
+ */
+export function isValidTimestampBase64Sort(str) {
+    // Both alphabets share the same character set and 6 bytes map to exactly 8 characters
+    return isValidTimestampBase64URL(str);
+}
+
+/**
+ * Convert 6-byte timestamp buffer to sortable Base64 string
+ * @param {Buffer|Uint8Array} timestampBuffer - 6-byte timestamp
+ * @returns {string} 8-character base64sort string
+ * @throws {Error} If buffer is not 6 bytes
+ */
+export function timestampToBase64Sort(timestampBuffer) {
+    return translateAlphabet(timestampToBase64URL(timestampBuffer), BASE64URL_ALPHABET, BASE64SORT_ALPHABET);
+}
+
+/**
+ * Convert sortable Base64 string to 6-byte timestamp buffer
+ * @param {string} base64sort - 8-character base64sort string
+ * @returns {Buffer|Uint8Array} 6-byte timestamp (Buffer where available)
+ * @throws {InvalidTimestampError} If string is not valid 8-character base64sort
+ */
+export function base64SortToTimestamp(base64sort) {
+    if (!isValidTimestampBase64Sort(base64sort)) {
+        throw new InvalidTimestampError(
+            "Invalid timestamp Base64sort: must be 8 characters encoding 6 bytes",
+            "base64sort"
+        );
+    }
+
+    return decodeBase64Sort(base64sort);
+}
@@ -0,0 +1,155 @@
+/**
+ * Byte Array Helpers
+ *
+ * Runtime-agnostic helpers over Uint8Array, so that the core modules run in
+ * browsers, Deno and edge workers as well as Node.js. Byte results are
+ * returned as Buffer views when Node's Buffer is available (keeping the
+ * Buffer API for existing callers) and as plain Uint8Arrays elsewhere.
+ *
+ * @author Pavel Valentov
+ * @license MIT
+ */
+
+import { webcrypto } from "#runtime";
+
+const HEX_BYTES = Array.from({ length: 256 }, (_, i) => i.toString(16).padStart(2, "0"));
+
+/**
+ * Check if a value is a byte array (Uint8Array, including Node Buffer)
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a Uint8Array
+ */
+export function isBytes(value) {
+    return value instanceof Uint8Array;
+}
+
+/**
+ * Return bytes as Buffer where Node's Buffer exists, otherwise unchanged
+ * @param {Uint8Array} bytes - Byte array
+ * @returns {Buffer|Uint8Array} Buffer view of the same memory, or the input
+ */
+export function wrapBytes(bytes) {
+    const NodeBuffer = globalThis.Buffer;
+    if (NodeBuffer && !NodeBuffer.isBuffer(bytes)) {
+        return NodeBuffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    }
+    return bytes;
+}
+
+/**
+ * Convert bytes to Node Buffer
+ * @param {Uint8Array} bytes - Byte array
+ * @returns {Buffer} Buffer view of the same memory
+ * @throws {Error} If Buffer is not available in this runtime
+ */
+export function toBuffer(bytes) {
+    if (!globalThis.Buffer) {
+        throw new Error("Buffer is not available in this runtime; use a Uint8Array format instead");
+    }
+    return wrapBytes(bytes);
+}
+
+/**
+ * Copy bytes into a plain Uint8Array (never a Buffer)
+ * @param {Uint8Array} bytes - Byte array
+ * @returns {Uint8Array} Independent copy
+ */
+export function toUint8Array(bytes) {
+    return Uint8Array.from(bytes);
+}
+
+/**
+ * Encode bytes as lowercase hex
+ * @param {Uint8Array} bytes - Byte array
+ * @returns {string} Hex string, two characters per byte
+ */
+export function bytesToHex(bytes) {
+    let hex = "";
+    for (let i = 0; i < bytes.length; i++) {
+        hex += HEX_BYTES[bytes[i]];
+    }
+    return hex;
+}
+
+/**
+ * Decode an even-length hex string
+ * @param {string} hex - Hex string (case-insensitive)
+ * @returns {Buffer|Uint8Array} Decoded bytes
+ * @throws {Error} If string is not even-length hex
+ */
+export function hexToBytes(hex) {
+    if (typeof hex !== "string" || hex.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(hex)) {
+        throw new Error("Invalid hex string: expected an even number of hex characters");
+    }
+
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+    }
+    return wrapBytes(bytes);
+}
+
+/**
+ * Generate cryptographically secure random bytes
+ * @param {number} length - Number of bytes
+ * @returns {Buffer|Uint8Array} Random bytes
+ */
+export function randomBytes(length) {
+    return wrapBytes(webcrypto.getRandomValues(new Uint8Array(length)));
+}
+
+/**
+ * Concatenate byte arrays
+ * @param {...Uint8Array} arrays - Byte arrays to join
+ * @returns {Buffer|Uint8Array} Joined bytes
+ */
+export function concatBytes(...arrays) {
+    const bytes = new Uint8Array(arrays.reduce((total, array) => total + array.length, 0));
+    let offset = 0;
+    for (const array of arrays) {
+        bytes.set(array, offset);
+        offset += array.length;
+    }
+    return wrapBytes(bytes);
+}
+
+/**
+ * Check that byteLength bytes can be written to target at offset
+ * @param {Uint8Array} target - Byte array to write into
+ * @param {number} offset - Byte offset of the first write
+ * @param {number} byteLength - Number of bytes to write
+ * @returns {number} Offset just past the written range
+ * @throws {Error} If target is not a byte array or the range does not fit
+ */
+export function checkWriteRange(target, offset, byteLength) {
+    if (!isBytes(target)) {
+        throw new Error("target must be a Buffer or Uint8Array");
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+        throw new Error(`offset must be a non-negative integer, got ${offset}`);
+    }
+
+    const end = offset + byteLength;
+    if (end > target.length) {
+        throw new Error(`target is too small: writing ${byteLength} bytes at offset ${offset} needs ${end}, got ${target.length}`);
+    }
+    return end;
+}
+
+/**
+ * Compare two byte arrays for equal content
+ * @param {Uint8Array} a - First byte array
+ * @param {Uint8Array} b - Second byte array
+ * @returns {boolean} True if both have the same length and bytes
+ */
+export function bytesEqual(a, b) {
+    if (a.length !== b.length) {
+        return false;
+    }
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) {
+            return false;
+        }
+    }
+    return true;
+}
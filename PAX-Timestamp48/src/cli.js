@@ -0,0 +1,273 @@
+/**
+ * uuid48 Command-Line Interface
+ *
+ * Mint, decode, convert and validate IDs from shell scripts:
+ *
+ *   uuid48 generate [count] [--format f] [--epoch e]
+ *   uuid48 decode [ids...] [--format f] [--epoch e]
+ *   uuid48 convert [ids...] --from f --to t
+ *   uuid48 validate [ids...] [--format f] [--epoch e]
+ *
+ * Without ID arguments, IDs are read from stdin one per line. --json prints
+ * one JSON object per line. Exit codes: 0 success, 1 invalid ID, 2 usage error.
+ *
+ * @author Pavel Valentov
+ * @license MIT
+ */
+
+import { parseArgs } from "node:util";
+import { createInterface } from "node:readline";
+import { TimestampGenerator, check, convert, timestampToDate, getTimestampAge } from "./index.js";
+
+// Binary formats cannot be read from or written to a text stream
+const BINARY_FORMATS = ["buffer", "uint8array", "uuid-buffer", "uuid-uint8array"];
+
+// Numeric formats are read and printed as decimal text
+const NUMERIC_FORMATS = ["number", "bigint"];
+
+const USAGE = `Usage: uuid48 <command> [options]
+
+Commands:
+  generate [count]     Generate IDs (default count: 1)
+  decode [ids...]      Print ISO date, milliseconds and age of IDs
+  convert [ids...]     Convert IDs between formats (requires --from and --to)
+  validate [ids...]    Check IDs and print the reason code of invalid ones;
+                       exit code 1 if any is invalid
+
+IDs are read from stdin, one per line, when none are given.
+
+Options:
+  -f, --format <f>     ID format (default: base64url)
+      --from <f>       Input format for convert
+      --to <f>         Output format for convert
+      --epoch <e>      Custom epoch as Unix milliseconds or ISO date
+      --json           Print one JSON object per line
+  -h, --help           Show this help
+`;
+
+const OPTIONS = {
+    format: { type: "string", short: "f", default: "base64url" },
+    from: { type: "string" },
+    to: { type: "string" },
+    epoch: { type: "string" },
+    json: { type: "boolean", default: false },
+    help: { type: "boolean", short: "h", default: false }
+};
+
+/**
+ * Run the CLI
+ * @param {string[]} args - Command-line arguments without node and script path
+ * @param {Object} io - Streams to use (default: process streams)
+ * @param {NodeJS.ReadableStream} io.stdin - Input stream for IDs
+ * @param {NodeJS.WritableStream} io.stdout - Output stream
+ * @param {NodeJS.WritableStream} io.stderr - Error stream
+ * @returns {Promise<number>} Exit code
+ */
+export async function run(args, io = process) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        return usageError(io, error.message);
+    }
+
+    const { values, positionals } = parsed;
+    for (const key of ["format", "from", "to"]) {
+        if (NUMERIC_FORMATS.includes(values[key])) {
+            values[key] = "decimal";
+        }
+    }
+    const [command, ...rest] = positionals;
+
+    if (values.help || command === "help") {
+        io.stdout.write(USAGE);
+        return 0;
+    }
+
+    const output = (text, object) => io.stdout.write(`${values.json ? JSON.stringify(object) : text}\n`);
+
+    try {
+        const epoch = parseEpoch(values.epoch);
+
+        switch (command) {
+            case "generate":
+                return await generateCommand(rest, values, epoch, output);
+            case "decode":
+                return await eachId(rest, io, (id) => decodeCommand(id, values, epoch, output, io));
+            case "convert":
+                return await convertIds(rest, values, output, io);
+            case "validate":
+                return await eachId(rest, io, (id) => validateCommand(id, values, epoch, output));
+            case undefined:
+                return usageError(io, "missing command");
+            default:
+                return usageError(io, `unknown command "${command}"`);
+        }
+    } catch (error) {
+        return usageError(io, error.message);
+    }
+}
+
+/**
+ * Print generated IDs
+ * @private
+ */
+async function generateCommand(rest, values, epoch, output) {
+    const count = rest.length === 0 ? 1 : Number(rest[0]);
+    if (!Number.isInteger(count) || count <= 0 || rest.length > 1) {
+        throw new Error(`count must be a positive integer, got "${rest.join(" ")}"`);
+    }
+    requireTextFormat(values.format);
+
+    const { format } = values;
+    if (format === "ulid" || format.startsWith("uuid")) {
+        // The default "increment" strategy keeps 128-bit IDs distinct through their counter and random bits
+        const generator = new TimestampGenerator({ epoch });
+        for (let i = 0; i < count; i++) {
+            const id = format === "ulid" ? generator.generateULID() : generator.generateUUID(format);
+            output(id, { id, format });
+        }
+        return 0;
+    }
+
+    // 48-bit IDs have no counter bits: "unique" issues each millisecond once,
+    // and generateAsync sleeps instead of spinning once the lookahead is used up
+    const generator = new TimestampGenerator({ waitStrategy: "unique", epoch });
+    for (let i = 0; i < count; i++) {
+        const id = await generator.generateAsync(format);
+        output(id, { id, format });
+    }
+    return 0;
+}
+
+/**
+ * Print date, milliseconds and age of one ID
+ * @private
+ */
+function decodeCommand(id, values, epoch, output, io) {
+    const options = { epoch };
+    let date;
+    try {
+        date = timestampToDate(id, values.format, options);
+    } catch (error) {
+        reportInvalid(id, error.message, values, output, io);
+        return false;
+    }
+
+    const ageMs = getTimestampAge(id, values.format, options);
+    output(
+        `${id}\t${date.toISOString()}\t${date.getTime()}\t${ageMs}ms`,
+        { id, valid: true, date: date.toISOString(), ms: date.getTime(), ageMs }
+    );
+    return true;
+}
+
+/**
+ * Convert IDs read from arguments or stdin
+ * @private
+ */
+async function convertIds(rest, values, output, io) {
+    if (!values.from || !values.to) {
+        throw new Error("convert requires --from and --to");
+    }
+    requireTextFormat(values.from);
+    requireTextFormat(values.to);
+
+    return eachId(rest, io, (id) => {
+        let converted;
+        try {
+            converted = convert(id, values.from, values.to);
+        } catch (error) {
+            reportInvalid(id, error.message, values, output, io);
+            return false;
+        }
+        output(converted, { id, valid: true, converted });
+        return true;
+    });
+}
+
+/**
+ * Print the validation result of one ID
+ * @private
+ */
+function validateCommand(id, values, epoch, output) {
+    const { valid, reason } = check(id, values.format, { epoch });
+    output(valid ? `${id}\tvalid` : `${id}\tinvalid\t${reason}`, { id, valid, reason });
+    return valid;
+}
+
+/**
+ * Report an ID that could not be decoded: JSON mode keeps it in the output
+ * stream so that results stay aligned with input lines
+ * @private
+ */
+function reportInvalid(id, message, values, output, io) {
+    if (values.json) {
+        output("", { id, valid: false, error: message });
+    } else {
+        io.stderr.write(`uuid48: ${id}: ${message}\n`);
+    }
+}
+
+/**
+ * Apply handler to every ID from arguments, or from stdin lines if none
+ * @private
+ * @returns {Promise<number>} 0 if handler succeeded for all IDs, otherwise 1
+ */
+async function eachId(ids, io, handler) {
+    let failed = false;
+
+    if (ids.length > 0) {
+        for (const id of ids) {
+            failed = !handler(id) || failed;
+        }
+    } else {
+        const lines = createInterface({ input: io.stdin, crlfDelay: Infinity });
+        for await (const line of lines) {
+            const id = line.trim();
+            if (id.length > 0) {
+                failed = !handler(id) || failed;
+            }
+        }
+    }
+
+    return failed ? 1 : 0;
+}
+
+/**
+ * Parse --epoch given as Unix milliseconds or ISO date
+ * @private
+ */
+function parseEpoch(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+    if (/^\d+$/.test(value)) {
+        return BigInt(value);
+    }
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`--epoch must be Unix milliseconds or an ISO date, got "${value}"`);
+    }
+    return date;
+}
+
+/**
+ * Reject formats that cannot be printed as text
+ * @private
+ */
+function requireTextFormat(format) {
+    if (BINARY_FORMATS.includes(format)) {
+        throw new Error(`format "${format}" is binary; use a text format such as "hex"`);
+    }
+}
+
+/**
+ * Print a usage error
+ * @private
+ */
+function usageError(io, message) {
+    io.stderr.write(`uuid48: ${message}\n\n${USAGE}`);
+    return 2;
+}
@@ -0,0 +1,202 @@
+/**
+ * Clock Sources Module
+ *
+ * Clock sources for UUID48Timestamp and TimestampGenerator. A clock is a
+ * function (or an object with a now() method) returning Unix milliseconds as
+ * number or bigint. ManualClock lets tests script exact sequences of
+ * wall-clock behavior: forward jumps, backward steps and frozen time.
+ *
+ * Generators may count milliseconds from a custom epoch instead of the Unix
+ * epoch; resolveClock() then returns time relative to that epoch.
+ *
+ * @author Pavel Valentov
+ * @license MIT
+ */
+
+import { ClockSkewError } from "./errors.js";
+
+/**
+ * Default clock: reads Date.now() on every call
+ * @returns {number} Current Unix time in milliseconds
+ */
+export function systemClock() {
+    return Date.now();
+}
+
+/**
+ * Resolve an epoch option into bigint Unix milliseconds
+ * @param {number|bigint|Date} epoch - Epoch as Unix milliseconds or Date (default: 0, the Unix epoch)
+ * @returns {bigint} Epoch in Unix milliseconds
+ * @throws {Error} If epoch is not a non-negative integer or valid Date
+ */
+export function resolveEpoch(epoch = 0n) {
+    const ms = epoch instanceof Date ? epoch.getTime() : epoch;
+
+    if (typeof ms === "bigint") {
+        if (ms < 0n) {
+            throw new Error(`epoch must be non-negative, got ${ms}`);
+        }
+        return ms;
+    }
+
+    if (!Number.isSafeInteger(ms) || ms < 0) {
+        throw new Error(`epoch must be a non-negative integer of milliseconds or a Date, got ${epoch}`);
+    }
+    return BigInt(ms);
+}
+
+/**
+ * Resolve a clock option into a function returning bigint milliseconds
+ * @param {Function|{now: Function}} clock - Clock function or object with now()
+ * @param {bigint} epoch - Unix milliseconds subtracted from every reading (default: 0n)
+ * @returns {Function} Function returning current time as bigint milliseconds since epoch;
+ *   it throws ClockSkewError for readings that are negative or before the epoch
+ * @throws {Error} If clock is neither a function nor an object with now()
+ */
+export function resolveClock(clock = systemClock, epoch = 0n) {
+    const read = clockReader(clock);
+
+    const readUnix = () => {
+        const time = read();
+
+        if (typeof time === "bigint") {
+            if (time < 0n) {
+                throw new ClockSkewError(time, 0n);
+            }
+            return time;
+        }
+
+        if (typeof time !== "number" || !Number.isFinite(time)) {
+            throw new Error(`clock must return non-negative milliseconds as number or bigint, got ${time}`);
+        }
+        if (time < 0) {
+            throw new ClockSkewError(time, 0n);
+        }
+        return BigInt(Math.floor(time));
+    };
+
+    if (epoch === 0n) {
+        return readUnix;
+    }
+
+    return () => {
+        const time = readUnix();
+        if (time < epoch) {
+            throw new ClockSkewError(time, epoch);
+        }
+        return time - epoch;
+    };
+}
+
+/**
+ * Resolve a clock option into a function returning milliseconds as a number
+ * Same readings and errors as resolveClock() without allocating a BigInt per
+ * read; 48-bit timestamps are exactly representable as numbers.
+ * @param {Function|{now: Function}} clock - Clock function or object with now()
+ * @param {bigint} epoch - Unix milliseconds subtracted from every reading (default: 0n)
+ * @returns {Function} Function returning current time as integer milliseconds since epoch;
+ *   it throws ClockSkewError for readings that are negative or before the epoch
+ * @throws {Error} If clock is neither a function nor an object with now()
+ */
+export function resolveClockMs(clock = systemClock, epoch = 0n) {
+    const read = clockReader(clock);
+    const epochMs = Number(epoch);
+
+    return () => {
+        let time = read();
+
+        if (typeof time === "bigint") {
+            if (time < 0n) {
+                throw new ClockSkewError(time, 0n);
+            }
+            time = Number(time);
+        } else if (typeof time !== "number" || !Number.isFinite(time)) {
+            throw new Error(`clock must return non-negative milliseconds as number or bigint, got ${time}`);
+        } else if (time < 0) {
+            throw new ClockSkewError(time, 0n);
+        } else {
+            time = Math.floor(time);
+        }
+
+        if (time < epochMs) {
+            throw new ClockSkewError(time, epoch);
+        }
+        return time - epochMs;
+    };
+}
+
+/**
+ * Internal helper function to turn a clock option into a reading function
+ * @private
+ */
+function clockReader(clock) {
+    if (typeof clock === "function") {
+        return clock;
+    }
+    if (clock && typeof clock.now === "function") {
+        return () => clock.now();
+    }
+    throw new Error("clock must be a function or an object with a now() method");
+}
+
+/**
+ * Manually controlled clock for deterministic tests
+ */
+export class ManualClock {
+    /**
+     * Create a new manual clock
+     * @param {number|bigint|Date} startMs - Initial time in milliseconds (default: 0)
+     * @param {Object} options - Configuration options
+     * @param {number} options.autoAdvanceMs - Advance by this amount after every read (default: 0)
+     */
+    constructor(startMs = 0, options = {}) {
+        this.time = 0;
+        this.autoAdvanceMs = options.autoAdvanceMs || 0;
+        this.set(startMs);
+
+        // Allow passing `clock.now` as a bare function
+        this.now = this.now.bind(this);
+    }
+
+    /**
+     * Read current time
+     * @returns {number} Current time in milliseconds
+     */
+    now() {
+        const time = this.time;
+        this.time += this.autoAdvanceMs;
+        return time;
+    }
+
+    /**
+     * Set current time
+     * @param {number|bigint|Date} ms - New time in milliseconds
+     * @returns {ManualClock} This clock for chaining
+     */
+    set(ms) {
+        const time = ms instanceof Date ? ms.getTime() : Number(ms);
+        if (!Number.isFinite(time)) {
+            throw new Error(`Invalid time: ${ms}`);
+        }
+        this.time = time;
+        return this;
+    }
+
+    /**
+     * Move time forward
+     * @param {number} ms - Milliseconds to advance (default: 1)
+     * @returns {ManualClock} This clock for chaining
+     */
+    advance(ms = 1) {
+        return this.set(this.time + ms);
+    }
+
+    /**
+     * Move time backward, simulating NTP corrections or snapshot restores
+     * @param {number} ms - Milliseconds to rewind (default: 1)
+     * @returns {ManualClock} This clock for chaining
+     */
+    rewind(ms = 1) {
+        return this.set(this.time - ms);
+    }
+}
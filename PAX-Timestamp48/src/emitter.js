@@ -0,0 +1,93 @@
+/**
+ * Minimal Event Emitter
+ *
+ * Dependency-free subset of the Node.js EventEmitter API (on, once, off,
+ * emit) so that generators can publish events without importing node:events.
+ *
+ * @author Pavel Valentov
+ * @license MIT
+ */
+
+export class Emitter {
+    constructor() {
+        this._listeners = new Map();
+    }
+
+    /**
+     * Register a listener
+     * @param {string} event - Event name
+     * @param {Function} listener - Listener called with event details
+     * @returns {Emitter} This emitter for chaining
+     * @throws {Error} If listener is not a function
+     */
+    on(event, listener) {
+        if (typeof listener !== "function") {
+            throw new Error("listener must be a function");
+        }
+
+        if (!this._listeners.has(event)) {
+            this._listeners.set(event, []);
+        }
+        this._listeners.get(event).push(listener);
+        return this;
+    }
+
+    /**
+     * Register a listener that is removed after its first call
+     * @param {string} event - Event name
+     * @param {Function} listener - Listener called with event details
+     * @returns {Emitter} This emitter for chaining
+     */
+    once(event, listener) {
+        const wrapper = (...args) => {
+            this.off(event, wrapper);
+            listener.apply(this, args);
+        };
+        wrapper.listener = listener;
+        return this.on(event, wrapper);
+    }
+
+    /**
+     * Remove a listener
+     * @param {string} event - Event name
+     * @param {Function} listener - Listener to remove
+     * @returns {Emitter} This emitter for chaining
+     */
+    off(event, listener) {
+        const listeners = this._listeners.get(event);
+        if (listeners) {
+            const index = listeners.findIndex((fn) => fn === listener || fn.listener === listener);
+            if (index !== -1) {
+                listeners.splice(index, 1);
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Call all listeners of an event
+     * @param {string} event - Event name
+     * @param {...*} args - Arguments passed to listeners
+     * @returns {boolean} True if the event had listeners
+     */
+    emit(event, ...args) {
+        const listeners = this._listeners.get(event);
+        if (!listeners || listeners.length === 0) {
+            return false;
+        }
+
+        for (const listener of [...listeners]) {
+            listener.apply(this, args);
+        }
+        return true;
+    }
+
+    /**
+     * Count listeners of an event
+     * @param {string} event - Event name
+     * @returns {number} Number of registered listeners
+     */
+    listenerCount(event) {
+        return this._listeners.get(event)?.length || 0;
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * Error Classes
+ *
+ * Errors that callers are expected to handle carry a stable `code` and the
+ * values behind the message, so they can be matched without parsing text.
+ * All of them extend UUID48Error; invalid arguments and options remain plain
+ * Errors, as they indicate a bug in the calling code.
+ *
+ * @author Pavel Valentov
+ * @license MIT
+ */
+
+/**
+ * Base class of all errors with a stable code
+ */
+export class UUID48Error extends Error {
+    /**
+     * @param {string} message - Human-readable description
+     * @param {string} code - Stable machine-readable code
+     * @param {Object} options - Standard error options such as cause
+     */
+    constructor(message, code, options) {
+        super(message, options);
+        this.name = "UUID48Error";
+        this.code = code;
+    }
+}
+
+/**
+ * A timestamp does not fit the bits available for it
+ * Raised for clocks beyond year 8921 and for dates past the 48-bit range.
+ */
+export class TimestampOverflowError extends UUID48Error {
+    /**
+     * @param {bigint} timestamp - Timestamp that does not fit
+     * @param {bigint} maxTimestamp - Largest timestamp that fits
+     * @param {string} message - Description (default: generic overflow message)
+     * @param {Object} options - Standard error options such as cause
+     */
+    constructor(timestamp, maxTimestamp, message, options) {
+        super(
+            message ?? `Timestamp ${timestamp} exceeds the maximum of ${maxTimestamp}`,
+            "TIMESTAMP_OVERFLOW",
+            options
+        );
+        this.name = "TimestampOverflowError";
+        this.timestamp = timestamp;
+        this.maxTimestamp = maxTimestamp;
+    }
+}
+
+/**
+ * A format name is unknown, or the requested conversion between formats is impossible
+ */
+export class InvalidFormatError extends UUID48Error {
+    /**
+     * @param {string} format - Offending format name
+     * @param {string} message - Description (default: "Unsupported format: <format>")
+     */
+    constructor(format, message) {
+        super(message ?? `Unsupported format: ${format}`, "INVALID_FORMAT");
+        this.name = "InvalidFormatError";
+        this.format = format;
+    }
+}
+
+/**
+ * An ID cannot be decoded: wrong type, length, alphabet or layout, or it
+ * decodes to an implausible time under the given epoch
+ */
+export class InvalidTimestampError extends UUID48Error {
+    /**
+     * @param {string} message - Description
+     * @param {string|null} format - Format the ID was decoded as, if known
+     */
+    constructor(message, format = null) {
+        super(message, "INVALID_TIMESTAMP");
+        this.name = "InvalidTimestampError";
+        this.format = format;
+    }
+}
+
+/**
+ * The clock reads a time that cannot be issued: negative or before the epoch
+ */
+export class ClockSkewError extends UUID48Error {
+    /**
+     * @param {number|bigint} time - Clock reading in Unix milliseconds
+     * @param {number|bigint} epoch - Epoch the reading was taken against
+     */
+    constructor(time, epoch) {
+        super(
+            time < 0 ? `clock returned negative time: ${time}` : `clock time ${time} is before epoch ${epoch}`,
+            "CLOCK_SKEW"
+        );
+        this.name = "ClockSkewError";
+        this.time = time;
+        this.epoch = epoch;
+    }
+}
+
+/**
+ * Issuing a timestamp would run further ahead of the clock than maxDriftMs
+ */
+export class ClockDriftError extends UUID48Error {
+    /**
+     * @param {number} leadMs - Lead over the clock the next timestamp would have
+     * @param {number} maxDriftMs - Configured limit
+     */
+    constructor(leadMs, maxDriftMs) {
+        super(
+            `Next timestamp would run ${leadMs}ms ahead of the clock, beyond maxDriftMs (${maxDriftMs}). ` +
+            `Generation is outpacing maxSubMs IDs per millisecond or the clock stepped back.`,
+            "CLOCK_DRIFT"
+        );
+        this.name = "ClockDriftError";
+        this.leadMs = leadMs;
+        this.maxDriftMs = maxDriftMs;
+    }
+}
+
+/**
+ * A ULID generator was asked for more IDs in one millisecond than its
+ * 80 random bits can count up to
+ */
+export class ULIDOverflowError extends UUID48Error {
+    /**
+     * @param {bigint} timestamp - Millisecond whose random component is exhausted
+     */
+    constructor(timestamp) {
+        super(`ULID random component overflow within the same millisecond (${timestamp})`, "ULID_OVERFLOW");
+        this.name = "ULIDOverflowError";
+        this.timestamp = timestamp;
+    }
+}
@@ -0,0 +1,148 @@
+/**
+ * Timestamp Format Registry
+ *
+ * A 48-bit format is a codec between the 6-byte big-endian timestamp and its
+ * representation. Built-in formats are registered here the same way as custom
+ * ones, so that generate, validate, convert, timestampToDate, fromDate and
+ * TimestampGenerator look every 48-bit format up in one place.
+ *
+ * UUIDv7 and ULID formats carry 128 bits and are handled separately; their
+ * names are reserved.
+ *
+ * @author Pavel Valentov
+ * @license MIT
+ */
+
+import { UUID48Timestamp } from "./timestamp.js";
+import { toBuffer, toUint8Array, bytesToHex, hexToBytes } from "./bytes.js";
+import {
+    timestampToBase64URL,
+    base64URLToTimestamp,
+    isValidTimestampBase64URL,
+    timestampToBase64Sort,
+    base64SortToTimestamp,
+    isValidTimestampBase64Sort
+} from "./base64url.js";
+import { timestampToBase32, base32ToTimestamp, isValidTimestampBase32 } from "./base32.js";
+
+// Largest 48-bit timestamp (2^48 - 1)
+const MAX_TIMESTAMP_MS = 0xFFFFFFFFFFFFn;
+
+// Names of the 128-bit formats, which cannot be registered
+const RESERVED_FORMATS = ["uuid", "uuid-base64url", "uuid-hex", "uuid-buffer", "uuid-uint8array", "ulid"];
+
+// Registered codecs by format name, in registration order
+const registry = new Map();
+
+/**
+ * Register a 48-bit timestamp format
+ * Registered formats are accepted wherever a 48-bit format is: generate,
+ * validate, check, convert, timestampToDate, fromDate, parse (with an explicit
+ * format) and TimestampGenerator, including its defaultFormat.
+ * @example
+ * registerFormat("base36", {
+ *     encode: (bytes) => UUID48Timestamp.bufferToTimestamp(bytes).toString(36),
+ *     decode: (value) => UUID48Timestamp.timestampToBuffer(BigInt(parseInt(value, 36))),
+ *     validate: (value) => typeof value === "string" && /^[0-9a-z]{1,10}$/.test(value)
+ * });
+ * @param {string} name - Format name
+ * @param {Object} codec - Format codec
+ * @param {Function} codec.encode - Turns a 6-byte big-endian timestamp into a value of this format
+ * @param {Function} codec.decode - Turns a value that passed validate back into the 6-byte timestamp
+ * @param {Function} codec.validate - Returns true if a value is a well-formed ID of this format
+ * @throws {Error} If the name is taken or reserved, or the codec lacks a function
+ */
+export function registerFormat(name, codec) {
+    if (typeof name !== "string" || name.length === 0) {
+        throw new Error(`Format name must be a non-empty string, got ${name}`);
+    }
+    if (RESERVED_FORMATS.includes(name)) {
+        throw new Error(`Format "${name}" is reserved for 128-bit IDs`);
+    }
+    if (registry.has(name)) {
+        throw new Error(`Format "${name}" is already registered`);
+    }
+    for (const method of ["encode", "decode", "validate"]) {
+        if (typeof codec?.[method] !== "function") {
+            throw new Error(`Format "${name}" needs an ${method} function`);
+        }
+    }
+
+    registry.set(name, { encode: codec.encode, decode: codec.decode, validate: codec.validate });
+}
+
+/**
+ * Look up a registered 48-bit format
+ * @param {string} name - Format name
+ * @returns {{encode: Function, decode: Function, validate: Function}|null} Codec, or null if not registered
+ */
+export function getFormat(name) {
+    return registry.get(name) ?? null;
+}
+
+/**
+ * List registered 48-bit formats, built-in formats first
+ * @returns {string[]} Format names in registration order
+ */
+export function listFormats() {
+    return [...registry.keys()];
+}
+
+registerFormat("base64url", {
+    encode: timestampToBase64URL,
+    decode: base64URLToTimestamp,
+    validate: isValidTimestampBase64URL
+});
+
+registerFormat("base64sort", {
+    encode: timestampToBase64Sort,
+    decode: base64SortToTimestamp,
+    validate: isValidTimestampBase64Sort
+});
+
+registerFormat("base32", {
+    encode: timestampToBase32,
+    decode: base32ToTimestamp,
+    validate: isValidTimestampBase32
+});
+
+registerFormat("hex", {
+    encode: bytesToHex,
+    decode: hexToBytes,
+    validate: (value) => typeof value === "string" && /^[0-9a-fA-F]{12}$/.test(value)
+});
+
+registerFormat("buffer", {
+    encode: toBuffer,
+    decode: (value) => value,
+    validate: (value) => UUID48Timestamp.validateBuffer(value)
+});
+
+registerFormat("uint8array", {
+    encode: toUint8Array,
+    decode: (value) => value,
+    validate: (value) => UUID48Timestamp.validateBuffer(value)
+});
+
+registerFormat("number", {
+    encode: (bytes) => Number(UUID48Timestamp.bufferToTimestamp(bytes)),
+    decode: (value) => UUID48Timestamp.timestampToBuffer(BigInt(value)),
+    validate: (value) => Number.isSafeInteger(value) && value >= 0 && value <= Number(MAX_TIMESTAMP_MS)
+});
+
+registerFormat("bigint", {
+    encode: (bytes) => UUID48Timestamp.bufferToTimestamp(bytes),
+    decode: (value) => UUID48Timestamp.timestampToBuffer(value),
+    validate: (value) => typeof value === "bigint" && value >= 0n && value <= MAX_TIMESTAMP_MS
+});
+
+registerFormat("decimal", {
+    encode: (bytes) => UUID48Timestamp.bufferToTimestamp(bytes).toString(),
+    decode: (value) => UUID48Timestamp.timestampToBuffer(BigInt(value)),
+    // Canonical digits only, so that every value has one spelling
+    validate: (value) => typeof value === "string" && /^(0|[1-9]\d{0,14})$/.test(value) &&
+        BigInt(value) <= MAX_TIMESTAMP_MS
+});
+
+// Formats registered above, whose shape problems check() reports in detail
+export const BUILT_IN_FORMATS = Object.freeze(listFormats());
@@ -0,0 +1,50 @@
+/**
+ * HMAC-SHA256
+ *
+ * Synchronous HMAC for signed tokens and obfuscation, on node:crypto through
+ * the "#runtime" import. Other runtimes load the package as well, but these
+ * functions throw there.
+ *
+ * @author Pavel Valentov
+ * @license MIT
+ */
+
+import { isBytes } from "./bytes.js";
+import { createHmac, timingSafeEqual } from "#runtime";
+
+/**
+ * Compute HMAC-SHA256
+ * @param {string|Uint8Array} key - Non-empty secret
+ * @param {Uint8Array} data - Message
+ * @returns {Buffer} 32-byte digest
+ * @throws {Error} If node:crypto is not available or the key is invalid
+ */
+export function hmacSHA256(key, data) {
+    if (!(typeof key === "string" || isBytes(key)) || key.length === 0) {
+        throw new Error("key must be a non-empty string or Uint8Array");
+    }
+    requireCrypto();
+    return createHmac("sha256", key).update(data).digest();
+}
+
+/**
+ * Compare two byte arrays in constant time
+ * @param {Uint8Array} a - First byte array
+ * @param {Uint8Array} b - Second byte array
+ * @returns {boolean} True if both have the same length and contents
+ * @throws {Error} If node:crypto is not available
+ */
+export function timingSafeEqualBytes(a, b) {
+    requireCrypto();
+    return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * Internal helper function to reject runtimes without node:crypto
+ * @private
+ */
+function requireCrypto() {
+    if (!createHmac) {
+        throw new Error("HMAC requires node:crypto, which is not available in this runtime");
+    }
+}
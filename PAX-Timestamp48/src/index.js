@@ -5,34 +5,99 @@
  * Implements progressive complexity: simple functions for common use cases,
  * advanced class for power users with full configuration options.
  *
+ * Runs on any runtime with Uint8Array and Web Crypto; the "buffer" and
+ * "uuid-buffer" formats require Node's Buffer.
+ *
  * @author Pavel Valentov
  * @license MIT
  */
 
 import { UUID48Timestamp } from "./timestamp.js";
-import { timestampToBase64URL, base64URLToTimestamp, isValidTimestampBase64URL } from "./base64url.js";
+import { ManualClock, resolveEpoch } from "./clock.js";
+import { Emitter } from "./emitter.js";
+import { SharedUUID48Timestamp } from "./shared.js";
+import { SnowflakeGenerator, decodeSnowflake } from "./snowflake.js";
+import {
+    UUID48Error,
+    TimestampOverflowError,
+    InvalidFormatError,
+    InvalidTimestampError,
+    ClockSkewError,
+    ClockDriftError,
+    ULIDOverflowError
+} from "./errors.js";
+import { isValidTimestampBase64URL, encodeBase64URL, decodeBase64URL, isValidBase64URL } from "./base64url.js";
+import {
+    packUUIDv7,
+    isValidUUIDv7Buffer,
+    uuidToString,
+    stringToUUID,
+    isValidUUIDString,
+    uuidToBase64URL,
+    base64URLToUUID,
+    uuidToTimestamp,
+    setUUIDv7Bits
+} from "./uuidv7.js";
+import { isValidTimestampBase32 } from "./base32.js";
+import { ULIDGenerator, encodeULID, decodeULID, isValidULID } from "./ulid.js";
+import { isBytes, wrapBytes, toBuffer, toUint8Array, bytesToHex, hexToBytes } from "./bytes.js";
+import { registerFormat, getFormat, listFormats, BUILT_IN_FORMATS } from "./formats.js";
+import { signTimestamp, verifySignedTimestamp } from "./signing.js";
+import { obfuscateTimestamp, deobfuscateTimestamp } from "./obfuscation.js";
+import { Readable } from "#runtime";
 
 // Default generator instance for convenience functions
 const defaultGenerator = new UUID48Timestamp();
+const defaultULIDGenerator = new ULIDGenerator(defaultGenerator);
+
+// Overflow explanations of the convenience functions and of TimestampGenerator
+const OVERFLOW_MESSAGE = "Timestamp exceeds 48-bit limit. This error indicates system time " +
+    "is beyond year 8921. Check system clock configuration.";
+const GENERATOR_OVERFLOW_MESSAGE = "Timestamp exceeds 48-bit limit. System time is beyond year 8921. " +
+    "Check system clock configuration.";
+
+// Full 128-bit UUIDv7 formats
+const UUID_FORMATS = ["uuid", "uuid-base64url", "uuid-hex", "uuid-buffer", "uuid-uint8array"];
+
+// All 128-bit formats (UUIDv7 and ULID)
+const FULL_ID_FORMATS = [...UUID_FORMATS, "ulid"];
+
+// Decoded times further ahead of now than this indicate the wrong epoch
+const MAX_EPOCH_FUTURE_MS = 24n * 60n * 60n * 1000n;
+
+// Length and alphabet of text formats, for reporting why an ID is malformed;
+// Crockford Base32 also accepts lowercase and the aliases I, L and O
+const BASE64URL_CHARS = /^[A-Za-z0-9_-]*$/;
+const BASE32_CHARS = /^[0-9A-TV-Za-tv-z]*$/;
+const HEX_CHARS = /^[0-9a-fA-F]*$/;
+const TEXT_SHAPES = {
+    base64url: { length: 8, alphabet: BASE64URL_CHARS },
+    base64sort: { length: 8, alphabet: BASE64URL_CHARS },
+    base32: { length: 10, alphabet: BASE32_CHARS },
+    hex: { length: 12, alphabet: HEX_CHARS },
+    uuid: { length: 36, alphabet: /^[0-9a-fA-F-]*$/ },
+    "uuid-base64url": { length: 22, alphabet: BASE64URL_CHARS },
+    "uuid-hex": { length: 32, alphabet: HEX_CHARS },
+    ulid: { length: 26, alphabet: BASE32_CHARS }
+};
+
+// Byte length of binary formats
+const BYTE_LENGTHS = { buffer: 6, uint8array: 6, "uuid-buffer": 16, "uuid-uint8array": 16 };
 
 /**
  * Generate 48-bit timestamp in specified format
- * @param {string} format - Output format: "base64url", "hex", or "buffer"
- * @returns {string|Buffer} Generated timestamp in specified format
- * @throws {Error} If format is unsupported
+ * @param {string} format - Output format: "base64url", "base64sort", "base32", "hex", "buffer", "uint8array",
+ *   "number", "bigint", "decimal" or a format added with registerFormat()
+ * @returns {string|number|bigint|Buffer|Uint8Array} Generated timestamp in specified format
+ * @throws {InvalidFormatError} If format is unsupported
+ * @throws {TimestampOverflowError} If system time is beyond year 8921
  */
 export function generate(format = "base64url") {
     try {
         const buffer = defaultGenerator.generate();
         return formatOutput(buffer, format);
     } catch (error) {
-        if (error.message.includes("48-bit limit")) {
-            throw new Error(
-                `Timestamp exceeds 48-bit limit. This error indicates system time ` +
-                `is beyond year 8921. Check system clock configuration.`
-            );
-        }
-        throw new Error(`Failed to generate timestamp: ${error.message}`);
+        throw generationError(error, "timestamp", OVERFLOW_MESSAGE);
     }
 }
 
@@ -55,39 +120,235 @@ export function generateHex() {
 /**
  * Generate 48-bit timestamp as Buffer
  * @returns {Buffer} 6-byte timestamp buffer
+ * @throws {Error} If Buffer is not available in this runtime
  */
 export function generateBuffer() {
     return generate("buffer");
 }
 
+/**
+ * Generate full 128-bit UUIDv7 in specified format
+ * @param {string} format - Output format: "uuid", "uuid-base64url", "uuid-hex", "uuid-buffer" or "uuid-uint8array"
+ * @returns {string|Buffer|Uint8Array} Generated UUIDv7 in specified format
+ * @throws {InvalidFormatError} If format is unsupported
+ * @throws {TimestampOverflowError} If system time is beyond year 8921
+ */
+export function generateUUIDv7(format = "uuid") {
+    try {
+        const uuid = generateUUIDBuffer(defaultGenerator);
+        return formatUUIDOutput(uuid, format);
+    } catch (error) {
+        throw generationError(error, "UUIDv7", OVERFLOW_MESSAGE);
+    }
+}
+
+/**
+ * Generate monotonic 26-character ULID
+ * @returns {string} ULID in uppercase Crockford Base32
+ */
+export function generateULID() {
+    try {
+        return defaultULIDGenerator.generate();
+    } catch (error) {
+        throw generationError(error, "ULID", OVERFLOW_MESSAGE);
+    }
+}
+
 /**
  * Validate timestamp in specified format
- * @param {string|Buffer} timestamp - Timestamp to validate
- * @param {string} format - Expected format: "base64url", "hex", or "buffer"
+ * Same as check(timestamp, format, options).valid.
+ * @param {string|number|bigint|Buffer|Uint8Array} timestamp - Timestamp or UUIDv7 to validate
+ * @param {string} format - Expected format: "base64url", "base64sort", "base32", "hex", "buffer",
+ *   "uint8array", "number", "bigint", "decimal" (integers 0..2^48-1), "uuid", "uuid-base64url",
+ *   "uuid-hex", "uuid-buffer", "uuid-uint8array", "ulid", or a format added with registerFormat()
+ * @param {Object} options - Validation options
+ * @param {number|bigint|Date} options.epoch - Epoch the timestamp counts from (default: Unix epoch);
+ *   under a custom epoch, timestamps decoding to more than a day in the future are rejected
+ *   as generated under a different epoch
+ * @param {Date|number|bigint|string} options.notBefore - Earliest valid instant, e.g. when the system
+ *   started issuing IDs (default: none)
+ * @param {Date|number|bigint|string} options.notAfter - Latest valid instant (default: none)
+ * @param {number} options.maxFutureSkewMs - How far ahead of now a timestamp may be (default: unlimited)
  * @returns {boolean} True if valid timestamp in specified format
+ * @throws {Error} If an option is invalid
+ */
+export function validate(timestamp, format = "base64url", options = {}) {
+    return check(timestamp, format, options).valid;
+}
+
+/**
+ * Validate an ID and report why it is invalid
+ * Shape problems are checked first, then the decoded time. Reason codes:
+ *   UNSUPPORTED_FORMAT  format is not a known format
+ *   BAD_TYPE            wrong JavaScript type for the format, e.g. a number for "hex"
+ *   BAD_LENGTH          wrong number of characters or bytes
+ *   BAD_ALPHABET        characters outside the format's alphabet
+ *   NON_CANONICAL       "decimal" with leading zeros
+ *   OUT_OF_RANGE        value does not fit the format's bits, e.g. a number above 2^48-1
+ *   BAD_VERSION         UUID version is not 7
+ *   BAD_VARIANT         UUID variant is not the RFC 9562 variant (10)
+ *   MALFORMED           any other shape problem, e.g. misplaced UUID hyphens
+ *   WRONG_EPOCH         under a custom epoch, decodes to more than a day in the future
+ *   BEFORE_EPOCH        earlier than options.notBefore
+ *   AFTER_CUTOFF        later than options.notAfter
+ *   IN_FUTURE           further ahead of now than options.maxFutureSkewMs
+ * @param {string|number|bigint|Buffer|Uint8Array} id - ID to check
+ * @param {string} format - Expected format, any format supported by validate (default: "base64url")
+ * @param {Object} options - Same options as validate
+ * @returns {{valid: boolean, reason: string|null, message: string|null, timestamp: number|null}}
+ *   Result; timestamp is the decoded Unix milliseconds once the shape is valid
+ * @throws {Error} If an option is invalid
+ */
+export function check(id, format = "base64url", options = {}) {
+    const epoch = resolveEpoch(options.epoch);
+    const { notBefore, notAfter, maxFutureSkewMs } = resolveTimeBounds(options);
+
+    const shapeProblem = checkShape(id, format);
+    if (shapeProblem) {
+        return { valid: false, reason: shapeProblem[0], message: shapeProblem[1], timestamp: null };
+    }
+
+    const timestampMs = decodeTimestampMs(id, format, epoch);
+    const invalid = (reason, message) => ({ valid: false, reason, message, timestamp: Number(timestampMs) });
+
+    if (epoch !== 0n && !isPlausibleForEpoch(timestampMs)) {
+        return invalid(
+            "WRONG_EPOCH",
+            `Timestamp decodes to ${timestampMs}ms, more than a day in the future; ` +
+            `it was probably generated with a different epoch than ${epoch}`
+        );
+    }
+    if (notBefore !== null && timestampMs < notBefore) {
+        return invalid("BEFORE_EPOCH", `Timestamp ${timestampMs}ms is before notBefore (${notBefore}ms)`);
+    }
+    if (notAfter !== null && timestampMs > notAfter) {
+        return invalid("AFTER_CUTOFF", `Timestamp ${timestampMs}ms is after notAfter (${notAfter}ms)`);
+    }
+    if (maxFutureSkewMs !== null) {
+        const aheadMs = timestampMs - BigInt(Date.now());
+        if (aheadMs > maxFutureSkewMs) {
+            return invalid(
+                "IN_FUTURE",
+                `Timestamp is ${aheadMs}ms in the future, more than maxFutureSkewMs (${maxFutureSkewMs})`
+            );
+        }
+    }
+
+    return { valid: true, reason: null, message: null, timestamp: Number(timestampMs) };
+}
+
+/**
+ * Internal helper function to read the time bounds of validate and check
+ * @private
+ */
+function resolveTimeBounds(options) {
+    const { maxFutureSkewMs = null } = options;
+    if (maxFutureSkewMs !== null && (!Number.isInteger(maxFutureSkewMs) || maxFutureSkewMs < 0)) {
+        throw new Error(`maxFutureSkewMs must be a non-negative integer, got ${maxFutureSkewMs}`);
+    }
+
+    return {
+        notBefore: options.notBefore == null ? null : dateToUnixMs(options.notBefore),
+        notAfter: options.notAfter == null ? null : dateToUnixMs(options.notAfter),
+        maxFutureSkewMs: maxFutureSkewMs === null ? null : BigInt(maxFutureSkewMs)
+    };
+}
+
+/**
+ * Internal helper function to find the first shape problem of an ID
+ * @private
+ * @returns {[string, string]|null} Reason code and message, or null if well-formed
  */
-export function validate(timestamp, format = "base64url") {
+function checkShape(id, format) {
+    if (!getFormat(format) && !FULL_ID_FORMATS.includes(format)) {
+        return ["UNSUPPORTED_FORMAT", `Unsupported format: ${format}`];
+    }
+    if (!BUILT_IN_FORMATS.includes(format) && !FULL_ID_FORMATS.includes(format)) {
+        // Custom formats only tell whether a value is valid, not why not
+        return isWellFormed(id, format) ? null : ["MALFORMED", `Invalid ID for format "${format}"`];
+    }
+
+    const type = id === null ? "null" : typeof id;
+    if (format in BYTE_LENGTHS) {
+        if (!isBytes(id)) {
+            return ["BAD_TYPE", `Format "${format}" expects a Buffer or Uint8Array, got ${type}`];
+        }
+        if (id.length !== BYTE_LENGTHS[format]) {
+            return ["BAD_LENGTH", `Format "${format}" expects ${BYTE_LENGTHS[format]} bytes, got ${id.length}`];
+        }
+    } else if (format === "number" || format === "bigint") {
+        if (type !== format) {
+            return ["BAD_TYPE", `Format "${format}" expects a ${format}, got ${type}`];
+        }
+    } else if (type !== "string") {
+        return ["BAD_TYPE", `Format "${format}" expects a string, got ${type}`];
+    } else if (format === "decimal") {
+        if (!/^\d+$/.test(id)) {
+            return ["BAD_ALPHABET", "Decimal timestamp must contain only digits"];
+        }
+        if (id.length > 1 && id[0] === "0") {
+            return ["NON_CANONICAL", "Decimal timestamp must not have leading zeros"];
+        }
+    } else {
+        const { length, alphabet } = TEXT_SHAPES[format];
+        if (id.length !== length) {
+            return ["BAD_LENGTH", `Format "${format}" expects ${length} characters, got ${id.length}`];
+        }
+        if (!alphabet.test(id)) {
+            return ["BAD_ALPHABET", `Format "${format}" contains characters outside its alphabet`];
+        }
+    }
+
+    if (isWellFormed(id, format)) {
+        return null;
+    }
+
+    if (["number", "bigint", "decimal", "base32", "ulid"].includes(format)) {
+        return ["OUT_OF_RANGE", `Value does not fit the ${format === "ulid" ? 128 : 48} bits of format "${format}"`];
+    }
+    if (UUID_FORMATS.includes(format)) {
+        let bytes;
+        try {
+            bytes = parseUUIDInput(id, format);
+        } catch (error) {
+            return ["MALFORMED", error.message];
+        }
+        if (bytes[6] >> 4 !== 7) {
+            return ["BAD_VERSION", `Version is ${bytes[6] >> 4}, expected 7`];
+        }
+        if (variantName(bytes[8]) !== "rfc9562") {
+            return ["BAD_VARIANT", `Variant is ${variantName(bytes[8])}, expected rfc9562`];
+        }
+    }
+    return ["MALFORMED", `Invalid ID for format "${format}"`];
+}
+
+/**
+ * Internal helper function to check the shape of an ID in a given format
+ * @private
+ */
+function isWellFormed(timestamp, format) {
     if (timestamp == null) {
         return false;
     }
 
     try {
+        const codec = getFormat(format);
+        if (codec) {
+            return codec.validate(timestamp) === true;
+        }
+
         switch (format) {
-            case "base64url":
-                return isValidTimestampBase64URL(timestamp);
-            case "hex":
-                if (typeof timestamp !== "string") return false;
-                if (!/^[0-9a-fA-F]{12}$/.test(timestamp)) return false;
-                // Additional validation: try to parse as buffer
-                Buffer.from(timestamp, "hex");
-                return true;
-            case "buffer":
-                return UUID48Timestamp.validateBuffer(timestamp);
+            case "uuid":
+            case "uuid-base64url":
+            case "uuid-hex":
+            case "uuid-buffer":
+            case "uuid-uint8array":
+                return isValidUUIDv7Buffer(parseUUIDInput(timestamp, format));
+            case "ulid":
+                return isValidULID(timestamp);
             default:
-                throw new Error(
-                    `Invalid format "${format}". Supported formats: ` +
-                    `"base64url", "hex", "buffer"`
-                );
+                return false;
         }
     } catch (error) {
         return false;
@@ -97,69 +358,288 @@ export function validate(timestamp, format = "base64url") {
 /**
  * Advanced timestamp generator class with full configuration options
  */
-export class TimestampGenerator {
+export class TimestampGenerator extends Emitter {
     /**
      * Create a new configurable timestamp generator
      * @param {Object} options - Configuration options
      * @param {number} options.maxSubMs - Maximum sub-millisecond counter (1-65536, default: 4096)
-     * @param {string} options.waitStrategy - Overflow strategy: "increment" or "wait" (default: "increment")
-     * @param {string} options.defaultFormat - Default output format (default: "base64url")
+     * @param {string} options.waitStrategy - Overflow strategy: "increment", "wait" or "unique" (default: "increment")
+     * @param {number} options.maxLookaheadMs - Maximum lead over system time in "unique" mode (default: 1000)
+     * @param {number} options.maxDriftMs - Maximum lead over system time in any mode (default: unlimited)
+     * @param {string} options.driftPolicy - Beyond maxDriftMs: "throw", "block" or "wait" (default: "throw")
+     * @param {Function|{now: Function}} options.clock - Time source returning ms as number or bigint (default: Date.now)
+     * @param {{load: Function, update: Function}} options.stateStore - Persistent high-water mark store, e.g. FileStateStore
+     * @param {number|bigint|Date} options.epoch - Epoch the 48-bit timestamps count from (default: 0, the Unix epoch)
+     * @param {string} options.defaultFormat - Default output format, any 48-bit format including registered ones
+     *   (default: "base64url")
+     * @param {UUID48Timestamp|SharedUUID48Timestamp} options.algorithm - Existing timestamp source to use
+     *   instead of a new UUID48Timestamp, e.g. one shared across worker threads (algorithm options are ignored)
+     *
+     * Emits "clockBackward", "counterOverflow", "driftAhead" and "wait" events
+     * with a details object when the algorithm reports them (UUID48Timestamp only).
      */
     constructor(options = {}) {
-        this.algorithm = new UUID48Timestamp({
+        super();
+
+        this.algorithm = options.algorithm || new UUID48Timestamp({
             maxSubMs: options.maxSubMs || 4096,
-            waitStrategy: options.waitStrategy || "increment"
+            waitStrategy: options.waitStrategy || "increment",
+            maxLookaheadMs: options.maxLookaheadMs,
+            maxDriftMs: options.maxDriftMs,
+            driftPolicy: options.driftPolicy,
+            clock: options.clock,
+            stateStore: options.stateStore,
+            epoch: options.epoch
         });
+        this.epoch = this.algorithm.epoch ?? 0n;
         this.defaultFormat = options.defaultFormat || "base64url";
 
         // Validate defaultFormat
-        if (!["base64url", "hex", "buffer"].includes(this.defaultFormat)) {
-            throw new Error(
-                `Invalid defaultFormat "${this.defaultFormat}". ` +
-                `Supported: "base64url", "hex", "buffer"`
+        if (!getFormat(this.defaultFormat)) {
+            throw new InvalidFormatError(
+                this.defaultFormat,
+                `Invalid defaultFormat "${this.defaultFormat}". Supported: ${quoteFormats()}`
             );
         }
+
+        this.ulidGenerator = new ULIDGenerator(this.algorithm);
+
+        // Forward algorithm events, keeping any hook installed by the caller
+        if ("onEvent" in this.algorithm) {
+            const hook = this.algorithm.onEvent;
+            this.algorithm.onEvent = (name, details) => {
+                if (hook) {
+                    hook(name, details);
+                }
+                this.emit(name, details);
+            };
+        }
     }
 
     /**
      * Generate timestamp in default or specified format
      * @param {string} format - Output format (optional, uses defaultFormat if not specified)
-     * @returns {string|Buffer} Generated timestamp
+     * @returns {string|number|bigint|Buffer|Uint8Array} Generated timestamp
      */
     generate(format = this.defaultFormat) {
         try {
             const buffer = this.algorithm.generate();
             return formatOutput(buffer, format);
         } catch (error) {
-            if (error.message.includes("48-bit limit")) {
-                throw new Error(
-                    `Timestamp exceeds 48-bit limit. System time is beyond year 8921. ` +
-                    `Check system clock configuration.`
-                );
+            throw generationError(error, "timestamp");
+        }
+    }
+
+    /**
+     * Generate multiple timestamps efficiently
+     * @param {number} count - Number of timestamps to generate
+     * @param {string} format - Output format (optional, uses defaultFormat if not specified)
+     * @returns {Array<string|Buffer|Uint8Array>} Array of generated timestamps
+     * @throws {Error} If count is not a positive integer or format is not supported
+     */
+    generateBatch(count, format = this.defaultFormat) {
+        if (!Number.isInteger(count) || count <= 0) {
+            throw new Error("Count must be a positive integer");
+        }
+
+        // Reject the format before any monotonic state is used up
+        const codec = resolveCodec(format);
+        const bytes = new Uint8Array(count * 6);
+        this.generateInto(bytes, 0, count);
+
+        const results = new Array(count);
+        try {
+            for (let i = 0; i < count; i++) {
+                // A copy per ID, so that keeping one does not retain the whole batch
+                results[i] = codec.encode(bytes.slice(i * 6, i * 6 + 6));
+            }
+        } catch (error) {
+            if (error instanceof UUID48Error) {
+                throw error;
             }
             throw new Error(`Failed to generate timestamp: ${error.message}`);
         }
+        return results;
     }
 
     /**
-     * Generate multiple timestamps efficiently
+     * Generate timestamps into one contiguous buffer, timestamp i at byte i * 6
+     * Avoids a separate allocation per ID, e.g. for bulk imports.
      * @param {number} count - Number of timestamps to generate
+     * @returns {Buffer|Uint8Array} count * 6 bytes (Buffer where available)
+     * @throws {Error} If count is not a positive integer
+     */
+    generateBatchBuffer(count) {
+        if (!Number.isInteger(count) || count <= 0) {
+            throw new Error("Count must be a positive integer");
+        }
+
+        const bytes = new Uint8Array(count * 6);
+        this.generateInto(bytes, 0, count);
+        return wrapBytes(bytes);
+    }
+
+    /**
+     * Write timestamps directly into a caller-supplied buffer
+     * @param {Buffer|Uint8Array} target - Buffer to write into
+     * @param {number} offset - Byte offset of the first timestamp (default: 0)
+     * @param {number} count - Number of consecutive 6-byte timestamps to write (default: 1)
+     * @returns {number} Offset just past the last written timestamp
+     * @throws {TimestampOverflowError} If timestamp exceeds 48-bit limit
+     * @throws {Error} If target is too small
+     */
+    generateInto(target, offset = 0, count = 1) {
+        try {
+            return this.algorithm.generateInto(target, offset, count);
+        } catch (error) {
+            throw generationError(error, "timestamp");
+        }
+    }
+
+    /**
+     * Generate timestamp without blocking the event loop
+     * When the counter is exhausted, yields until the next millisecond instead
+     * of busy-waiting. Shares monotonic state with generate().
      * @param {string} format - Output format (optional, uses defaultFormat if not specified)
-     * @returns {Array<string|Buffer>} Array of generated timestamps
+     * @returns {Promise<string|Buffer>} Generated timestamp
+     */
+    async generateAsync(format = this.defaultFormat) {
+        try {
+            const buffer = await this.algorithm.generateAsync();
+            return formatOutput(buffer, format);
+        } catch (error) {
+            throw generationError(error, "timestamp");
+        }
+    }
+
+    /**
+     * Generate multiple timestamps without blocking the event loop
+     * @param {number} count - Number of timestamps to generate
+     * @param {string} format - Output format (optional, uses defaultFormat if not specified)
+     * @returns {Promise<Array<string|Buffer|Uint8Array>>} Array of generated timestamps
      * @throws {Error} If count is not a positive integer
      */
-    generateBatch(count, format = this.defaultFormat) {
+    async generateBatchAsync(count, format = this.defaultFormat) {
+        if (!Number.isInteger(count) || count <= 0) {
+            throw new Error("Count must be a positive integer");
+        }
+
+        const results = [];
+        for (let i = 0; i < count; i++) {
+            results.push(await this.generateAsync(format));
+        }
+        return results;
+    }
+
+    /**
+     * Stream timestamps as an object-mode Readable
+     * Timestamps are generated only as the consumer reads, so a slow consumer
+     * holds generation back instead of filling memory. Shares monotonic state
+     * with generate().
+     * @param {Object} options - Stream options
+     * @param {number} options.count - Number of timestamps before the stream ends (default: unlimited)
+     * @param {string} options.format - Output format (optional, uses defaultFormat if not specified)
+     * @param {number} options.highWaterMark - Timestamps buffered ahead of the consumer (default: 16)
+     * @returns {Readable} Readable stream of timestamps
+     * @throws {Error} If count or format is invalid, or node:stream is not available
+     */
+    stream(options = {}) {
+        if (!Readable) {
+            throw new Error("Streams require node:stream; iterate the generator with for await instead");
+        }
+        return Readable.from(this[Symbol.asyncIterator](options), { highWaterMark: options.highWaterMark });
+    }
+
+    /**
+     * Iterate over timestamps; endless unless options.count is given
+     * @example
+     * for (const id of generator[Symbol.iterator]({ count: 3 })) { ... }
+     * @param {Object} options - Iteration options
+     * @param {number} options.count - Number of timestamps to yield (default: unlimited)
+     * @param {string} options.format - Output format (optional, uses defaultFormat if not specified)
+     * @returns {Generator<string|Buffer|Uint8Array>} Iterator sharing monotonic state with generate()
+     * @throws {Error} If count or format is invalid
+     */
+    [Symbol.iterator](options = {}) {
+        const { count, format } = resolveIterationOptions(options, this.defaultFormat);
+        return this._iterate(count, format);
+    }
+
+    /**
+     * Iterate over timestamps without blocking the event loop
+     * Supports `for await (const id of generator)`; endless unless options.count is given.
+     * @param {Object} options - Iteration options
+     * @param {number} options.count - Number of timestamps to yield (default: unlimited)
+     * @param {string} options.format - Output format (optional, uses defaultFormat if not specified)
+     * @returns {AsyncGenerator<string|Buffer|Uint8Array>} Iterator sharing monotonic state with generateAsync()
+     * @throws {Error} If count or format is invalid
+     */
+    [Symbol.asyncIterator](options = {}) {
+        const { count, format } = resolveIterationOptions(options, this.defaultFormat);
+        return this._iterateAsync(count, format);
+    }
+
+    /**
+     * Generate full 128-bit UUIDv7 using this generator's monotonic state
+     * @param {string} format - Output format (default: "uuid")
+     * @returns {string|Buffer|Uint8Array} Generated UUIDv7
+     * @throws {InvalidFormatError} If the generator uses a custom epoch
+     */
+    generateUUID(format = "uuid") {
+        try {
+            this._requireUnixEpoch(format);
+            const uuid = generateUUIDBuffer(this.algorithm);
+            return formatUUIDOutput(uuid, format);
+        } catch (error) {
+            throw generationError(error, "UUIDv7");
+        }
+    }
+
+    /**
+     * Generate multiple UUIDv7 values in strictly increasing order
+     * @param {number} count - Number of UUIDs to generate
+     * @param {string} format - Output format (default: "uuid")
+     * @returns {Array<string|Buffer|Uint8Array>} Array of generated UUIDs
+     * @throws {Error} If count is not a positive integer
+     */
+    generateUUIDBatch(count, format = "uuid") {
         if (!Number.isInteger(count) || count <= 0) {
             throw new Error("Count must be a positive integer");
         }
 
         const results = [];
         for (let i = 0; i < count; i++) {
-            results.push(this.generate(format));
+            results.push(this.generateUUID(format));
         }
         return results;
     }
 
+    /**
+     * Generate monotonic ULID using this generator's timestamp state
+     * @returns {string} 26-character ULID
+     * @throws {InvalidFormatError} If the generator uses a custom epoch
+     */
+    generateULID() {
+        try {
+            this._requireUnixEpoch("ulid");
+            return this.ulidGenerator.generate();
+        } catch (error) {
+            throw generationError(error, "ULID");
+        }
+    }
+
+    /**
+     * Get runtime statistics of the underlying algorithm
+     * @returns {Object} Generated count, event counters, maximum backward skew and current lead in ms
+     * @throws {Error} If the algorithm does not collect statistics
+     */
+    getStats() {
+        if (typeof this.algorithm.getStats !== "function") {
+            throw new Error("Statistics are not available for this algorithm");
+        }
+        return this.algorithm.getStats();
+    }
+
     /**
      * Get current generator configuration
      * @returns {Object} Current configuration
@@ -173,45 +653,128 @@ export class TimestampGenerator {
 
     /**
      * Validate timestamp using this generators default format
-     * @param {string|Buffer} timestamp - Timestamp to validate
+     * @param {string|number|bigint|Buffer|Uint8Array} timestamp - Timestamp to validate
      * @param {string} format - Format to validate against (optional, uses defaultFormat)
+     * @param {Object} options - notBefore, notAfter and maxFutureSkewMs as for validate()
      * @returns {boolean} True if valid
      */
-    validate(timestamp, format = this.defaultFormat) {
-        return validate(timestamp, format);
+    validate(timestamp, format = this.defaultFormat, options = {}) {
+        return validate(timestamp, format, { ...options, epoch: this.epoch });
+    }
+
+    /**
+     * Validate an ID using this generator's epoch and report why it is invalid
+     * @param {string|number|bigint|Buffer|Uint8Array} id - ID to check
+     * @param {string} format - Expected format (optional, uses defaultFormat)
+     * @param {Object} options - notBefore, notAfter and maxFutureSkewMs as for validate()
+     * @returns {{valid: boolean, reason: string|null, message: string|null, timestamp: number|null}} Result
+     */
+    check(id, format = this.defaultFormat, options = {}) {
+        return check(id, format, { ...options, epoch: this.epoch });
+    }
+
+    /**
+     * Convert timestamp to Date using this generator's epoch
+     * @param {string|number|bigint|Buffer|Uint8Array} timestamp - Timestamp in any supported format
+     * @param {string} format - Format of the timestamp (optional, uses defaultFormat)
+     * @returns {Date} JavaScript Date object
+     * @throws {InvalidTimestampError} If timestamp is invalid or was generated under a different epoch
+     */
+    timestampToDate(timestamp, format = this.defaultFormat) {
+        return timestampToDate(timestamp, format, { epoch: this.epoch });
+    }
+
+    /**
+     * Build the smallest or largest ID for an instant using this generator's epoch
+     * @param {Date|number|bigint|string} date - Instant as Date, Unix milliseconds or ISO string
+     * @param {string} format - Output format (optional, uses defaultFormat)
+     * @param {Object} options - Bound options
+     * @param {string} options.bound - "lower" or "upper" (default: "lower")
+     * @returns {string|number|bigint|Buffer|Uint8Array} ID in the requested format
+     */
+    fromDate(date, format = this.defaultFormat, options = {}) {
+        return fromDate(date, format, { ...options, epoch: this.epoch });
+    }
+
+    /**
+     * Build inclusive ID bounds for a time range using this generator's epoch
+     * @param {Date|number|bigint|string} start - First instant of the range
+     * @param {Date|number|bigint|string} end - Last instant of the range
+     * @param {string} format - Output format (optional, uses defaultFormat)
+     * @returns {{lower: string|Buffer|Uint8Array, upper: string|Buffer|Uint8Array}} Inclusive bounds
+     */
+    boundsForRange(start, end, format = this.defaultFormat) {
+        return boundsForRange(start, end, format, { epoch: this.epoch });
+    }
+
+    /**
+     * @private
+     */
+    *_iterate(count, format) {
+        for (let i = 0; i < count; i++) {
+            yield this.generate(format);
+        }
+    }
+
+    /**
+     * @private
+     */
+    async *_iterateAsync(count, format) {
+        for (let i = 0; i < count; i++) {
+            yield await this.generateAsync(format);
+        }
+    }
+
+    /**
+     * UUIDv7 (RFC 9562) and ULID define their timestamps as Unix milliseconds
+     * @private
+     */
+    _requireUnixEpoch(format) {
+        if (this.epoch !== 0n) {
+            throw new InvalidFormatError(
+                format,
+                "UUIDv7 and ULID require the Unix epoch, but this generator uses a custom epoch"
+            );
+        }
     }
 }
 
 /**
  * Convert timestamp between formats
- * @param {string|Buffer} timestamp - Input timestamp
+ * @param {string|number|bigint|Buffer|Uint8Array} timestamp - Input timestamp
  * @param {string} fromFormat - Current format of timestamp
  * @param {string} toFormat - Desired output format
- * @returns {string|Buffer} Converted timestamp
- * @throws {Error} If conversion fails or formats are invalid
+ * @returns {string|number|bigint|Buffer|Uint8Array} Converted timestamp
+ * @throws {InvalidTimestampError} If timestamp is invalid for fromFormat
+ * @throws {InvalidFormatError} If a format is unsupported or 48-bit input is converted to a 128-bit format
  */
 export function convert(timestamp, fromFormat, toFormat) {
     // Validate input format
     if (!validate(timestamp, fromFormat)) {
-        throw new Error(`Invalid timestamp for format "${fromFormat}"`);
+        throw new InvalidTimestampError(`Invalid timestamp for format "${fromFormat}"`, fromFormat);
     }
 
-    // Convert to buffer first (common intermediate format)
-    let buffer;
-    switch (fromFormat) {
-        case "buffer":
-            buffer = timestamp;
-            break;
-        case "hex":
-            buffer = Buffer.from(timestamp, "hex");
-            break;
-        case "base64url":
-            buffer = base64URLToTimestamp(timestamp);
-            break;
-        default:
-            throw new Error(`Unsupported source format: ${fromFormat}`);
+    // 128-bit formats convert among themselves, keeping the random bits
+    if (FULL_ID_FORMATS.includes(toFormat)) {
+        if (!FULL_ID_FORMATS.includes(fromFormat)) {
+            throw new InvalidFormatError(
+                toFormat,
+                `Cannot convert 48-bit "${fromFormat}" timestamp to "${toFormat}": ` +
+                `128-bit IDs require counter and random bits`
+            );
+        }
+
+        let id = parseUUIDInput(timestamp, fromFormat);
+        if (fromFormat === "ulid" && toFormat !== "ulid") {
+            // ULIDs have no version/variant bits; UUIDv7 overwrites 6 random bits
+            id = setUUIDv7Bits(id);
+        }
+        return formatUUIDOutput(id, toFormat);
     }
 
+    // Convert to buffer first (common intermediate format)
+    const buffer = parseTimestampInput(timestamp, fromFormat);
+
     // Convert from buffer to target format
     return formatOutput(buffer, toFormat);
 }
@@ -222,93 +785,653 @@ export function convert(timestamp, fromFormat, toFormat) {
 
 /**
  * Convert timestamp to Date object
- * @param {string|Buffer} timestamp - Timestamp in any supported format
+ * @param {string|number|bigint|Buffer|Uint8Array} timestamp - Timestamp in any supported format
  * @param {string} format - Format of the timestamp (default: "base64url")
+ * @param {Object} options - Decoding options
+ * @param {number|bigint|Date} options.epoch - Epoch the timestamp counts from (default: Unix epoch)
  * @returns {Date} JavaScript Date object
- * @throws {Error} If timestamp is invalid
+ * @throws {InvalidTimestampError} If timestamp is invalid or decodes to more than a day in the future under a custom epoch
  */
-export function timestampToDate(timestamp, format = "base64url") {
-    if (!validate(timestamp, format)) {
-        throw new Error(`Invalid timestamp for format "${format}"`);
-    }
+export function timestampToDate(timestamp, format = "base64url", options = {}) {
+    const epoch = resolveEpoch(options.epoch);
 
-    let buffer;
-    switch (format) {
-        case "buffer":
-            buffer = timestamp;
-            break;
-        case "hex":
-            buffer = Buffer.from(timestamp, "hex");
-            break;
-        case "base64url":
-            buffer = base64URLToTimestamp(timestamp);
-            break;
-        default:
-            throw new Error(`Unsupported format: ${format}`);
+    if (!isWellFormed(timestamp, format)) {
+        throw new InvalidTimestampError(`Invalid timestamp for format "${format}"`, format);
     }
 
-    const timestampMs = UUID48Timestamp.bufferToTimestamp(buffer);
+    const timestampMs = decodeTimestampMs(timestamp, format, epoch);
+    if (epoch !== 0n && !isPlausibleForEpoch(timestampMs)) {
+        throw new InvalidTimestampError(
+            `Timestamp decodes to ${timestampMs}ms, more than a day in the future. ` +
+            `It was probably generated with a different epoch than ${epoch}`,
+            format
+        );
+    }
     return new Date(Number(timestampMs));
 }
 
 /**
  * Get age of timestamp in milliseconds
- * @param {string|Buffer} timestamp - Timestamp in any supported format
+ * @param {string|number|bigint|Buffer|Uint8Array} timestamp - Timestamp in any supported format
  * @param {string} format - Format of the timestamp (default: "base64url")
+ * @param {Object} options - Decoding options
+ * @param {number|bigint|Date} options.epoch - Epoch the timestamp counts from (default: Unix epoch)
  * @returns {number} Age in milliseconds (current time - timestamp time)
  */
-export function getTimestampAge(timestamp, format = "base64url") {
-    const timestampDate = timestampToDate(timestamp, format);
+export function getTimestampAge(timestamp, format = "base64url", options = {}) {
+    const timestampDate = timestampToDate(timestamp, format, options);
     return Date.now() - timestampDate.getTime();
 }
 
 /**
  * Check if timestamp is within specified age range
- * @param {string|Buffer} timestamp - Timestamp to check
+ * @param {string|number|bigint|Buffer|Uint8Array} timestamp - Timestamp to check
  * @param {number} maxAgeMs - Maximum allowed age in milliseconds
  * @param {string} format - Format of the timestamp (default: "base64url")
+ * @param {Object} options - Decoding options
+ * @param {number|bigint|Date} options.epoch - Epoch the timestamp counts from (default: Unix epoch)
  * @returns {boolean} True if timestamp is within age limit
  */
-export function isTimestampFresh(timestamp, maxAgeMs, format = "base64url") {
+export function isTimestampFresh(timestamp, maxAgeMs, format = "base64url", options = {}) {
     try {
-        const age = getTimestampAge(timestamp, format);
+        const age = getTimestampAge(timestamp, format, options);
         return age >= 0 && age <= maxAgeMs;
     } catch {
         return false;
     }
 }
 
+/**
+ * Sign an ID, so that it can be handed out and later verified as issued here
+ * The token is the Base64URL of the 6-byte timestamp followed by a truncated
+ * HMAC-SHA256 tag, prefixed with "<keyId>." when a key ID is given.
+ * Only 48-bit formats are accepted: a tag over the timestamp alone would let
+ * UUIDv7s and ULIDs with the same millisecond verify as each other.
+ * @param {string|number|bigint|Buffer|Uint8Array} id - ID in a 48-bit format
+ * @param {string|Uint8Array|Object|Map} key - Secret, or key ring mapping key IDs to secrets
+ * @param {Object} options - Signing options
+ * @param {string} options.format - 48-bit format of the ID (default: "base64url")
+ * @param {number} options.tagBytes - HMAC bytes to keep, 8 to 32 (default: 16)
+ * @param {string} options.keyId - ID of the signing key; required with a key ring
+ * @returns {string} Signed token
+ * @throws {InvalidFormatError} If the format is not a 48-bit format
+ * @throws {InvalidTimestampError} If the ID is invalid for its format
+ * @throws {Error} If node:crypto is not available, or the key or an option is invalid
+ */
+export function sign(id, key, options = {}) {
+    const { format = "base64url" } = options;
+    return signTimestamp(parse48BitInput(id, format), key, options);
+}
+
+/**
+ * Verify a signed token and recover its ID
+ * With maxAgeMs, the token must also pass isTimestampFresh, so that one call
+ * rejects both forged and expired tokens.
+ * @param {string} token - Token from sign()
+ * @param {string|Uint8Array|Object|Map} key - Secret, or key ring mapping key IDs to secrets
+ * @param {Object} options - Verification options
+ * @param {string} options.format - 48-bit format of the returned ID (default: "base64url")
+ * @param {number} options.tagBytes - Tag length the token was signed with (default: 16)
+ * @param {number} options.maxAgeMs - Maximum age of the timestamp (default: no limit)
+ * @param {number|bigint|Date} options.epoch - Epoch the timestamp counts from, for maxAgeMs (default: Unix epoch)
+ * @returns {string|number|bigint|Buffer|Uint8Array|null} ID, or null if the token is forged,
+ *   malformed, signed with an unknown key or too old
+ * @throws {InvalidFormatError} If the format is not a 48-bit format
+ * @throws {Error} If node:crypto is not available, or the key or an option is invalid
+ */
+export function verify(token, key, options = {}) {
+    const { format = "base64url", maxAgeMs = null, epoch } = options;
+    if (!getFormat(format)) {
+        throw new InvalidFormatError(format, `Unsupported format: ${format}. Supported formats: ${quoteFormats()}`);
+    }
+    if (maxAgeMs !== null && (typeof maxAgeMs !== "number" || !(maxAgeMs >= 0))) {
+        throw new Error(`maxAgeMs must be a non-negative number, got ${maxAgeMs}`);
+    }
+
+    const verified = verifySignedTimestamp(token, key, options);
+    if (verified === null) {
+        return null;
+    }
+    if (maxAgeMs !== null && !isTimestampFresh(verified.timestamp, maxAgeMs, "uint8array", { epoch })) {
+        return null;
+    }
+    return formatOutput(verified.timestamp, format);
+}
+
+/**
+ * Obfuscate an ID for public display, hiding its creation time
+ * A keyed permutation of the 48-bit space: the result is a valid ID of the
+ * same format, distinct IDs stay distinct, and deobfuscate() with the same key
+ * restores the original. Obfuscated IDs do not sort by time, and their decoded
+ * dates are meaningless.
+ * @param {string|number|bigint|Buffer|Uint8Array} id - ID in a 48-bit format
+ * @param {string|Uint8Array} key - Non-empty secret
+ * @param {Object} options - Obfuscation options
+ * @param {string} options.format - Format of the ID and the result (default: "base64url")
+ * @returns {string|number|bigint|Buffer|Uint8Array} Obfuscated ID in the same format
+ * @throws {InvalidFormatError} If the format is not a 48-bit format
+ * @throws {InvalidTimestampError} If the ID is invalid for its format
+ * @throws {Error} If node:crypto is not available, or the key is invalid
+ */
+export function obfuscate(id, key, options = {}) {
+    const { format = "base64url" } = options;
+    return formatOutput(obfuscateTimestamp(parse48BitInput(id, format), key), format);
+}
+
+/**
+ * Restore an ID obfuscated with obfuscate()
+ * @param {string|number|bigint|Buffer|Uint8Array} id - Obfuscated ID in a 48-bit format
+ * @param {string|Uint8Array} key - Key it was obfuscated with
+ * @param {Object} options - Obfuscation options
+ * @param {string} options.format - Format of the ID and the result (default: "base64url")
+ * @returns {string|number|bigint|Buffer|Uint8Array} Original ID in the same format
+ * @throws {InvalidFormatError} If the format is not a 48-bit format
+ * @throws {InvalidTimestampError} If the ID is invalid for its format
+ * @throws {Error} If node:crypto is not available, or the key is invalid
+ */
+export function deobfuscate(id, key, options = {}) {
+    const { format = "base64url" } = options;
+    return formatOutput(deobfuscateTimestamp(parse48BitInput(id, format), key), format);
+}
+
+/**
+ * Build the smallest or largest ID for an instant
+ * 48-bit formats hold only the timestamp, so both bounds are the same ID.
+ * UUIDv7 and ULID bounds set all counter and random bits to 0 (lower) or
+ * 1 (upper); UUIDv7 keeps its version and variant bits.
+ * @param {Date|number|bigint|string} date - Instant as Date, Unix milliseconds or ISO string
+ * @param {string} format - Output format, any format supported by validate (default: "base64url")
+ * @param {Object} options - Bound options
+ * @param {string} options.bound - "lower" or "upper" (default: "lower")
+ * @param {number|bigint|Date} options.epoch - Epoch of 48-bit formats (default: Unix epoch)
+ * @returns {string|number|bigint|Buffer|Uint8Array} ID in the requested format
+ * @throws {Error} If the date is invalid or outside the 48-bit range, or the format is unsupported
+ */
+export function fromDate(date, format = "base64url", options = {}) {
+    const epoch = resolveEpoch(options.epoch);
+    const bound = options.bound || "lower";
+    if (bound !== "lower" && bound !== "upper") {
+        throw new Error(`bound must be "lower" or "upper", got "${bound}"`);
+    }
+
+    const unixMs = dateToUnixMs(date);
+    if (unixMs < epoch) {
+        throw new Error(`Date ${unixMs}ms is before epoch ${epoch}`);
+    }
+    const timestamp = UUID48Timestamp.timestampToBuffer(unixMs - epoch);
+
+    if (!FULL_ID_FORMATS.includes(format)) {
+        return formatOutput(timestamp, format);
+    }
+
+    if (epoch !== 0n) {
+        throw new InvalidFormatError(
+            format,
+            "UUIDv7 and ULID require the Unix epoch; omit the epoch option for 128-bit formats"
+        );
+    }
+
+    const id = new Uint8Array(16).fill(bound === "upper" ? 0xFF : 0x00);
+    id.set(timestamp);
+    return formatUUIDOutput(format === "ulid" ? id : setUUIDv7Bits(id), format);
+}
+
+/**
+ * Build inclusive ID bounds for a time range, e.g. for
+ * "WHERE id BETWEEN lower AND upper" on an ID-keyed table
+ * @param {Date|number|bigint|string} start - First instant of the range
+ * @param {Date|number|bigint|string} end - Last instant of the range (inclusive)
+ * @param {string} format - Output format, any format supported by validate (default: "base64url")
+ * @param {Object} options - Bound options
+ * @param {number|bigint|Date} options.epoch - Epoch of 48-bit formats (default: Unix epoch)
+ * @returns {{lower: string|Buffer|Uint8Array, upper: string|Buffer|Uint8Array}} Inclusive bounds
+ * @throws {Error} If a date is invalid or start is after end
+ */
+export function boundsForRange(start, end, format = "base64url", options = {}) {
+    if (dateToUnixMs(start) > dateToUnixMs(end)) {
+        throw new Error("Range start must not be after range end");
+    }
+
+    return {
+        lower: fromDate(start, format, { ...options, bound: "lower" }),
+        upper: fromDate(end, format, { ...options, bound: "upper" })
+    };
+}
+
+/**
+ * Decode any supported ID into its fields
+ * The format is detected from the input unless given: 8-char base64url, 10-char
+ * base32, 12-char hex, 6-byte buffer, canonical UUID, 32-char UUID hex,
+ * 22-char UUID Base64URL (as produced by Timestamp48/gpt-5.js), 26-char ULID
+ * or 16-byte buffer, and numbers and bigints. base64sort and decimal are never
+ * detected, as they share their shapes with base64url and the other text
+ * formats. RFC 9562 conformance problems are reported in findings instead of
+ * being thrown:
+ *   BAD_VERSION    128-bit UUID whose version is not 7
+ *   BAD_VARIANT    128-bit UUID whose variant is not the RFC 9562 variant (10)
+ *   IN_FUTURE      timestamp is ahead of the current time
+ *   NON_CANONICAL  uppercase UUID string or Base64URL with non-zero trailing bits
+ * @param {string|Buffer|Uint8Array} id - ID to decode
+ * @param {Object} options - Parse options
+ * @param {string} options.format - Format of the ID (default: detected)
+ * @param {number|bigint|Date} options.epoch - Epoch of 48-bit formats (default: Unix epoch)
+ * @returns {Object} { format, bits, timestamp, date, version, variant, counter, random,
+ *   conformant, findings }; version, variant, counter (rand_a) and random (hex of rand_b)
+ *   are null where the format has no such field
+ * @throws {InvalidTimestampError} If the ID is malformed or its format cannot be detected
+ */
+export function parse(id, options = {}) {
+    const epoch = resolveEpoch(options.epoch);
+    const format = options.format ?? detectFormat(id);
+    if (format === null) {
+        throw new InvalidTimestampError(
+            "Unrecognized ID: expected 8-char base64url, 10-char base32, 12-char hex, 6-byte buffer, " +
+            "UUID string, 32-char UUID hex, 22-char UUID Base64URL, 26-char ULID or 16-byte buffer"
+        );
+    }
+
+    const findings = [];
+    let result;
+
+    if (getFormat(format)) {
+        if (!isWellFormed(id, format)) {
+            throw new InvalidTimestampError(`Invalid timestamp for format "${format}"`, format);
+        }
+        result = {
+            format,
+            bits: 48,
+            timestamp: decodeTimestampMs(id, format, epoch),
+            version: null,
+            variant: null,
+            counter: null,
+            random: null
+        };
+    } else if (FULL_ID_FORMATS.includes(format)) {
+        const bytes = parseFullIdBytes(id, format, findings);
+        result = {
+            format,
+            bits: 128,
+            timestamp: UUID48Timestamp.bufferToTimestamp(bytes.subarray(0, 6)),
+            version: null,
+            variant: null,
+            counter: null,
+            random: bytesToHex(bytes.subarray(6))
+        };
+
+        if (format !== "ulid") {
+            const randB = Uint8Array.from(bytes.subarray(8));
+            randB[0] &= 0x3F;
+
+            result.version = bytes[6] >> 4;
+            result.variant = variantName(bytes[8]);
+            result.counter = ((bytes[6] & 0x0F) << 8) | bytes[7];
+            result.random = bytesToHex(randB);
+
+            if (result.version !== 7) {
+                findings.push({ code: "BAD_VERSION", message: `Version is ${result.version}, expected 7` });
+            }
+            if (result.variant !== "rfc9562") {
+                findings.push({
+                    code: "BAD_VARIANT",
+                    message: `Variant bits are ${(bytes[8] >> 4).toString(2).padStart(4, "0")} (${result.variant}), expected 10xx`
+                });
+            }
+        }
+    } else {
+        throw new InvalidFormatError(format);
+    }
+
+    const nowMs = BigInt(Date.now());
+    if (result.timestamp > nowMs) {
+        findings.push({
+            code: "IN_FUTURE",
+            message: `Timestamp is ${result.timestamp - nowMs}ms ahead of the current time`
+        });
+    }
+
+    const timestamp = Number(result.timestamp);
+    return {
+        format: result.format,
+        bits: result.bits,
+        timestamp,
+        date: new Date(timestamp),
+        version: result.version,
+        variant: result.variant,
+        counter: result.counter,
+        random: result.random,
+        conformant: findings.length === 0,
+        findings
+    };
+}
+
+/**
+ * Internal helper function to detect the format of an ID from its shape
+ * @private
+ * @returns {string|null} Detected format, or null if no format matches
+ */
+function detectFormat(id) {
+    if (isBytes(id)) {
+        const isBuffer = globalThis.Buffer?.isBuffer(id) ?? false;
+        if (id.length === 6) return isBuffer ? "buffer" : "uint8array";
+        if (id.length === 16) return isBuffer ? "uuid-buffer" : "uuid-uint8array";
+        return null;
+    }
+    if (typeof id === "number") return "number";
+    if (typeof id === "bigint") return "bigint";
+    if (typeof id !== "string") {
+        return null;
+    }
+
+    if (isValidUUIDString(id)) return "uuid";
+    if (/^[0-9a-fA-F]{32}$/.test(id)) return "uuid-hex";
+    if (/^[0-9a-fA-F]{12}$/.test(id)) return "hex";
+    if (isValidTimestampBase64URL(id)) return "base64url";
+    if (isValidTimestampBase32(id)) return "base32";
+    if (isValidBase64URL(id) && id.length === 22) return "uuid-base64url";
+    if (isValidULID(id)) return "ulid";
+    return null;
+}
+
+/**
+ * Internal helper function to decode a 128-bit ID without requiring UUIDv7 bits,
+ * recording non-canonical encodings as findings
+ * @private
+ */
+function parseFullIdBytes(id, format, findings) {
+    switch (format) {
+        case "uuid-buffer":
+        case "uuid-uint8array":
+            if (!isBytes(id) || id.length !== 16) {
+                throw new InvalidTimestampError("Invalid UUID buffer: expected 16 bytes", format);
+            }
+            return id;
+        case "uuid-base64url": {
+            if (!isValidBase64URL(id) || id.length !== 22) {
+                throw new InvalidTimestampError(
+                    "Invalid UUID Base64URL: must be 22 characters encoding 16 bytes",
+                    format
+                );
+            }
+            const bytes = decodeBase64URL(id);
+            if (encodeBase64URL(bytes) !== id) {
+                findings.push({ code: "NON_CANONICAL", message: "Base64URL has non-zero trailing bits" });
+            }
+            return bytes;
+        }
+        case "uuid":
+            if (typeof id === "string" && id !== id.toLowerCase()) {
+                findings.push({ code: "NON_CANONICAL", message: "UUID string is not lowercase" });
+            }
+            return parseUUIDInput(id, format);
+        default:
+            return parseUUIDInput(id, format);
+    }
+}
+
+/**
+ * Internal helper function to name the variant of a UUID from byte 8 (RFC 9562 Section 4.1)
+ * @private
+ */
+function variantName(byte) {
+    if ((byte & 0x80) === 0) return "ncs";
+    if ((byte & 0xC0) === 0x80) return "rfc9562";
+    if ((byte & 0xE0) === 0xC0) return "microsoft";
+    return "future";
+}
+
+/**
+ * Internal helper function to read a Date, Unix milliseconds or ISO string as bigint milliseconds
+ * @private
+ */
+function dateToUnixMs(date) {
+    let ms;
+    if (date instanceof Date) {
+        ms = date.getTime();
+    } else if (typeof date === "string") {
+        ms = Date.parse(date);
+    } else if (typeof date === "bigint") {
+        return date;
+    } else {
+        ms = date;
+    }
+
+    if (typeof ms !== "number" || !Number.isFinite(ms)) {
+        throw new Error(`Invalid date: ${date}`);
+    }
+    return BigInt(Math.floor(ms));
+}
+
+/**
+ * Internal helper function to explain a failed generation
+ * Overflow is rethrown with its likely cause, other typed errors unchanged,
+ * and anything else is wrapped with the kind of ID that failed. The
+ * convenience functions and TimestampGenerator word the overflow differently.
+ * @private
+ */
+function generationError(error, kind, overflowMessage = GENERATOR_OVERFLOW_MESSAGE) {
+    if (error instanceof TimestampOverflowError) {
+        return new TimestampOverflowError(error.timestamp, error.maxTimestamp, overflowMessage, { cause: error });
+    }
+    if (error instanceof UUID48Error) {
+        return error;
+    }
+    return new Error(`Failed to generate ${kind}: ${error.message}`);
+}
+
+/**
+ * Internal helper function to validate stream and iterator options
+ * @private
+ */
+function resolveIterationOptions(options, defaultFormat) {
+    const { count = Infinity, format = defaultFormat } = options;
+    if (count !== Infinity && (!Number.isInteger(count) || count <= 0)) {
+        throw new Error("Count must be a positive integer");
+    }
+    if (!getFormat(format)) {
+        throw new InvalidFormatError(format);
+    }
+    return { count, format };
+}
+
 /**
  * Internal helper function to format buffer output
  * @private
  */
 function formatOutput(buffer, format) {
+    return resolveCodec(format).encode(buffer);
+}
+
+/**
+ * Internal helper function to look up the codec of an output format
+ * @private
+ */
+function resolveCodec(format) {
+    const codec = getFormat(format);
+    if (!codec) {
+        throw new InvalidFormatError(format, `Unsupported format: ${format}. Supported formats: ${quoteFormats()}`);
+    }
+    return codec;
+}
+
+/**
+ * Internal helper function to list registered formats for error messages
+ * @private
+ */
+function quoteFormats() {
+    return listFormats().map((format) => `"${format}"`).join(", ");
+}
+
+/**
+ * Internal helper function to decode any supported input to a 6-byte buffer
+ * @private
+ */
+function parseTimestampInput(timestamp, format) {
+    const codec = getFormat(format);
+    if (codec) {
+        const bytes = codec.decode(timestamp);
+        if (!UUID48Timestamp.validateBuffer(bytes)) {
+            throw new InvalidTimestampError(`Format "${format}" did not decode to a 6-byte timestamp`, format);
+        }
+        return bytes;
+    }
+
+    switch (format) {
+        case "uuid":
+        case "uuid-base64url":
+        case "uuid-hex":
+        case "uuid-buffer":
+        case "uuid-uint8array":
+            return uuidToTimestamp(parseUUIDInput(timestamp, format));
+        case "ulid":
+            return decodeULID(timestamp).subarray(0, 6);
+        default:
+            throw new InvalidFormatError(format);
+    }
+}
+
+/**
+ * Internal helper function to decode an ID that must be in a 48-bit format
+ * @private
+ */
+function parse48BitInput(id, format) {
+    if (!getFormat(format)) {
+        throw new InvalidFormatError(format, `Unsupported format: ${format}. Supported formats: ${quoteFormats()}`);
+    }
+    if (!isWellFormed(id, format)) {
+        throw new InvalidTimestampError(`Invalid timestamp for format "${format}"`, format);
+    }
+    return parseTimestampInput(id, format);
+}
+
+/**
+ * Internal helper function to decode a well-formed ID to Unix milliseconds
+ * @private
+ */
+function decodeTimestampMs(timestamp, format, epoch) {
+    const buffer = parseTimestampInput(timestamp, format);
+    return epoch + UUID48Timestamp.bufferToTimestamp(buffer);
+}
+
+/**
+ * Internal helper function to detect timestamps decoded under the wrong custom epoch.
+ * A Unix-epoch ID decoded under a later custom epoch lands years in the future.
+ * @private
+ */
+function isPlausibleForEpoch(timestampMs) {
+    return timestampMs <= BigInt(Date.now()) + MAX_EPOCH_FUTURE_MS;
+}
+
+/**
+ * Internal helper function to decode UUID or ULID input to a 16-byte buffer
+ * @private
+ */
+function parseUUIDInput(uuid, format) {
+    switch (format) {
+        case "uuid-buffer":
+        case "uuid-uint8array":
+            return uuid;
+        case "uuid-hex":
+            if (typeof uuid !== "string" || !/^[0-9a-fA-F]{32}$/.test(uuid)) {
+                throw new InvalidTimestampError("Invalid UUID hex: must be 32 hex characters", format);
+            }
+            return hexToBytes(uuid);
+        case "uuid-base64url":
+            return base64URLToUUID(uuid);
+        case "uuid":
+            return stringToUUID(uuid);
+        case "ulid":
+            return decodeULID(uuid);
+        default:
+            throw new InvalidFormatError(format, `Unsupported UUID format: ${format}`);
+    }
+}
+
+/**
+ * Internal helper function to format UUID or ULID buffer output
+ * @private
+ */
+function formatUUIDOutput(uuid, format) {
     switch (format) {
-        case "buffer":
-            return buffer;
-        case "hex":
-            return buffer.toString("hex");
-        case "base64url":
-            return timestampToBase64URL(buffer);
+        case "uuid-buffer":
+            return toBuffer(uuid);
+        case "uuid-uint8array":
+            return toUint8Array(uuid);
+        case "uuid-hex":
+            return bytesToHex(uuid);
+        case "uuid-base64url":
+            return uuidToBase64URL(uuid);
+        case "uuid":
+            return uuidToString(uuid);
+        case "ulid":
+            return encodeULID(uuid);
         default:
-            throw new Error(
-                `Unsupported format: ${format}. ` +
-                `Supported formats: "buffer", "hex", "base64url"`
+            throw new InvalidFormatError(
+                format,
+                `Unsupported UUID format: ${format}. ` +
+                `Supported formats: "uuid", "uuid-base64url", "uuid-hex", "uuid-buffer", "uuid-uint8array", "ulid"`
             );
     }
 }
 
+/**
+ * Internal helper function to build a UUIDv7 from a generator's state
+ * @private
+ */
+function generateUUIDBuffer(algorithm) {
+    const timestamp = algorithm.generate();
+    return packUUIDv7(
+        timestamp,
+        Number(algorithm.subMillisecondCounter),
+        Number(algorithm.maxSubMs)
+    );
+}
+
+export { UUID48Timestamp, SharedUUID48Timestamp, ManualClock, SnowflakeGenerator, decodeSnowflake };
+export { registerFormat, listFormats };
+export {
+    UUID48Error,
+    TimestampOverflowError,
+    InvalidFormatError,
+    InvalidTimestampError,
+    ClockSkewError,
+    ClockDriftError,
+    ULIDOverflowError
+};
+
 // Default export for convenience
 export default {
     generate,
     generateId,
     generateHex,
     generateBuffer,
+    generateUUIDv7,
+    generateULID,
     validate,
     convert,
     timestampToDate,
     getTimestampAge,
     isTimestampFresh,
+    fromDate,
+    boundsForRange,
+    parse,
+    check,
+    sign,
+    verify,
+    obfuscate,
+    deobfuscate,
+    registerFormat,
+    listFormats,
     TimestampGenerator,
-    UUID48Timestamp
+    UUID48Timestamp,
+    SharedUUID48Timestamp,
+    ManualClock,
+    SnowflakeGenerator,
+    decodeSnowflake,
+    UUID48Error,
+    TimestampOverflowError,
+    InvalidFormatError,
+    InvalidTimestampError,
+    ClockSkewError,
+    ClockDriftError,
+    ULIDOverflowError
 };
@@ -0,0 +1,87 @@
+/**
+ * Timestamp Obfuscation
+ *
+ * A keyed permutation of the 48-bit space: an 8-round balanced Feistel
+ * network over two 24-bit halves, with truncated HMAC-SHA256 as the round
+ * function. Every timestamp maps to exactly one other 6-byte value, so
+ * obfuscated IDs keep the length and alphabet of their format while hiding
+ * creation time and volume; the same key maps them back.
+ *
+ * This is obfuscation, not encryption: it is deterministic, and a 48-bit
+ * block is too small to resist an attacker who can obtain many pairs.
+ *
+ * @author Pavel Valentov
+ * @license MIT
+ */
+
+import { UUID48Timestamp } from "./timestamp.js";
+import { hmacSHA256 } from "./hmac.js";
+
+// Feistel rounds; 4 suffice for a pseudorandom permutation, 8 leave a margin
+const ROUNDS = 8;
+
+const HALF_MASK = 0xFFFFFF;
+
+/**
+ * Obfuscate a 6-byte timestamp
+ * @param {Buffer|Uint8Array} timestamp - 6-byte big-endian timestamp
+ * @param {string|Uint8Array} key - Non-empty secret
+ * @returns {Uint8Array} Obfuscated 6-byte value
+ * @throws {Error} If node:crypto is not available, or the timestamp or key is invalid
+ */
+export function obfuscateTimestamp(timestamp, key) {
+    let [left, right] = splitHalves(timestamp);
+    for (let round = 0; round < ROUNDS; round++) {
+        [left, right] = [right, left ^ roundFunction(key, round, right)];
+    }
+    return joinHalves(left, right);
+}
+
+/**
+ * Reverse obfuscateTimestamp() with the same key
+ * @param {Buffer|Uint8Array} timestamp - Obfuscated 6-byte value
+ * @param {string|Uint8Array} key - Key it was obfuscated with
+ * @returns {Uint8Array} Original 6-byte timestamp
+ * @throws {Error} If node:crypto is not available, or the value or key is invalid
+ */
+export function deobfuscateTimestamp(timestamp, key) {
+    let [left, right] = splitHalves(timestamp);
+    for (let round = ROUNDS - 1; round >= 0; round--) {
+        [left, right] = [right ^ roundFunction(key, round, left), left];
+    }
+    return joinHalves(left, right);
+}
+
+/**
+ * Internal helper function to validate a timestamp and split it into 24-bit halves
+ * @private
+ */
+function splitHalves(timestamp) {
+    if (!UUID48Timestamp.validateBuffer(timestamp)) {
+        throw new Error("timestamp must be a 6-byte Buffer or Uint8Array");
+    }
+    return [
+        (timestamp[0] << 16) | (timestamp[1] << 8) | timestamp[2],
+        (timestamp[3] << 16) | (timestamp[4] << 8) | timestamp[5]
+    ];
+}
+
+/**
+ * Internal helper function to join 24-bit halves into 6 bytes
+ * @private
+ */
+function joinHalves(left, right) {
+    return new Uint8Array([
+        left >>> 16, (left >>> 8) & 0xFF, left & 0xFF,
+        right >>> 16, (right >>> 8) & 0xFF, right & 0xFF
+    ]);
+}
+
+/**
+ * Internal helper function to derive 24 pseudorandom bits from a round number and half
+ * @private
+ */
+function roundFunction(key, round, half) {
+    const digest = hmacSHA256(key, new Uint8Array([round, half >>> 16, (half >>> 8) & 0xFF, half & 0xFF]));
+    return ((digest[0] << 16) | (digest[1] << 8) | digest[2]) & HALF_MASK;
+}
@@ -0,0 +1,16 @@
+/**
+ * Runtime Bindings for Node.js
+ *
+ * Resolved for the "#runtime" import under the "node" condition (see the
+ * "imports" field of package.json); other runtimes get runtime-web.js. The
+ * builtins are imported statically, so that the package loads synchronously
+ * on every supported Node.js version, including through require().
+ *
+ * @author Pavel Valentov
+ * @license MIT
+ */
+
+// Node.js 18 has no global crypto in ES modules
+export { webcrypto, createHmac, timingSafeEqual } from "node:crypto";
+
+export { Readable } from "node:stream";
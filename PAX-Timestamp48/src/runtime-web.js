@@ -0,0 +1,18 @@
+/**
+ * Runtime Bindings for Browsers, Deno and Edge Workers
+ *
+ * Resolved for the "#runtime" import outside Node.js; exports the same names
+ * as runtime-node.js from the globals these runtimes provide.
+ *
+ * @author Pavel Valentov
+ * @license MIT
+ */
+
+export const webcrypto = globalThis.crypto;
+
+// Synchronous HMAC needs node:crypto; Web Crypto only offers it asynchronously
+export const createHmac = null;
+export const timingSafeEqual = null;
+
+// Streams are Node.js-only; callers iterate with for await instead
+export const Readable = null;
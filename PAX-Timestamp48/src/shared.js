@@ -0,0 +1,199 @@
+/**
+ * SharedUUID48Timestamp - Cross-thread 48-bit Timestamp Generator
+ *
+ * Keeps generator state in a SharedArrayBuffer so that every worker thread
+ * attached to it observes one global monotonic sequence. Last timestamp and
+ * sub-millisecond counter are packed into a single 64-bit word
+ * (timestamp << 16 | counter) and advanced with Atomics.compareExchange,
+ * so no locks are needed. Semantics match UUID48Timestamp.
+ *
+ * @author Pavel Valentov
+ * @license MIT
+ */
+
+import { UUID48Timestamp, resolveCounterOptions } from "./timestamp.js";
+import { resolveClock, resolveEpoch } from "./clock.js";
+import { checkWriteRange } from "./bytes.js";
+
+/**
+ * Resolve after the given number of milliseconds
+ * @private
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// UUID48Timestamp options that need per-process state and are not supported here
+const UNSUPPORTED_OPTIONS = ["maxDriftMs", "driftPolicy", "stateStore", "onEvent"];
+
+export class SharedUUID48Timestamp {
+    /**
+     * Create a new shared timestamp generator
+     * @param {Object} options - Configuration options
+     * @param {SharedArrayBuffer} options.buffer - Existing shared state to attach to (default: new state)
+     * @param {number} options.maxSubMs - Maximum sub-millisecond counter value (1-65536, default: 4096)
+     * @param {string} options.waitStrategy - Strategy for counter overflow: "increment", "wait" or "unique" (default: "increment")
+     * @param {number} options.maxLookaheadMs - How far "unique" may run ahead of system time before waiting (default: 1000)
+     * @param {Function|{now: Function}} options.clock - Time source returning ms as number or bigint (default: Date.now)
+     * @param {number|bigint|Date} options.epoch - Epoch the 48-bit timestamps count from (default: 0, the Unix epoch)
+     * @throws {Error} If an option is invalid, or is a UUID48Timestamp option not supported here
+     */
+    constructor(options = {}) {
+        const buffer = options.buffer || new SharedArrayBuffer(8);
+        if (!(buffer instanceof SharedArrayBuffer) || buffer.byteLength !== 8) {
+            throw new Error("buffer must be an 8-byte SharedArrayBuffer");
+        }
+
+        for (const name of UNSUPPORTED_OPTIONS) {
+            if (options[name] !== undefined) {
+                throw new Error(`${name} is not supported by SharedUUID48Timestamp`);
+            }
+        }
+        const { maxSubMs, waitStrategy, maxLookaheadMs } = resolveCounterOptions(options);
+
+        this.state = new BigUint64Array(buffer);
+        this.epoch = resolveEpoch(options.epoch);
+        this.clock = resolveClock(options.clock, this.epoch);
+        this.maxSubMs = maxSubMs;
+        this.waitStrategy = waitStrategy;
+        this.maxLookaheadMs = maxLookaheadMs;
+
+        // Counter of the last value issued by this thread (read by UUIDv7 packing)
+        this.subMillisecondCounter = 0n;
+    }
+
+    /**
+     * Attach to shared state created in another thread
+     * @param {Object} handle - Handle returned by share()
+     * @param {Object} options - Thread-local options
+     * @param {Function|{now: Function}} options.clock - Time source (default: Date.now)
+     * @returns {SharedUUID48Timestamp} Generator backed by the same state
+     */
+    static attach(handle, options = {}) {
+        return new SharedUUID48Timestamp({ ...handle, clock: options.clock });
+    }
+
+    /**
+     * Get a structured-cloneable handle for postMessage or workerData
+     * @returns {Object} Handle with shared buffer and configuration
+     */
+    share() {
+        return {
+            buffer: this.state.buffer,
+            ...this.getConfig()
+        };
+    }
+
+    /**
+     * Last timestamp issued by any attached thread
+     * @returns {bigint} Timestamp in milliseconds
+     */
+    get lastSystemTime() {
+        return Atomics.load(this.state, 0) >> 16n;
+    }
+
+    /**
+     * Generate a 48-bit timestamp as 6-byte Buffer
+     * @returns {Buffer|Uint8Array} 6-byte big-endian timestamp (Buffer where available)
+     * @throws {TimestampOverflowError} If timestamp exceeds 48-bit limit
+     */
+    generate() {
+        for (;;) {
+            const current = Atomics.load(this.state, 0);
+            const next = this._nextState(current, this.clock());
+
+            // null means the strategy requires waiting (busy wait)
+            if (next !== null) {
+                const buffer = UUID48Timestamp.timestampToBuffer(next >> 16n);
+                if (Atomics.compareExchange(this.state, 0, current, next) === current) {
+                    this.subMillisecondCounter = next & 0xFFFFn;
+                    return buffer;
+                }
+            }
+        }
+    }
+
+    /**
+     * Write 48-bit timestamps directly into a caller-supplied buffer
+     * @param {Buffer|Uint8Array} target - Buffer to write into
+     * @param {number} offset - Byte offset of the first timestamp (default: 0)
+     * @param {number} count - Number of consecutive 6-byte timestamps to write (default: 1)
+     * @returns {number} Offset just past the last written timestamp
+     * @throws {Error} If target is too small or timestamp exceeds 48-bit limit
+     */
+    generateInto(target, offset = 0, count = 1) {
+        if (!Number.isInteger(count) || count < 0) {
+            throw new Error(`count must be a non-negative integer, got ${count}`);
+        }
+        const end = checkWriteRange(target, offset, count * 6);
+
+        for (let position = offset; position < end; position += 6) {
+            target.set(this.generate(), position);
+        }
+        return end;
+    }
+
+    /**
+     * Generate a 48-bit timestamp without blocking the event loop
+     * @returns {Promise<Buffer|Uint8Array>} 6-byte big-endian timestamp (Buffer where available)
+     * @throws {TimestampOverflowError} If timestamp exceeds 48-bit limit
+     */
+    async generateAsync() {
+        for (;;) {
+            const current = Atomics.load(this.state, 0);
+            const next = this._nextState(current, this.clock());
+
+            if (next === null) {
+                await sleep(1);
+                continue;
+            }
+
+            const buffer = UUID48Timestamp.timestampToBuffer(next >> 16n);
+            if (Atomics.compareExchange(this.state, 0, current, next) === current) {
+                this.subMillisecondCounter = next & 0xFFFFn;
+                return buffer;
+            }
+        }
+    }
+
+    /**
+     * Compute the packed state following current, mirroring UUID48Timestamp
+     * @private
+     * @returns {bigint|null} Next packed state, or null if the caller must wait
+     */
+    _nextState(current, systemTime) {
+        const lastTime = current >> 16n;
+        const counter = current & 0xFFFFn;
+
+        if (systemTime > lastTime) {
+            return systemTime << 16n;
+        }
+
+        if (this.waitStrategy === "unique") {
+            const nextTime = lastTime + 1n;
+            return nextTime - systemTime > BigInt(this.maxLookaheadMs) ? null : nextTime << 16n;
+        }
+
+        if (systemTime < lastTime) {
+            // Clock moved backward - continue with last known time + 1
+            return (lastTime + 1n) << 16n;
+        }
+
+        if (counter + 1n < this.maxSubMs) {
+            return current + 1n;
+        }
+
+        return this.waitStrategy === "wait" ? null : (lastTime + 1n) << 16n;
+    }
+
+    /**
+     * Get current configuration
+     * @returns {Object} Current configuration options
+     */
+    getConfig() {
+        return {
+            maxSubMs: Number(this.maxSubMs),
+            waitStrategy: this.waitStrategy,
+            maxLookaheadMs: this.maxLookaheadMs,
+            epoch: Number(this.epoch)
+        };
+    }
+}
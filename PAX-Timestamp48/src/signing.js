@@ -0,0 +1,148 @@
+/**
+ * Signed Timestamp Tokens
+ *
+ * Appends a truncated HMAC-SHA256 of the 6-byte timestamp, so that IDs handed
+ * to clients (resume cursors, upload tokens) cannot be forged or altered:
+ *
+ *   [keyId "."] Base64URL(timestamp (6 bytes) || tag (tagBytes bytes))
+ *
+ * The optional key ID names the key that signed the token, so that keys can
+ * be rotated while tokens signed with older keys still verify. Tags are
+ * compared in constant time, and a token has exactly one valid spelling.
+ *
+ * @author Pavel Valentov
+ * @license MIT
+ */
+
+import { isBytes, concatBytes } from "./bytes.js";
+import { encodeBase64URL, decodeBase64URL, isValidBase64URL } from "./base64url.js";
+import { UUID48Timestamp } from "./timestamp.js";
+import { hmacSHA256, timingSafeEqualBytes } from "./hmac.js";
+
+// Default tag length: 128 of the 256 HMAC-SHA256 bits
+export const DEFAULT_TAG_BYTES = 16;
+
+// Tags shorter than 64 bits are too easy to guess
+const MIN_TAG_BYTES = 8;
+const MAX_TAG_BYTES = 32;
+
+// Key IDs use the Base64URL alphabet, so tokens stay URL-safe
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+/**
+ * Sign a 6-byte timestamp
+ * @param {Buffer|Uint8Array} timestamp - 6-byte big-endian timestamp
+ * @param {string|Uint8Array|Object|Map} key - Secret, or key ring mapping key IDs to secrets
+ * @param {Object} options - Signing options
+ * @param {number} options.tagBytes - HMAC bytes to keep, 8 to 32 (default: 16)
+ * @param {string} options.keyId - ID of the signing key, prefixed to the token; required with a key ring
+ * @returns {string} Token
+ * @throws {Error} If node:crypto is not available, or the key or an option is invalid
+ */
+export function signTimestamp(timestamp, key, options = {}) {
+    if (!UUID48Timestamp.validateBuffer(timestamp)) {
+        throw new Error("timestamp must be a 6-byte Buffer or Uint8Array");
+    }
+
+    const tagBytes = resolveTagBytes(options.tagBytes);
+    const { keyId = null } = options;
+    if (keyId !== null && !KEY_ID_PATTERN.test(keyId)) {
+        throw new Error(`keyId must be 1 to 32 Base64URL characters, got "${keyId}"`);
+    }
+
+    const secret = isKeyRing(key) ? lookupKey(key, keyId) : key;
+    if (secret === null) {
+        throw new Error(keyId === null ? "keyId is required to sign with a key ring" : `Unknown keyId "${keyId}"`);
+    }
+
+    const payload = encodeBase64URL(concatBytes(timestamp, computeTag(secret, timestamp, tagBytes)));
+    return keyId === null ? payload : `${keyId}.${payload}`;
+}
+
+/**
+ * Verify a token and recover its timestamp
+ * A token with a key ID is checked against that key of a key ring; with a
+ * single secret, the key ID is ignored.
+ * @param {string} token - Token from signTimestamp()
+ * @param {string|Uint8Array|Object|Map} key - Secret, or key ring mapping key IDs to secrets
+ * @param {Object} options - Verification options
+ * @param {number} options.tagBytes - Expected tag length, as given to signTimestamp() (default: 16)
+ * @returns {{timestamp: Buffer|Uint8Array, keyId: string|null}|null} 6-byte timestamp and key ID,
+ *   or null if the token is malformed, its key is unknown or the tag does not match
+ * @throws {Error} If node:crypto is not available, or the key or an option is invalid
+ */
+export function verifySignedTimestamp(token, key, options = {}) {
+    const tagBytes = resolveTagBytes(options.tagBytes);
+    if (typeof token !== "string") {
+        return null;
+    }
+
+    const parts = token.split(".");
+    if (parts.length > 2 || (parts.length === 2 && !KEY_ID_PATTERN.test(parts[0]))) {
+        return null;
+    }
+    const keyId = parts.length === 2 ? parts[0] : null;
+    const payload = parts[parts.length - 1];
+
+    const secret = isKeyRing(key) ? lookupKey(key, keyId) : key;
+    if (secret === null) {
+        return null;
+    }
+
+    // Exact length and canonical trailing bits: one token per signature
+    if (!isValidBase64URL(payload) || payload.length !== Math.ceil((6 + tagBytes) * 4 / 3)) {
+        return null;
+    }
+    const bytes = decodeBase64URL(payload);
+    if (encodeBase64URL(bytes) !== payload) {
+        return null;
+    }
+
+    const timestamp = bytes.subarray(0, 6);
+    const tag = bytes.subarray(6);
+    if (!timingSafeEqualBytes(tag, computeTag(secret, timestamp, tagBytes))) {
+        return null;
+    }
+    return { timestamp, keyId };
+}
+
+/**
+ * Internal helper function to compute a truncated HMAC-SHA256
+ * @private
+ */
+function computeTag(secret, timestamp, tagBytes) {
+    return hmacSHA256(secret, timestamp).subarray(0, tagBytes);
+}
+
+/**
+ * Internal helper function to tell a key ring from a single secret
+ * @private
+ */
+function isKeyRing(key) {
+    return key instanceof Map || (typeof key === "object" && key !== null && !isBytes(key));
+}
+
+/**
+ * Internal helper function to find a key in a key ring
+ * @private
+ */
+function lookupKey(keys, keyId) {
+    if (keyId === null) {
+        return null;
+    }
+    if (keys instanceof Map) {
+        return keys.get(keyId) ?? null;
+    }
+    return Object.hasOwn(keys, keyId) ? keys[keyId] : null;
+}
+
+/**
+ * Internal helper function to validate the tagBytes option
+ * @private
+ */
+function resolveTagBytes(tagBytes = DEFAULT_TAG_BYTES) {
+    if (!Number.isInteger(tagBytes) || tagBytes < MIN_TAG_BYTES || tagBytes > MAX_TAG_BYTES) {
+        throw new Error(`tagBytes must be an integer between ${MIN_TAG_BYTES} and ${MAX_TAG_BYTES}, got ${tagBytes}`);
+    }
+    return tagBytes;
+}
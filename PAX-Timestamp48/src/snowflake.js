@@ -0,0 +1,323 @@
+/**
+ * Snowflake ID Module
+ *
+ * Packs a timestamp, node fields (worker/datacenter ID) and a per-millisecond
+ * sequence into one 64-bit bigint, as popularized by Twitter Snowflake.
+ * Timestamps come from UUID48Timestamp counting from the layout's epoch, and
+ * its sub-millisecond counter is used as the sequence, so IDs from one
+ * generator are unique and increasing even when the clock steps backward.
+ *
+ * Layout (most significant bits first):
+ *   unused | timestamp (timestampBits) | node fields... | sequence (sequenceBits)
+ *
+ * @author Pavel Valentov
+ * @license MIT
+ */
+
+import { UUID48Timestamp } from "./timestamp.js";
+import { resolveEpoch } from "./clock.js";
+import { encodeBase64URL, decodeBase64URL, isValidBase64URL } from "./base64url.js";
+import { TimestampOverflowError, InvalidFormatError, InvalidTimestampError } from "./errors.js";
+
+/**
+ * Well-known layouts
+ *   twitter: 41-bit timestamp since 2010-11-04, 5-bit datacenter, 5-bit worker, 12-bit sequence
+ *   discord: 42-bit timestamp since 2015-01-01, 5-bit worker, 5-bit process, 12-bit increment
+ */
+export const SNOWFLAKE_LAYOUTS = Object.freeze({
+    twitter: Object.freeze({
+        epoch: 1288834974657,
+        timestampBits: 41,
+        fields: Object.freeze([["datacenterId", 5], ["workerId", 5]]),
+        sequenceBits: 12
+    }),
+    discord: Object.freeze({
+        epoch: 1420070400000,
+        timestampBits: 42,
+        fields: Object.freeze([["workerId", 5], ["processId", 5]]),
+        sequenceBits: 12
+    })
+});
+
+// Output formats of SnowflakeGenerator and input formats of decodeSnowflake
+const SNOWFLAKE_FORMATS = ["bigint", "decimal", "hex", "base64url"];
+
+/**
+ * Resolve a layout name or definition into shifts and masks
+ * A custom layout gives epoch, timestampBits, sequenceBits and either
+ * fields ([name, bits] pairs, most significant first) or workerBits and
+ * datacenterBits.
+ * @param {string|Object} layout - Layout name or definition (default: "twitter")
+ * @returns {Object} Resolved layout with bigint epoch and bit offsets
+ * @throws {Error} If the layout is unknown or its widths are invalid
+ */
+export function resolveSnowflakeLayout(layout = "twitter") {
+    const definition = typeof layout === "string" ? SNOWFLAKE_LAYOUTS[layout] : layout;
+    if (!definition || typeof definition !== "object") {
+        throw new Error(
+            `Unknown snowflake layout "${layout}". ` +
+            `Supported: ${Object.keys(SNOWFLAKE_LAYOUTS).map((name) => `"${name}"`).join(", ")} or a custom layout`
+        );
+    }
+
+    const fields = definition.fields || [
+        ["datacenterId", definition.datacenterBits ?? 0],
+        ["workerId", definition.workerBits ?? 10]
+    ].filter(([, bits]) => bits > 0);
+
+    const { timestampBits, sequenceBits = 12 } = definition;
+    if (!Number.isInteger(timestampBits) || timestampBits < 1 || timestampBits > 48) {
+        throw new Error(`timestampBits must be an integer between 1 and 48, got ${timestampBits}`);
+    }
+    if (!Number.isInteger(sequenceBits) || sequenceBits < 1 || sequenceBits > 16) {
+        throw new Error(`sequenceBits must be an integer between 1 and 16, got ${sequenceBits}`);
+    }
+
+    // Lay out node fields from the sequence upward
+    let shift = sequenceBits;
+    const resolvedFields = [];
+    for (const [name, bits] of [...fields].reverse()) {
+        if (!Number.isInteger(bits) || bits < 1) {
+            throw new Error(`Field "${name}" must have a positive integer width, got ${bits}`);
+        }
+        resolvedFields.unshift({ name, bits, shift: BigInt(shift) });
+        shift += bits;
+    }
+
+    if (shift + timestampBits > 64) {
+        throw new Error(`Snowflake layout needs ${shift + timestampBits} bits, more than 64`);
+    }
+
+    return {
+        epoch: resolveEpoch(definition.epoch ?? 0),
+        timestampBits,
+        timestampShift: BigInt(shift),
+        fields: resolvedFields,
+        sequenceBits,
+        totalBits: shift + timestampBits
+    };
+}
+
+/**
+ * Snowflake ID generator
+ */
+export class SnowflakeGenerator {
+    /**
+     * Create a new snowflake generator
+     * @param {Object} options - Configuration options
+     * @param {string|Object} options.layout - "twitter", "discord" or a custom layout (default: "twitter")
+     * @param {number|bigint|Date} options.epoch - Overrides the layout's epoch
+     * @param {number} options.workerId - Value of the workerId field (default: 0); every layout
+     *   field is set the same way, e.g. datacenterId or processId
+     * @param {string} options.waitStrategy - Sequence overflow strategy of the timestamp source (default: "wait")
+     * @param {Function|{now: Function}} options.clock - Time source (default: Date.now)
+     * @param {string} options.defaultFormat - "bigint", "decimal", "hex" or "base64url" (default: "bigint")
+     * @throws {Error} If the layout, a field value or the format is invalid
+     */
+    constructor(options = {}) {
+        this.layout = resolveLayoutWithEpoch(options.layout, options.epoch);
+
+        this.fieldValues = {};
+        this.nodeBits = 0n;
+        for (const { name, bits, shift } of this.layout.fields) {
+            const value = options[name] ?? 0;
+            if (!Number.isInteger(value) || value < 0 || value >= 2 ** bits) {
+                throw new Error(`${name} must be an integer between 0 and ${2 ** bits - 1}, got ${value}`);
+            }
+            this.fieldValues[name] = value;
+            this.nodeBits |= BigInt(value) << shift;
+        }
+
+        this.defaultFormat = options.defaultFormat || "bigint";
+        if (!SNOWFLAKE_FORMATS.includes(this.defaultFormat)) {
+            throw new InvalidFormatError(
+                this.defaultFormat,
+                `Invalid defaultFormat "${this.defaultFormat}". Supported: "bigint", "decimal", "hex", "base64url"`
+            );
+        }
+
+        this.algorithm = new UUID48Timestamp({
+            epoch: this.layout.epoch,
+            maxSubMs: 2 ** this.layout.sequenceBits,
+            waitStrategy: options.waitStrategy || "wait",
+            clock: options.clock
+        });
+    }
+
+    /**
+     * Generate a snowflake ID
+     * @param {string} format - "bigint", "decimal", "hex" or "base64url" (default: defaultFormat)
+     * @returns {bigint|string} Generated ID
+     * @throws {TimestampOverflowError} If the timestamp no longer fits the layout's timestamp field
+     */
+    generate(format = this.defaultFormat) {
+        const timestamp = UUID48Timestamp.bufferToTimestamp(this.algorithm.generate());
+
+        if (timestamp >> BigInt(this.layout.timestampBits) !== 0n) {
+            throw new TimestampOverflowError(
+                timestamp,
+                (1n << BigInt(this.layout.timestampBits)) - 1n,
+                `Timestamp ${timestamp} exceeds the ${this.layout.timestampBits}-bit field of the snowflake layout`
+            );
+        }
+
+        const id = (timestamp << this.layout.timestampShift) | this.nodeBits | this.algorithm.subMillisecondCounter;
+        return formatSnowflake(id, format);
+    }
+
+    /**
+     * Generate multiple snowflake IDs in increasing order
+     * @param {number} count - Number of IDs to generate
+     * @param {string} format - Output format (default: defaultFormat)
+     * @returns {Array<bigint|string>} Generated IDs
+     * @throws {Error} If count is not a positive integer
+     */
+    generateBatch(count, format = this.defaultFormat) {
+        if (!Number.isInteger(count) || count <= 0) {
+            throw new Error("Count must be a positive integer");
+        }
+
+        const results = [];
+        for (let i = 0; i < count; i++) {
+            results.push(this.generate(format));
+        }
+        return results;
+    }
+
+    /**
+     * Get current configuration
+     * @returns {Object} Layout widths, epoch, field values and default format
+     */
+    getConfig() {
+        return {
+            epoch: Number(this.layout.epoch),
+            timestampBits: this.layout.timestampBits,
+            fields: this.layout.fields.map(({ name, bits }) => [name, bits]),
+            sequenceBits: this.layout.sequenceBits,
+            ...this.fieldValues,
+            defaultFormat: this.defaultFormat
+        };
+    }
+}
+
+/**
+ * Decode a snowflake ID into its fields
+ * @param {bigint|string} id - ID as bigint or string in options.format
+ * @param {Object} options - Decoding options
+ * @param {string|Object} options.layout - "twitter", "discord" or a custom layout (default: "twitter")
+ * @param {number|bigint|Date} options.epoch - Overrides the layout's epoch
+ * @param {string} options.format - String format: "decimal", "hex" or "base64url" (default: "decimal")
+ * @returns {Object} { id, timestamp, date, sequence, ...fields } with timestamp in Unix ms
+ * @throws {Error} If the ID is malformed or does not fit the layout
+ */
+export function decodeSnowflake(id, options = {}) {
+    const layout = resolveLayoutWithEpoch(options.layout, options.epoch);
+
+    const value = parseSnowflake(id, typeof id === "bigint" ? "bigint" : options.format || "decimal");
+    if (value >> BigInt(layout.totalBits) !== 0n) {
+        throw new InvalidTimestampError(`Snowflake ${value} does not fit the ${layout.totalBits}-bit layout`, "snowflake");
+    }
+
+    const timestamp = Number(layout.epoch + (value >> layout.timestampShift));
+    const result = {
+        id: value,
+        timestamp,
+        date: new Date(timestamp),
+        sequence: Number(value & ((1n << BigInt(layout.sequenceBits)) - 1n))
+    };
+    for (const { name, bits, shift } of layout.fields) {
+        result[name] = Number((value >> shift) & ((1n << BigInt(bits)) - 1n));
+    }
+    return result;
+}
+
+/**
+ * Internal helper function to resolve a layout with an optional epoch override
+ * @private
+ */
+function resolveLayoutWithEpoch(layout = "twitter", epoch) {
+    if (epoch === undefined) {
+        return resolveSnowflakeLayout(layout);
+    }
+    const definition = typeof layout === "string" ? SNOWFLAKE_LAYOUTS[layout] : layout;
+    return resolveSnowflakeLayout(definition ? { ...definition, epoch } : layout);
+}
+
+/**
+ * Internal helper function to format a snowflake value
+ * @private
+ */
+function formatSnowflake(id, format) {
+    switch (format) {
+        case "bigint":
+            return id;
+        case "decimal":
+            return id.toString();
+        case "hex":
+            return id.toString(16).padStart(16, "0");
+        case "base64url":
+            return encodeBase64URL(bigintToBytes(id));
+        default:
+            throw new InvalidFormatError(
+                format,
+                `Unsupported snowflake format: ${format}. Supported formats: "bigint", "decimal", "hex", "base64url"`
+            );
+    }
+}
+
+/**
+ * Internal helper function to parse a snowflake value
+ * @private
+ */
+function parseSnowflake(id, format) {
+    let value;
+    switch (format) {
+        case "bigint":
+            value = id;
+            break;
+        case "decimal":
+            if (typeof id !== "string" || !/^\d{1,20}$/.test(id)) {
+                throw new InvalidTimestampError("Invalid snowflake decimal: expected up to 20 digits", "decimal");
+            }
+            value = BigInt(id);
+            break;
+        case "hex":
+            if (typeof id !== "string" || !/^[0-9a-fA-F]{16}$/.test(id)) {
+                throw new InvalidTimestampError("Invalid snowflake hex: expected 16 hex characters", "hex");
+            }
+            value = BigInt(`0x${id}`);
+            break;
+        case "base64url":
+            if (!isValidBase64URL(id) || id.length !== 11 || encodeBase64URL(decodeBase64URL(id)) !== id) {
+                throw new InvalidTimestampError(
+                    "Invalid snowflake Base64URL: expected 11 characters encoding 8 bytes",
+                    "base64url"
+                );
+            }
+            value = decodeBase64URL(id).reduce((acc, byte) => (acc << 8n) | BigInt(byte), 0n);
+            break;
+        default:
+            throw new InvalidFormatError(
+                format,
+                `Unsupported snowflake format: ${format}. Supported formats: "bigint", "decimal", "hex", "base64url"`
+            );
+    }
+
+    if (value < 0n || value >> 64n !== 0n) {
+        throw new InvalidTimestampError(`Snowflake must be an unsigned 64-bit value, got ${value}`, format);
+    }
+    return value;
+}
+
+/**
+ * Internal helper function to convert a 64-bit value to 8 big-endian bytes
+ * @private
+ */
+function bigintToBytes(value) {
+    const bytes = new Uint8Array(8);
+    for (let i = 7; i >= 0; i--) {
+        bytes[i] = Number(value & 0xFFn);
+        value >>= 8n;
+    }
+    return bytes;
+}
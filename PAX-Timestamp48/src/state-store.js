@@ -0,0 +1,134 @@
+/**
+ * FileStateStore - Persistent Lease for Timestamp Generators
+ *
+ * Persists a lease ahead of the last issued timestamp so that a restarted
+ * process never issues values below anything issued before, even after a
+ * crash and with the host clock stepped backward (NTP correction, VM
+ * snapshot restore). The lease is written synchronously before an ID past it
+ * is handed out. Writes go to a temporary file that is fsynced and renamed
+ * over the target, so a crash never leaves a partially written state file.
+ *
+ * @author Pavel Valentov
+ * @license MIT
+ */
+
+import { openSync, writeSync, fsyncSync, closeSync, renameSync, readFileSync, unlinkSync } from "node:fs";
+
+export class FileStateStore {
+    /**
+     * Create a new file-backed state store
+     * @param {string} path - State file path
+     * @param {Object} options - Configuration options
+     * @param {number} options.flushIntervalMs - How far the lease reaches past the last issued timestamp;
+     *   0 writes on every update (default: 1000)
+     */
+    constructor(path, options = {}) {
+        if (typeof path !== "string" || path.length === 0) {
+            throw new Error("path must be a non-empty string");
+        }
+
+        this.path = path;
+        this.flushIntervalMs = options.flushIntervalMs ?? 1000;
+        this.highWaterMark = 0n;
+        this.lease = 0n;
+
+        if (!Number.isInteger(this.flushIntervalMs) || this.flushIntervalMs < 0) {
+            throw new Error(`flushIntervalMs must be a non-negative integer, got ${this.flushIntervalMs}`);
+        }
+    }
+
+    /**
+     * Read the persisted lease
+     * @returns {bigint} Lease in milliseconds, at or above every timestamp issued before, or 0n if no state file exists
+     * @throws {Error} If the state file exists but cannot be parsed
+     */
+    load() {
+        let content;
+        try {
+            content = readFileSync(this.path, "utf8");
+        } catch (error) {
+            if (error.code === "ENOENT") {
+                return 0n;
+            }
+            throw new Error(`Failed to read state file ${this.path}: ${error.message}`);
+        }
+
+        try {
+            const lease = BigInt(JSON.parse(content).lease);
+            if (lease < 0n) {
+                throw new Error("negative lease");
+            }
+            this.highWaterMark = lease > this.highWaterMark ? lease : this.highWaterMark;
+            this.lease = lease > this.lease ? lease : this.lease;
+            return lease;
+        } catch (error) {
+            throw new Error(`Corrupt state file ${this.path}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Record a newly issued timestamp; once it reaches the lease, a new lease
+     * flushIntervalMs ahead is written before returning
+     * @param {bigint} mark - Last issued timestamp in milliseconds
+     * @throws {Error} If the lease cannot be written
+     */
+    update(mark) {
+        if (mark <= this.highWaterMark) {
+            return;
+        }
+
+        this.highWaterMark = mark;
+        if (mark >= this.lease) {
+            this._write(mark + BigInt(this.flushIntervalMs));
+        }
+    }
+
+    /**
+     * Persist the current high-water mark as the lease, so that a restart
+     * does not skip ahead to a lease that was never used
+     */
+    flush() {
+        if (this.highWaterMark !== this.lease) {
+            this._write(this.highWaterMark);
+        }
+    }
+
+    /**
+     * Atomically replace the state file with a new lease
+     * @private
+     */
+    _write(lease) {
+        const tmpPath = `${this.path}.${process.pid}.tmp`;
+        const content = JSON.stringify({
+            lease: lease.toString(),
+            updatedAt: new Date().toISOString()
+        });
+
+        try {
+            const fd = openSync(tmpPath, "w");
+            try {
+                writeSync(fd, content);
+                fsyncSync(fd);
+            } finally {
+                closeSync(fd);
+            }
+            renameSync(tmpPath, this.path);
+        } catch (error) {
+            try {
+                unlinkSync(tmpPath);
+            } catch {
+                // Temporary file was never created
+            }
+            throw new Error(`Failed to write state file ${this.path}: ${error.message}`);
+        }
+
+        this.lease = lease;
+    }
+
+    /**
+     * Persist the final high-water mark on a clean shutdown
+     */
+    close() {
+        this.flush();
+    }
+}
@@ -8,36 +8,264 @@
  * @license MIT
  */
 
+import { resolveClock, resolveClockMs, resolveEpoch } from "./clock.js";
+import { isBytes, wrapBytes, checkWriteRange } from "./bytes.js";
+import { ClockDriftError, TimestampOverflowError, InvalidTimestampError } from "./errors.js";
+
+// Largest 48-bit timestamp (2^48 - 1); fits exactly in a double
+const MAX_TIMESTAMP_MS = 0xFFFFFFFFFFFF;
+
+// What happens when the next timestamp would exceed maxDriftMs
+const DRIFT_POLICIES = ["throw", "block", "wait"];
+
+/**
+ * Resolve after the given number of milliseconds (at least one event loop turn)
+ * @private
+ */
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, Math.max(ms, 1)));
+
+/**
+ * Write a 48-bit timestamp as 6 big-endian bytes using number arithmetic
+ * @private
+ */
+function writeTimestamp(target, offset, ms) {
+    const high = Math.floor(ms / 0x100000000);
+    const low = ms >>> 0;
+    target[offset] = high >>> 8;
+    target[offset + 1] = high & 0xFF;
+    target[offset + 2] = low >>> 24;
+    target[offset + 3] = (low >>> 16) & 0xFF;
+    target[offset + 4] = (low >>> 8) & 0xFF;
+    target[offset + 5] = low & 0xFF;
+}
+
+/**
+ * Validate the counter options shared by UUID48Timestamp and SharedUUID48Timestamp
+ * @param {Object} options - Generator options
+ * @param {number} options.maxSubMs - Maximum sub-millisecond counter value (1-65536, default: 4096)
+ * @param {string} options.waitStrategy - "increment", "wait" or "unique" (default: "increment")
+ * @param {number} options.maxLookaheadMs - How far "unique" may run ahead of system time (default: 1000)
+ * @returns {{maxSubMs: bigint, waitStrategy: string, maxLookaheadMs: number}} Options with defaults applied
+ * @throws {Error} If an option is invalid
+ */
+export function resolveCounterOptions(options) {
+    const maxSubMs = BigInt(options.maxSubMs || 4096); // 12-bit counter space
+    const waitStrategy = options.waitStrategy || "increment";
+    const maxLookaheadMs = options.maxLookaheadMs ?? 1000;
+
+    if (maxSubMs <= 0n || maxSubMs > 65536n) {
+        throw new Error(`maxSubMs must be between 1 and 65536, got ${maxSubMs}`);
+    }
+
+    if (!["increment", "wait", "unique"].includes(waitStrategy)) {
+        throw new Error(`waitStrategy must be "increment", "wait" or "unique", got "${waitStrategy}"`);
+    }
+
+    if (!Number.isInteger(maxLookaheadMs) || maxLookaheadMs < 0) {
+        throw new Error(`maxLookaheadMs must be a non-negative integer, got ${maxLookaheadMs}`);
+    }
+
+    return { maxSubMs, waitStrategy, maxLookaheadMs };
+}
+
 export class UUID48Timestamp {
     /**
      * Create a new timestamp generator
      * @param {Object} options - Configuration options
      * @param {number} options.maxSubMs - Maximum sub-millisecond counter value (default: 4096)
-     * @param {string} options.waitStrategy - Strategy for counter overflow: "increment" or "wait" (default: "increment")
+     * @param {string} options.waitStrategy - Strategy for counter overflow: "increment", "wait" or "unique" (default: "increment")
+     * @param {number} options.maxLookaheadMs - How far "unique" may run ahead of system time before waiting (default: 1000)
+     * @param {number} options.maxDriftMs - How far any timestamp may run ahead of system time (default: unlimited)
+     * @param {string} options.driftPolicy - Beyond maxDriftMs: "throw" a ClockDriftError, "block" until back
+     *   within the limit, or "wait" until the clock catches up completely (default: "throw")
+     * @param {Function|{now: Function}} options.clock - Time source returning ms as number or bigint (default: Date.now)
+     * @param {{load: Function, update: Function}} options.stateStore - Persistent high-water mark store, e.g. FileStateStore
+     * @param {number|bigint|Date} options.epoch - Epoch the 48-bit timestamps count from (default: 0, the Unix epoch)
+     * @param {Function} options.onEvent - Called as onEvent(name, details) for "clockBackward",
+     *   "counterOverflow", "driftAhead" and "wait"
      */
     constructor(options = {}) {
-        this.lastSystemTime = 0n;
-        this.subMillisecondCounter = 0n;
-        this.maxSubMs = BigInt(options.maxSubMs || 4096); // 12-bit counter space
-        this.waitStrategy = options.waitStrategy || "increment"; // "increment" | "wait"
+        this.epoch = resolveEpoch(options.epoch);
+        this.clock = resolveClock(options.clock, this.epoch);
+        this.clockMs = resolveClockMs(options.clock, this.epoch);
+        this.stateStore = options.stateStore || null;
+        this.onEvent = options.onEvent || null;
+
+        // State is kept in numbers for the hot path of generateInto(); the
+        // bigint accessors below serve the general path and callers
+        this._lastMs = 0;
+        this._counter = 0;
+        this._lastClockMs = 0;
+        this._leadMs = 0;
+        this._restoredMs = 0;
+        this._pendingEvents = null;
+        this.stats = {
+            generated: 0,
+            clockBackward: 0,
+            counterOverflow: 0,
+            driftAhead: 0,
+            wait: 0,
+            maxSkewMs: 0,
+            maxLeadMs: 0
+        };
+        const { maxSubMs, waitStrategy, maxLookaheadMs } = resolveCounterOptions(options);
+        this.maxSubMs = maxSubMs;
+        this.waitStrategy = waitStrategy;
+        this.maxLookaheadMs = maxLookaheadMs;
+        this.maxDriftMs = options.maxDriftMs ?? null;
+        this.driftPolicy = options.driftPolicy || "throw";
 
         // Validate options
-        if (this.maxSubMs <= 0n || this.maxSubMs > 65536n) {
-            throw new Error(`maxSubMs must be between 1 and 65536, got ${this.maxSubMs}`);
+        if (this.maxDriftMs !== null && (!Number.isInteger(this.maxDriftMs) || this.maxDriftMs < 0)) {
+            throw new Error(`maxDriftMs must be a non-negative integer, got ${this.maxDriftMs}`);
+        }
+
+        if (!DRIFT_POLICIES.includes(this.driftPolicy)) {
+            throw new Error(`driftPolicy must be "throw", "block" or "wait", got "${this.driftPolicy}"`);
         }
 
-        if (!["increment", "wait"].includes(this.waitStrategy)) {
-            throw new Error(`waitStrategy must be "increment" or "wait", got "${this.waitStrategy}"`);
+        // Never issue values below the mark persisted by a previous process
+        if (this.stateStore) {
+            this.lastSystemTime = this.stateStore.load();
+            this._restoredMs = this._lastMs;
         }
     }
 
+    /** Last issued timestamp in milliseconds since epoch */
+    get lastSystemTime() {
+        return BigInt(this._lastMs);
+    }
+
+    set lastSystemTime(value) {
+        this._lastMs = Number(value);
+    }
+
+    /** Sub-millisecond counter of the last issued timestamp */
+    get subMillisecondCounter() {
+        return BigInt(this._counter);
+    }
+
+    set subMillisecondCounter(value) {
+        this._counter = Number(value);
+    }
+
+    /** Previous clock reading, for detecting backward steps */
+    get lastClockTime() {
+        return BigInt(this._lastClockMs);
+    }
+
+    set lastClockTime(value) {
+        this._lastClockMs = Number(value);
+    }
+
+    /** Current lead of issued timestamps over the clock */
+    get leadMs() {
+        return BigInt(this._leadMs);
+    }
+
+    set leadMs(value) {
+        this._leadMs = Number(value);
+    }
+
     /**
      * Generate a 48-bit timestamp as 6-byte Buffer
-     * @returns {Buffer} 6-byte buffer containing the timestamp in big-endian format
-     * @throws {Error} If timestamp exceeds 48-bit limit
+     * @returns {Buffer|Uint8Array} 6-byte big-endian timestamp (Buffer where available)
+     * @throws {TimestampOverflowError} If timestamp exceeds 48-bit limit
      */
     generate() {
-        const systemTime = BigInt(Date.now());
+        const buffer = new Uint8Array(6);
+        this.generateInto(buffer, 0, 1);
+        return wrapBytes(buffer);
+    }
+
+    /**
+     * Write 48-bit timestamps directly into a caller-supplied buffer
+     * Issues the same values, events and statistics as calling generate()
+     * count times. While the clock moves forward and the counter has room,
+     * state stays in numbers: no BigInt arithmetic and no allocation per ID.
+     * @param {Buffer|Uint8Array} target - Buffer to write into
+     * @param {number} offset - Byte offset of the first timestamp (default: 0)
+     * @param {number} count - Number of consecutive 6-byte timestamps to write (default: 1)
+     * @returns {number} Offset just past the last written timestamp
+     * @throws {Error} If target is too small or timestamp exceeds 48-bit limit
+     */
+    generateInto(target, offset = 0, count = 1) {
+        if (!Number.isInteger(count) || count < 0) {
+            throw new Error(`count must be a non-negative integer, got ${count}`);
+        }
+        const end = checkWriteRange(target, offset, count * 6);
+
+        const maxSubMs = Number(this.maxSubMs);
+        const reuseMillisecond = this.waitStrategy !== "unique";
+
+        try {
+            for (let position = offset; position < end; position += 6) {
+                const systemTime = this.clockMs();
+                const inRange = systemTime <= MAX_TIMESTAMP_MS;
+
+                if (inRange && systemTime > this._lastMs) {
+                    this._lastMs = systemTime;
+                    this._counter = 0;
+                } else if (inRange && systemTime === this._lastMs && reuseMillisecond && this._counter + 1 < maxSubMs) {
+                    this._counter++;
+                } else {
+                    // Clock stepped back, counter overflow, "unique" borrowing or
+                    // 48-bit overflow: take the general path with this reading
+                    target.set(this._issue(BigInt(systemTime)), position);
+                    continue;
+                }
+
+                // Issued time equals the clock reading: no lead, no backward step
+                this._lastClockMs = systemTime;
+                this._leadMs = 0;
+                this.stats.generated++;
+                writeTimestamp(target, position, systemTime);
+            }
+        } finally {
+            if (this.stateStore && count > 0) {
+                this.stateStore.update(this.lastSystemTime);
+            }
+        }
+
+        return end;
+    }
+
+    /**
+     * Issue one timestamp for a clock reading through the general path
+     * @private
+     */
+    _issue(systemTime) {
+        // Clock events raised while issuing are held until state is updated,
+        // so that listeners see the counter, lead and stats of this timestamp
+        const outerEvents = this._pendingEvents;
+        const events = this._pendingEvents = [];
+        try {
+            this._checkClock(systemTime);
+            systemTime = this._limitDrift(systemTime);
+            const buffer = this._generateBuffer(systemTime);
+
+            this.stats.generated++;
+            this._observeLead(systemTime);
+
+            if (this.stateStore) {
+                this.stateStore.update(this.lastSystemTime);
+            }
+
+            return buffer;
+        } finally {
+            this._pendingEvents = outerEvents;
+            this._dispatchEvents(events);
+        }
+    }
+
+    /**
+     * Advance state for the given system time and return the timestamp buffer
+     * @private
+     */
+    _generateBuffer(systemTime) {
+        if (this.waitStrategy === "unique") {
+            return this._handleUnique(systemTime);
+        }
 
         if (systemTime === this.lastSystemTime) {
             return this._handleSameMillisecond(systemTime);
@@ -48,6 +276,129 @@ export class UUID48Timestamp {
         }
     }
 
+    /**
+     * Generate a 48-bit timestamp without blocking the event loop
+     * Where generate() would busy-wait ("wait" counter overflow, "unique"
+     * lookahead limit), yields to the event loop until the clock reaches the
+     * required millisecond. Ordering guarantees are those of generate().
+     * @returns {Promise<Buffer|Uint8Array>} 6-byte big-endian timestamp (Buffer where available)
+     * @throws {TimestampOverflowError} If timestamp exceeds 48-bit limit
+     */
+    async generateAsync() {
+        for (;;) {
+            const systemTime = this.clock();
+            const driftTarget = this._getDriftTarget(systemTime);
+            const targetTime = driftTarget ?? this._getWaitTarget(systemTime);
+
+            if (targetTime === null) {
+                return this.generate();
+            }
+
+            let reason = this.waitStrategy === "wait" ? "counterOverflow" : "lookahead";
+            if (driftTarget !== null) {
+                reason = "drift";
+            }
+            this._emit("wait", { reason, untilMs: Number(targetTime) });
+            await sleep(Number(targetTime - systemTime));
+        }
+    }
+
+    /**
+     * Time the clock must reach before generate() can proceed without waiting
+     * @private
+     * @returns {bigint|null} Target time, or null if no wait is needed
+     */
+    _getWaitTarget(systemTime) {
+        if (this.waitStrategy === "wait") {
+            const exhausted = this.subMillisecondCounter + 1n >= this.maxSubMs;
+            return systemTime === this.lastSystemTime && exhausted ? this.lastSystemTime + 1n : null;
+        }
+
+        if (this.waitStrategy === "unique" && systemTime <= this.lastSystemTime) {
+            const targetTime = this.lastSystemTime + 1n - BigInt(this.maxLookaheadMs);
+            return systemTime < targetTime ? targetTime : null;
+        }
+
+        return null;
+    }
+
+    /**
+     * Lead over the clock the next timestamp would have for this clock reading
+     * Mirrors the branches of _generateBuffer() without changing state.
+     * @private
+     * @returns {bigint} Lead in milliseconds (0n when issued at the reading)
+     */
+    _projectLead(systemTime) {
+        // A lease restored from the state store may run ahead of a correct
+        // clock; only what is issued beyond it counts as drift
+        if (systemTime < BigInt(this._restoredMs)) {
+            systemTime = BigInt(this._restoredMs);
+        }
+
+        if (systemTime > this.lastSystemTime) {
+            return 0n;
+        }
+
+        if (systemTime === this.lastSystemTime) {
+            const exhausted = this.subMillisecondCounter + 1n >= this.maxSubMs;
+            const borrows = this.waitStrategy === "unique" || (this.waitStrategy === "increment" && exhausted);
+            return borrows ? 1n : 0n;
+        }
+
+        return this.lastSystemTime + 1n - systemTime;
+    }
+
+    /**
+     * Time the clock must reach before the next timestamp is within maxDriftMs
+     * Under the "throw" policy nothing is awaited, so there is no target.
+     * @private
+     * @returns {bigint|null} Target time, or null if no wait is needed
+     */
+    _getDriftTarget(systemTime) {
+        if (this.maxDriftMs === null || this.driftPolicy === "throw") {
+            return null;
+        }
+        if (this._projectLead(systemTime) <= BigInt(this.maxDriftMs)) {
+            return null;
+        }
+
+        // "block" resumes at the limit, "wait" once nothing is borrowed
+        const allowedLead = this.driftPolicy === "block" ? BigInt(this.maxDriftMs) : 0n;
+        return this.lastSystemTime + 1n - allowedLead;
+    }
+
+    /**
+     * Apply maxDriftMs before issuing a timestamp for this clock reading
+     * @private
+     * @returns {bigint} Clock reading to issue the timestamp for
+     * @throws {ClockDriftError} Under the "throw" policy when the limit would be exceeded
+     */
+    _limitDrift(systemTime) {
+        if (this.maxDriftMs === null) {
+            return systemTime;
+        }
+
+        if (this.driftPolicy === "throw") {
+            const leadMs = this._projectLead(systemTime);
+            if (leadMs > BigInt(this.maxDriftMs)) {
+                throw new ClockDriftError(Number(leadMs), this.maxDriftMs);
+            }
+            return systemTime;
+        }
+
+        const targetTime = this._getDriftTarget(systemTime);
+        if (targetTime === null) {
+            return systemTime;
+        }
+
+        this._emit("wait", { reason: "drift", untilMs: Number(targetTime) });
+        this._waitUntil(targetTime);
+
+        const caughtUp = this.clock();
+        this.lastClockTime = caughtUp;
+        return caughtUp;
+    }
+
     /**
      * Handle generation within the same millisecond
      * @private
@@ -56,6 +407,12 @@ export class UUID48Timestamp {
         this.subMillisecondCounter++;
 
         if (this.subMillisecondCounter >= this.maxSubMs) {
+            this._emit("counterOverflow", {
+                timestampMs: Number(systemTime),
+                maxSubMs: Number(this.maxSubMs),
+                waitStrategy: this.waitStrategy
+            });
+
             if (this.waitStrategy === "wait") {
                 return this._waitForNextMillisecond();
             } else {
@@ -91,49 +448,161 @@ export class UUID48Timestamp {
         return this._timestampToBuffer(this.lastSystemTime);
     }
 
+    /**
+     * Handle generation in "unique" mode: every value is strictly greater
+     * than the previous one. When the clock has not advanced, the next
+     * millisecond is borrowed from the future; once the lead over system
+     * time would exceed maxLookaheadMs, block until the clock catches up.
+     * @private
+     */
+    _handleUnique(systemTime) {
+        if (systemTime > this.lastSystemTime) {
+            return this._handleNewMillisecond(systemTime);
+        }
+
+        const nextTime = this.lastSystemTime + 1n;
+        if (nextTime - systemTime > BigInt(this.maxLookaheadMs)) {
+            const targetTime = nextTime - BigInt(this.maxLookaheadMs);
+            this._emit("wait", { reason: "lookahead", untilMs: Number(targetTime) });
+            this._waitUntil(targetTime);
+        }
+
+        this.lastSystemTime = nextTime;
+        this.subMillisecondCounter = 0n;
+        return this._timestampToBuffer(nextTime);
+    }
+
+    /**
+     * Detect backward steps of a clock reading against the previous reading
+     * @private
+     */
+    _checkClock(systemTime) {
+        if (systemTime < this.lastClockTime) {
+            const skewMs = Number(this.lastClockTime - systemTime);
+            this.stats.maxSkewMs = Math.max(this.stats.maxSkewMs, skewMs);
+            this._emit("clockBackward", {
+                skewMs,
+                previousMs: Number(this.lastClockTime),
+                currentMs: Number(systemTime)
+            });
+        }
+
+        this.lastClockTime = systemTime;
+    }
+
+    /**
+     * Track how far issued timestamps run ahead of the clock
+     * @private
+     */
+    _observeLead(systemTime) {
+        const leadMs = this.lastSystemTime > systemTime ? this.lastSystemTime - systemTime : 0n;
+
+        if (leadMs > this.leadMs) {
+            this.stats.maxLeadMs = Math.max(this.stats.maxLeadMs, Number(leadMs));
+            this._emit("driftAhead", { leadMs: Number(leadMs), timestampMs: Number(this.lastSystemTime) });
+        }
+
+        this.leadMs = leadMs;
+    }
+
+    /**
+     * Report an event
+     * Inside _issue() clock events are queued until the timestamp is issued;
+     * a wait is reported before it starts, after the events queued so far.
+     * @private
+     */
+    _emit(name, details) {
+        if (this._pendingEvents) {
+            this._pendingEvents.push([name, details]);
+            if (name === "wait") {
+                this._dispatchEvents(this._pendingEvents.splice(0));
+            }
+            return;
+        }
+        this._dispatchEvents([[name, details]]);
+    }
+
+    /**
+     * Count events and forward them to the onEvent hook
+     * @private
+     */
+    _dispatchEvents(events) {
+        for (const [name, details] of events) {
+            this.stats[name]++;
+            if (this.onEvent) {
+                this.onEvent(name, details);
+            }
+        }
+    }
+
     /**
      * Convert timestamp to 6-byte buffer
      * @private
      */
     _timestampToBuffer(timestamp) {
+        return UUID48Timestamp.timestampToBuffer(timestamp);
+    }
+
+    /**
+     * Wait for next millisecond (busy wait)
+     * @private
+     */
+    _waitForNextMillisecond() {
+        this._emit("wait", { reason: "counterOverflow", untilMs: Number(this.lastSystemTime + 1n) });
+
+        let systemTime;
+        while ((systemTime = this.clock()) === this.lastSystemTime) {
+            // Minimal busy wait - could be optimized with setImmediate
+        }
+        return this._generateBuffer(systemTime);
+    }
+
+    /**
+     * Wait until system time reaches the target millisecond (busy wait)
+     * @private
+     */
+    _waitUntil(targetTime) {
+        while (this.clock() < targetTime) {
+            // Minimal busy wait - bounded by maxLookaheadMs
+        }
+    }
+
+    /**
+     * Convert timestamp in milliseconds to 6-byte big-endian buffer
+     * @param {bigint} timestamp - Timestamp in milliseconds
+     * @returns {Buffer|Uint8Array} 6-byte timestamp (Buffer where available)
+     * @throws {TimestampOverflowError} If timestamp exceeds 48-bit limit
+     */
+    static timestampToBuffer(timestamp) {
         // Validate 48-bit limit (2^48 - 1 = 281,474,976,710,655)
         const maxValue = 0xFFFFFFFFFFFFn;
         if (timestamp > maxValue) {
-            throw new Error(
+            throw new TimestampOverflowError(
+                timestamp,
+                maxValue,
                 `Timestamp ${timestamp} exceeds 48-bit limit (max: ${maxValue}). ` +
                 `This indicates system time is beyond year 8921. Check system clock configuration.`
             );
         }
 
         // Convert to 6-byte buffer in big-endian format
-        return Buffer.from([
+        return wrapBytes(new Uint8Array([
             Number((timestamp >> 40n) & 0xFFn),
             Number((timestamp >> 32n) & 0xFFn),
             Number((timestamp >> 24n) & 0xFFn),
             Number((timestamp >> 16n) & 0xFFn),
             Number((timestamp >> 8n) & 0xFFn),
             Number(timestamp & 0xFFn)
-        ]);
-    }
-
-    /**
-     * Wait for next millisecond (busy wait)
-     * @private
-     */
-    _waitForNextMillisecond() {
-        while (BigInt(Date.now()) === this.lastSystemTime) {
-            // Minimal busy wait - could be optimized with setImmediate
-        }
-        return this.generate();
+        ]));
     }
 
     /**
      * Validate a 6-byte timestamp buffer
-     * @param {Buffer} buffer - Buffer to validate
+     * @param {Buffer|Uint8Array} buffer - Bytes to validate
      * @returns {boolean} True if valid 6-byte timestamp
      */
     static validateBuffer(buffer) {
-        if (!Buffer.isBuffer(buffer)) {
+        if (!isBytes(buffer)) {
             return false;
         }
 
@@ -158,13 +627,13 @@ export class UUID48Timestamp {
 
     /**
      * Convert 6-byte buffer back to timestamp for validation/debugging
-     * @param {Buffer} buffer - 6-byte timestamp buffer
+     * @param {Buffer|Uint8Array} buffer - 6-byte timestamp
      * @returns {bigint} Timestamp in milliseconds
-     * @throws {Error} If buffer is invalid
+     * @throws {InvalidTimestampError} If buffer is invalid
      */
     static bufferToTimestamp(buffer) {
         if (!this.validateBuffer(buffer)) {
-            throw new Error("Invalid timestamp buffer: must be 6 bytes");
+            throw new InvalidTimestampError("Invalid timestamp buffer: must be 6 bytes", "buffer");
         }
 
         return (BigInt(buffer[0]) << 40n) |
@@ -175,6 +644,20 @@ export class UUID48Timestamp {
                BigInt(buffer[5]);
     }
 
+    /**
+     * Get runtime statistics
+     * @returns {Object} Event counters, maximum observed skew and current lead over the clock
+     */
+    getStats() {
+        const systemTime = this.clock();
+        const leadMs = this.lastSystemTime > systemTime ? Number(this.lastSystemTime - systemTime) : 0;
+
+        return {
+            ...this.stats,
+            leadMs
+        };
+    }
+
     /**
      * Get current configuration
      * @returns {Object} Current configuration options
@@ -182,7 +665,11 @@ export class UUID48Timestamp {
     getConfig() {
         return {
             maxSubMs: Number(this.maxSubMs),
-            waitStrategy: this.waitStrategy
+            waitStrategy: this.waitStrategy,
+            maxLookaheadMs: this.maxLookaheadMs,
+            maxDriftMs: this.maxDriftMs,
+            driftPolicy: this.driftPolicy,
+            epoch: Number(this.epoch)
         };
     }
 }
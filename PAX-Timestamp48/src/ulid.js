@@ -0,0 +1,120 @@
+/**
+ * ULID Module
+ *
+ * Generates 128-bit ULIDs (48-bit timestamp + 80 random bits) encoded as
+ * 26-character Crockford Base32. The timestamp comes from UUID48Timestamp;
+ * within one millisecond the random component is incremented instead of
+ * redrawn, so ULIDs from one generator sort in generation order.
+ *
+ * @author Pavel Valentov
+ * @license MIT
+ */
+
+import { UUID48Timestamp } from "./timestamp.js";
+import { isBytes, randomBytes, concatBytes, bytesEqual } from "./bytes.js";
+import { encodeBase32, decodeBase32 } from "./base32.js";
+import { InvalidTimestampError, ULIDOverflowError } from "./errors.js";
+
+/**
+ * Encode 16-byte ULID buffer as 26-character Crockford Base32 string
+ * @param {Buffer|Uint8Array} buffer - 16-byte ULID
+ * @returns {string} 26-character uppercase ULID
+ * @throws {InvalidTimestampError} If buffer is not 16 bytes
+ */
+export function encodeULID(buffer) {
+    if (!isBytes(buffer) || buffer.length !== 16) {
+        throw new InvalidTimestampError("Expected 16-byte ULID buffer", "ulid");
+    }
+
+    return encodeBase32(buffer, 26);
+}
+
+/**
+ * Decode 26-character ULID string into a 16-byte buffer
+ * Decoding is case-insensitive and accepts I/L for 1 and O for 0.
+ * @param {string} str - 26-character ULID
+ * @returns {Buffer|Uint8Array} 16-byte ULID (Buffer where available)
+ * @throws {InvalidTimestampError} If string is not a valid ULID
+ */
+export function decodeULID(str) {
+    if (typeof str !== "string" || str.length !== 26) {
+        throw new InvalidTimestampError("Invalid ULID: must be 26 characters", "ulid");
+    }
+
+    try {
+        return decodeBase32(str, 16);
+    } catch (error) {
+        throw new InvalidTimestampError(`Invalid ULID: ${error.message}`, "ulid");
+    }
+}
+
+/**
+ * Validate if a string is a valid 26-character ULID
+ * @param {string} str - String to validate
+ * @returns {boolean} True if valid ULID
+ */
+export function isValidULID(str) {
+    try {
+        decodeULID(str);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Monotonic ULID generator
+ */
+export class ULIDGenerator {
+    /**
+     * Create a new ULID generator
+     * @param {UUID48Timestamp} algorithm - Timestamp source (default: new UUID48Timestamp)
+     */
+    constructor(algorithm = new UUID48Timestamp()) {
+        this.algorithm = algorithm;
+        this.lastTimestamp = null;
+        this.lastRandom = null;
+    }
+
+    /**
+     * Generate a ULID as 16-byte buffer
+     * @returns {Buffer|Uint8Array} 16-byte ULID (Buffer where available)
+     * @throws {ULIDOverflowError} If the random component overflows within one millisecond
+     */
+    generateBuffer() {
+        const timestamp = this.algorithm.generate();
+
+        if (this.lastTimestamp && bytesEqual(timestamp, this.lastTimestamp)) {
+            this.lastRandom = this._incrementRandom(this.lastRandom);
+        } else {
+            this.lastTimestamp = timestamp;
+            this.lastRandom = randomBytes(10);
+        }
+
+        return concatBytes(timestamp, this.lastRandom);
+    }
+
+    /**
+     * Generate a ULID as 26-character string
+     * @returns {string} 26-character uppercase ULID
+     */
+    generate() {
+        return encodeULID(this.generateBuffer());
+    }
+
+    /**
+     * Increment 80-bit random component by one
+     * @private
+     */
+    _incrementRandom(random) {
+        const next = Uint8Array.from(random);
+        for (let i = next.length - 1; i >= 0; i--) {
+            if (next[i] < 0xFF) {
+                next[i]++;
+                return next;
+            }
+            next[i] = 0;
+        }
+        throw new ULIDOverflowError(UUID48Timestamp.bufferToTimestamp(this.lastTimestamp));
+    }
+}
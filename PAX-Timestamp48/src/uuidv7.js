@@ -0,0 +1,193 @@
+/**
+ * UUIDv7 Packing Module
+ *
+ * Builds full 128-bit RFC 9562 UUIDv7 values on top of 48-bit timestamps.
+ * The sub-millisecond counter of UUID48Timestamp is placed in rand_a
+ * (RFC 9562 Section 6.2, Method 1), so UUIDs from one generator sort in
+ * generation order even within the same millisecond.
+ *
+ * Layout (big-endian):
+ *   unix_ts_ms (48) | ver (4) | rand_a (12) | var (2) | rand_b (62)
+ *
+ * @author Pavel Valentov
+ * @license MIT
+ */
+
+import { encodeBase64URL, decodeBase64URL, isValidBase64URL } from "./base64url.js";
+import { isBytes, wrapBytes, bytesToHex, hexToBytes, randomBytes } from "./bytes.js";
+import { InvalidTimestampError } from "./errors.js";
+
+/**
+ * Number of counter bits used for a given maxSubMs.
+ * Counters up to 4096 fit in the 12-bit rand_a field; larger counters
+ * (up to 65536) use 16 bits and spill 4 bits into the top of rand_b.
+ * @param {number} maxSubMs - Maximum sub-millisecond counter value
+ * @returns {number} 12 or 16
+ */
+export function getCounterBits(maxSubMs = 4096) {
+    return maxSubMs <= 4096 ? 12 : 16;
+}
+
+/**
+ * Pack a 48-bit timestamp and counter into a 16-byte UUIDv7 buffer
+ * @param {Buffer|Uint8Array} timestampBuffer - 6-byte big-endian timestamp
+ * @param {number} counter - Sub-millisecond counter value
+ * @param {number} maxSubMs - Counter space the value comes from (default: 4096)
+ * @returns {Buffer|Uint8Array} 16-byte UUIDv7 (Buffer where available)
+ * @throws {Error} If inputs are out of range
+ */
+export function packUUIDv7(timestampBuffer, counter = 0, maxSubMs = 4096) {
+    if (!isBytes(timestampBuffer) || timestampBuffer.length !== 6) {
+        throw new InvalidTimestampError("Expected 6-byte timestamp buffer", "buffer");
+    }
+
+    const counterBits = getCounterBits(maxSubMs);
+    if (!Number.isInteger(counter) || counter < 0 || counter >= 2 ** counterBits) {
+        throw new Error(`Counter must be an integer between 0 and ${2 ** counterBits - 1}, got ${counter}`);
+    }
+
+    const uuid = new Uint8Array(16);
+    uuid.set(timestampBuffer, 0);
+    uuid.set(randomBytes(10), 6);
+
+    // rand_a holds the (high 12 bits of the) counter
+    const randA = counterBits === 12 ? counter : counter >> 4;
+    uuid[6] = 0x70 | ((randA >> 8) & 0x0F);
+    uuid[7] = randA & 0xFF;
+
+    // RFC 9562 variant (10xxxxxx); 16-bit counters continue in the next nibble
+    if (counterBits === 12) {
+        uuid[8] = 0x80 | (uuid[8] & 0x3F);
+    } else {
+        uuid[8] = 0x80 | ((counter & 0x0F) << 2) | (uuid[8] & 0x03);
+    }
+
+    return wrapBytes(uuid);
+}
+
+/**
+ * Check that a buffer is a 16-byte UUID with version 7 and RFC 9562 variant
+ * @param {Buffer|Uint8Array} buffer - Bytes to validate
+ * @returns {boolean} True if valid UUIDv7 buffer
+ */
+export function isValidUUIDv7Buffer(buffer) {
+    if (!isBytes(buffer) || buffer.length !== 16) {
+        return false;
+    }
+
+    return (buffer[6] & 0xF0) === 0x70 && (buffer[8] & 0xC0) === 0x80;
+}
+
+/**
+ * Format a 16-byte UUID buffer as canonical 8-4-4-4-12 string
+ * @param {Buffer|Uint8Array} buffer - 16-byte UUID
+ * @returns {string} Lowercase canonical UUID string
+ * @throws {InvalidTimestampError} If buffer is not 16 bytes
+ */
+export function uuidToString(buffer) {
+    if (!isBytes(buffer) || buffer.length !== 16) {
+        throw new InvalidTimestampError("Expected 16-byte UUID buffer", "uuid-buffer");
+    }
+
+    const hex = bytesToHex(buffer);
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-` +
+           `${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+/**
+ * Parse canonical 8-4-4-4-12 UUID string into a 16-byte buffer
+ * @param {string} str - UUID string (case-insensitive)
+ * @returns {Buffer|Uint8Array} 16-byte UUID (Buffer where available)
+ * @throws {InvalidTimestampError} If string is not a canonical UUID
+ */
+export function stringToUUID(str) {
+    if (!isValidUUIDString(str)) {
+        throw new InvalidTimestampError("Invalid UUID string: expected 8-4-4-4-12 hex format", "uuid");
+    }
+
+    return hexToBytes(str.replace(/-/g, ""));
+}
+
+/**
+ * Validate canonical UUID string shape (any version)
+ * @param {string} str - String to validate
+ * @returns {boolean} True if string has 8-4-4-4-12 hex shape
+ */
+export function isValidUUIDString(str) {
+    return typeof str === "string" &&
+        /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(str);
+}
+
+/**
+ * Encode 16-byte UUID buffer as 22-character Base64URL string
+ * @param {Buffer|Uint8Array} buffer - 16-byte UUID
+ * @returns {string} 22-character Base64URL string
+ * @throws {InvalidTimestampError} If buffer is not 16 bytes
+ */
+export function uuidToBase64URL(buffer) {
+    if (!isBytes(buffer) || buffer.length !== 16) {
+        throw new InvalidTimestampError("Expected 16-byte UUID buffer", "uuid-buffer");
+    }
+
+    return encodeBase64URL(buffer);
+}
+
+/**
+ * Decode 22-character Base64URL string into a 16-byte UUID buffer
+ * @param {string} str - 22-character Base64URL string
+ * @returns {Buffer|Uint8Array} 16-byte UUID (Buffer where available)
+ * @throws {InvalidTimestampError} If string is not a canonical 22-character encoding
+ */
+export function base64URLToUUID(str) {
+    if (!isValidBase64URL(str) || str.length !== 22) {
+        throw new InvalidTimestampError(
+            "Invalid UUID Base64URL: must be 22 characters encoding 16 bytes",
+            "uuid-base64url"
+        );
+    }
+
+    const buffer = decodeBase64URL(str);
+
+    // Reject non-canonical strings whose trailing 4 bits are not zero
+    if (encodeBase64URL(buffer) !== str) {
+        throw new InvalidTimestampError("Invalid UUID Base64URL: non-canonical trailing bits", "uuid-base64url");
+    }
+
+    return buffer;
+}
+
+/**
+ * Extract the 6-byte timestamp prefix of a UUIDv7 buffer
+ * @param {Buffer|Uint8Array} buffer - 16-byte UUIDv7
+ * @returns {Buffer|Uint8Array} 6-byte timestamp (Buffer where available)
+ * @throws {InvalidTimestampError} If buffer is not a valid UUIDv7
+ */
+export function uuidToTimestamp(buffer) {
+    if (!isValidUUIDv7Buffer(buffer)) {
+        throw new InvalidTimestampError(
+            "Invalid UUIDv7 buffer: expected 16 bytes with version 7 and RFC 9562 variant",
+            "uuid-buffer"
+        );
+    }
+
+    return wrapBytes(Uint8Array.from(buffer.subarray(0, 6)));
+}
+
+/**
+ * Copy a 16-byte buffer and set UUIDv7 version and RFC 9562 variant bits
+ * Used to turn other 128-bit time-ordered IDs (such as ULIDs) into UUIDv7;
+ * the 6 overwritten random bits are lost.
+ * @param {Buffer|Uint8Array} buffer - 16 bytes with 48-bit timestamp prefix
+ * @returns {Buffer|Uint8Array} 16-byte UUIDv7 (Buffer where available)
+ * @throws {InvalidTimestampError} If buffer is not 16 bytes
+ */
+export function setUUIDv7Bits(buffer) {
+    if (!isBytes(buffer) || buffer.length !== 16) {
+        throw new InvalidTimestampError("Expected 16-byte UUID buffer", "uuid-buffer");
+    }
+
+    const uuid = wrapBytes(Uint8Array.from(buffer));
+    uuid[6] = 0x70 | (uuid[6] & 0x0F);
+    uuid[8] = 0x80 | (uuid[8] & 0x3F);
+    return uuid;
+}
@@ -1,16 +1,27 @@
 import { test, describe } from "node:test";
 import assert from "node:assert";
+import { createRequire } from "node:module";
 import { 
     generate, 
     generateId, 
     generateHex, 
     generateBuffer,
+    generateUUIDv7,
+    generateULID,
     validate, 
     TimestampGenerator,
     convert,
     timestampToDate,
     getTimestampAge,
-    isTimestampFresh
+    isTimestampFresh,
+    fromDate,
+    boundsForRange,
+    parse,
+    check,
+    UUID48Timestamp,
+    ManualClock,
+    ClockDriftError,
+    InvalidFormatError
 } from "../src/index.js";
 
 describe("Public API - Convenience Functions", () => {
@@ -37,6 +48,19 @@ describe("Public API - Convenience Functions", () => {
         assert.ok(Buffer.isBuffer(buffer));
         assert.strictEqual(buffer.length, 6);
     });
+
+    test("generate() supports uint8array output", () => {
+        const bytes = generate("uint8array");
+
+        assert.strictEqual(Object.getPrototypeOf(bytes), Uint8Array.prototype);
+        assert.ok(validate(bytes, "uint8array"));
+        assert.ok(convert(bytes, "uint8array", "buffer").equals(bytes));
+
+        const uuid = generateUUIDv7("uuid-uint8array");
+        assert.strictEqual(Object.getPrototypeOf(uuid), Uint8Array.prototype);
+        assert.strictEqual(convert(uuid, "uuid-uint8array", "uuid-buffer").length, 16);
+        assert.ok(validate(uuid, "uuid-uint8array"));
+    });
     
     test("convenience functions work correctly", () => {
         const id = generateId();
@@ -63,6 +87,13 @@ describe("Public API - Convenience Functions", () => {
         assert.ok(!validate(null));
         assert.ok(!validate(undefined));
     });
+
+    // Top-level await anywhere in the module graph would make require() throw ERR_REQUIRE_ASYNC_MODULE
+    test("entry point loads synchronously through require()", { skip: !process.features.require_module }, () => {
+        const api = createRequire(import.meta.url)("../src/index.js");
+        assert.strictEqual(api.generate, generate);
+        assert.strictEqual(typeof api.obfuscate, "function");
+    });
 });
 
 describe("Public API - TimestampGenerator Class", () => {
@@ -113,6 +144,148 @@ describe("Public API - TimestampGenerator Class", () => {
         assert.ok(unique.size >= 1, "Should have at least some unique timestamps");
     });
     
+    test("unique strategy never repeats across tight generateBatch loops", () => {
+        const generator = new TimestampGenerator({ waitStrategy: "unique", maxLookaheadMs: 60000 });
+        const seen = new Set();
+        let last = "";
+
+        for (let round = 0; round < 10; round++) {
+            for (const id of generator.generateBatch(500, "hex")) {
+                assert.ok(id > last, "Each ID should sort after the previous one");
+                seen.add(id);
+                last = id;
+            }
+        }
+
+        assert.strictEqual(seen.size, 5000);
+        assert.strictEqual(generator.getConfig().waitStrategy, "unique");
+    });
+
+    test("generateBatchBuffer returns one contiguous buffer", () => {
+        const generator = new TimestampGenerator({ clock: new ManualClock(Date.UTC(2024, 0, 1), { autoAdvanceMs: 1 }) });
+        const bytes = generator.generateBatchBuffer(4);
+
+        assert.ok(Buffer.isBuffer(bytes));
+        assert.strictEqual(bytes.length, 24);
+        for (let i = 0; i < 4; i++) {
+            assert.strictEqual(bytes.readUIntBE(i * 6, 6), Date.UTC(2024, 0, 1) + i);
+        }
+        assert.deepStrictEqual(
+            generator.generateBatch(2, "hex"),
+            [Date.UTC(2024, 0, 1) + 4, Date.UTC(2024, 0, 1) + 5].map((ms) => ms.toString(16).padStart(12, "0"))
+        );
+        assert.throws(() => generator.generateBatchBuffer(0), /Count must be a positive integer/);
+    });
+
+    test("generateBatch rejects the format before generating and copies each ID", () => {
+        const generator = new TimestampGenerator({ clock: new ManualClock(1000), waitStrategy: "unique" });
+
+        assert.throws(() => generator.generateBatch(3000, "bogus"), InvalidFormatError);
+        assert.strictEqual(generator.getStats().generated, 0);
+
+        const [first, second] = generator.generateBatch(2, "buffer");
+        assert.strictEqual(first.buffer.byteLength, 6);
+        assert.notStrictEqual(first.buffer, second.buffer);
+        assert.strictEqual(second.readUIntBE(0, 6), first.readUIntBE(0, 6) + 1);
+    });
+
+    test("generateInto writes into a caller-supplied buffer", () => {
+        const generator = new TimestampGenerator({ clock: new ManualClock(1000) });
+        const target = Buffer.alloc(13);
+
+        assert.strictEqual(generator.generateInto(target, 1, 2), 13);
+        assert.strictEqual(target.readUIntBE(1, 6), 1000);
+        assert.strictEqual(target.readUIntBE(7, 6), 1000);
+        assert.strictEqual(generator.getStats().generated, 2);
+        assert.throws(() => generator.generateInto(target, 8), /Failed to generate timestamp: target is too small/);
+    });
+
+    test("maxDriftMs surfaces ClockDriftError unwrapped and reports drift", () => {
+        const clock = new ManualClock(1000);
+        const generator = new TimestampGenerator({ clock, maxSubMs: 1, maxDriftMs: 3, defaultFormat: "hex" });
+
+        generator.generateBatch(4);
+        assert.strictEqual(generator.getStats().leadMs, 3);
+        assert.strictEqual(generator.getConfig().maxDriftMs, 3);
+        assert.strictEqual(generator.getConfig().driftPolicy, "throw");
+
+        assert.throws(() => generator.generate(), ClockDriftError);
+        assert.throws(() => generator.generateUUID(), { code: "CLOCK_DRIFT", leadMs: 4 });
+        assert.throws(() => generator.generateBatch(1), ClockDriftError);
+
+        clock.advance(3);
+        assert.strictEqual(generator.generate(), (1004).toString(16).padStart(12, "0"));
+    });
+
+    test("generateBatchAsync keeps the event loop responsive", async () => {
+        const generator = new TimestampGenerator({ waitStrategy: "wait", maxSubMs: 1, defaultFormat: "hex" });
+        let ticks = 0;
+        const interval = setInterval(() => ticks++, 1);
+
+        try {
+            const batch = await generator.generateBatchAsync(30);
+
+            assert.strictEqual(new Set(batch).size, 30);
+            for (let i = 1; i < batch.length; i++) {
+                assert.ok(batch[i] > batch[i - 1], `ID at ${i} should sort after previous`);
+            }
+            assert.ok(ticks > 0, "Timers should run while waiting for the next millisecond");
+        } finally {
+            clearInterval(interval);
+        }
+    });
+
+    test("generateAsync shares monotonic state with generate", async () => {
+        const generator = new TimestampGenerator({ waitStrategy: "unique", maxLookaheadMs: 0, defaultFormat: "hex" });
+        const ids = [];
+
+        for (let i = 0; i < 10; i++) {
+            ids.push(generator.generate(), await generator.generateAsync());
+        }
+
+        assert.strictEqual(new Set(ids).size, ids.length);
+        assert.deepStrictEqual([...ids].sort(), ids);
+        await assert.rejects(() => generator.generateBatchAsync(0), /positive integer/);
+    });
+
+    test("emits generator events and exposes statistics", () => {
+        const clock = new ManualClock(5000);
+        const generator = new TimestampGenerator({ clock, waitStrategy: "unique", maxLookaheadMs: 10 });
+        const backward = [];
+        const drift = [];
+
+        generator.on("clockBackward", (details) => backward.push(details));
+        generator.once("driftAhead", (details) => drift.push(details));
+
+        generator.generate();
+        clock.rewind(3);
+        generator.generate();
+        generator.generate();
+
+        assert.deepStrictEqual(backward, [{ skewMs: 3, previousMs: 5000, currentMs: 4997 }]);
+        assert.deepStrictEqual(drift, [{ leadMs: 4, timestampMs: 5001 }]);
+
+        const stats = generator.getStats();
+        assert.strictEqual(stats.generated, 3);
+        assert.strictEqual(stats.clockBackward, 1);
+        assert.strictEqual(stats.maxSkewMs, 3);
+        assert.strictEqual(stats.leadMs, 5);
+    });
+
+    test("keeps onEvent hook of a provided algorithm", () => {
+        const seen = [];
+        const algorithm = new UUID48Timestamp({
+            clock: new ManualClock(1000),
+            maxSubMs: 1,
+            onEvent: (name) => seen.push(`hook:${name}`)
+        });
+        const generator = new TimestampGenerator({ algorithm });
+        generator.on("counterOverflow", () => seen.push("listener"));
+
+        generator.generateBatch(2);
+        assert.deepStrictEqual(seen, ["hook:counterOverflow", "listener", "hook:driftAhead"]);
+    });
+
     test("handles invalid batch count", () => {
         const generator = new TimestampGenerator();
         
@@ -141,6 +314,59 @@ describe("Public API - Utility Functions", () => {
         assert.strictEqual(id, backFromBuffer);
     });
     
+    test("decodes timestamps under a custom epoch", () => {
+        const epoch = Date.UTC(2015, 0, 1);
+        const generator = new TimestampGenerator({ epoch, defaultFormat: "hex" });
+        const id = generator.generate();
+
+        assert.strictEqual(generator.getConfig().epoch, epoch);
+        assert.ok(Math.abs(generator.timestampToDate(id).getTime() - Date.now()) < 5000);
+        assert.ok(Math.abs(timestampToDate(id, "hex", { epoch }).getTime() - Date.now()) < 5000);
+        assert.ok(getTimestampAge(id, "hex", { epoch }) < 5000);
+        assert.ok(isTimestampFresh(id, 5000, "hex", { epoch }));
+
+        // Without the epoch the same ID decodes to the 1980s
+        assert.ok(timestampToDate(id, "hex").getTime() < Date.UTC(1990, 0, 1));
+        assert.ok(!isTimestampFresh(id, 5000, "hex"));
+    });
+
+    test("rejects IDs decoded under the wrong epoch", () => {
+        const epoch = new Date("2015-01-01T00:00:00Z");
+        const unixId = generate("hex");
+
+        assert.ok(validate(unixId, "hex"));
+        assert.ok(!validate(unixId, "hex", { epoch }));
+        assert.throws(() => timestampToDate(unixId, "hex", { epoch }), /different epoch/);
+        assert.ok(!isTimestampFresh(unixId, 60000, "hex", { epoch }));
+        assert.ok(!new TimestampGenerator({ epoch }).validate(unixId, "hex"));
+        assert.throws(() => validate(unixId, "hex", { epoch: "2015" }), /epoch must be/);
+    });
+
+    test("refuses UUIDv7 and ULID under a custom epoch", () => {
+        const generator = new TimestampGenerator({ epoch: 1 });
+
+        assert.throws(() => generator.generateUUID(), /require the Unix epoch/);
+        assert.throws(() => generator.generateULID(), InvalidFormatError);
+    });
+
+    test("base64sort works across generate, validate, convert and timestampToDate", () => {
+        const sortable = generate("base64sort");
+
+        assert.strictEqual(sortable.length, 8);
+        assert.ok(validate(sortable, "base64sort"));
+
+        const hex = convert(sortable, "base64sort", "hex");
+        assert.strictEqual(convert(hex, "hex", "base64sort"), sortable);
+        assert.strictEqual(
+            timestampToDate(sortable, "base64sort").getTime(),
+            timestampToDate(hex, "hex").getTime()
+        );
+
+        const generator = new TimestampGenerator({ defaultFormat: "base64sort", waitStrategy: "unique" });
+        const batch = generator.generateBatch(50);
+        assert.deepStrictEqual([...batch].sort(), batch);
+    });
+
     test("timestampToDate converts correctly", () => {
         const id = generateId();
         const date = timestampToDate(id);
@@ -183,6 +409,535 @@ describe("Public API - Utility Functions", () => {
     });
 });
 
+describe("Public API - Numeric Formats", () => {
+    const ms = Date.UTC(2024, 0, 1);
+
+    test("generate() returns number, bigint and decimal timestamps", () => {
+        const number = generate("number");
+        const bigint = generate("bigint");
+        const decimal = generate("decimal");
+
+        assert.ok(Number.isSafeInteger(number));
+        assert.ok(Math.abs(number - Date.now()) < 5000);
+        assert.strictEqual(typeof bigint, "bigint");
+        assert.match(decimal, /^[1-9]\d*$/);
+        assert.ok(BigInt(decimal) >= bigint);
+    });
+
+    test("TimestampGenerator uses numeric formats as defaultFormat", () => {
+        const clock = new ManualClock(ms);
+        const generator = new TimestampGenerator({ clock, defaultFormat: "number" });
+
+        assert.strictEqual(generator.generate(), ms);
+        assert.strictEqual(generator.generate("bigint"), BigInt(ms));
+        assert.deepStrictEqual(generator.generateBatch(2, "decimal"), [String(ms), String(ms)]);
+        assert.strictEqual(generator.timestampToDate(ms).getTime(), ms);
+        assert.ok(generator.validate(ms));
+    });
+
+    test("validate enforces the 48-bit range", () => {
+        const max = 2 ** 48 - 1;
+
+        assert.ok(validate(0, "number"));
+        assert.ok(validate(max, "number"));
+        assert.ok(!validate(max + 1, "number"));
+        assert.ok(!validate(-1, "number"));
+        assert.ok(!validate(1.5, "number"));
+        assert.ok(!validate(1n, "number"));
+
+        assert.ok(validate(BigInt(max), "bigint"));
+        assert.ok(!validate(BigInt(max) + 1n, "bigint"));
+        assert.ok(!validate(-1n, "bigint"));
+        assert.ok(!validate(1, "bigint"));
+
+        assert.ok(validate("0", "decimal"));
+        assert.ok(validate(String(max), "decimal"));
+        assert.ok(!validate(String(max + 1), "decimal"));
+        assert.ok(!validate("0123", "decimal"));
+        assert.ok(!validate("-1", "decimal"));
+        assert.ok(!validate(123, "decimal"));
+    });
+
+    test("convert and timestampToDate round-trip numeric formats", () => {
+        const hex = ms.toString(16).padStart(12, "0");
+
+        assert.strictEqual(convert(hex, "hex", "number"), ms);
+        assert.strictEqual(convert(ms, "number", "bigint"), BigInt(ms));
+        assert.strictEqual(convert(BigInt(ms), "bigint", "decimal"), String(ms));
+        assert.strictEqual(convert(String(ms), "decimal", "hex"), hex);
+        assert.strictEqual(timestampToDate(BigInt(ms), "bigint").getTime(), ms);
+        assert.strictEqual(fromDate(ms, "number"), ms);
+        assert.throws(() => convert(2 ** 48, "number", "hex"), /Invalid timestamp/);
+    });
+
+    test("parse() detects numbers and bigints", () => {
+        assert.strictEqual(parse(ms).format, "number");
+        assert.strictEqual(parse(BigInt(ms)).timestamp, ms);
+        assert.strictEqual(parse(String(ms), { format: "decimal" }).date.getTime(), ms);
+    });
+});
+
+describe("Public API - Streams and Iterators", () => {
+    test("stream() ends after count and shares monotonic state", async () => {
+        const generator = new TimestampGenerator({ waitStrategy: "unique", maxLookaheadMs: 0, defaultFormat: "hex" });
+        const before = generator.generate();
+
+        const ids = [];
+        for await (const id of generator.stream({ count: 5 })) {
+            ids.push(id);
+        }
+        const after = generator.generate();
+
+        assert.strictEqual(ids.length, 5);
+        const sequence = [before, ...ids, after];
+        for (let i = 1; i < sequence.length; i++) {
+            assert.ok(sequence[i] > sequence[i - 1], `ID ${i} should be greater than ID ${i - 1}`);
+        }
+    });
+
+    test("stream() generates only as far ahead as the consumer reads", async () => {
+        const generator = new TimestampGenerator({ clock: new ManualClock(Date.UTC(2024, 0, 1)) });
+        const stream = generator.stream({ format: "buffer", highWaterMark: 2 });
+
+        await new Promise((resolve) => stream.once("readable", resolve));
+        await new Promise((resolve) => setImmediate(resolve));
+        const buffered = generator.getStats().generated;
+        assert.ok(buffered <= 3, `generated ${buffered} IDs without a reader`);
+
+        const first = stream.read();
+        assert.ok(Buffer.isBuffer(first));
+        assert.strictEqual(first.length, 6);
+        stream.destroy();
+    });
+
+    test("for await over the generator yields until the loop breaks", async () => {
+        const generator = new TimestampGenerator({ waitStrategy: "unique", maxLookaheadMs: 0 });
+        const ids = [];
+        for await (const id of generator) {
+            ids.push(id);
+            if (ids.length === 3) {
+                break;
+            }
+        }
+
+        assert.strictEqual(ids.length, 3);
+        assert.ok(ids.every((id) => generator.validate(id)));
+        assert.strictEqual(new Set(ids).size, 3);
+    });
+
+    test("iterators accept count and format limits", async () => {
+        const generator = new TimestampGenerator({ waitStrategy: "unique", maxLookaheadMs: 0 });
+
+        const sync = [...generator[Symbol.iterator]({ count: 4, format: "base32" })];
+        assert.strictEqual(sync.length, 4);
+        assert.ok(sync.every((id) => validate(id, "base32")));
+
+        const async = [];
+        for await (const id of generator[Symbol.asyncIterator]({ count: 2, format: "hex" })) {
+            async.push(id);
+        }
+        assert.strictEqual(async.length, 2);
+        assert.ok(async[1] > async[0]);
+    });
+
+    test("rejects invalid stream and iterator options eagerly", () => {
+        const generator = new TimestampGenerator();
+
+        assert.throws(() => generator.stream({ count: 0 }), /Count must be a positive integer/);
+        assert.throws(() => generator.stream({ format: "uuid" }), /Unsupported format/);
+        assert.throws(() => generator[Symbol.iterator]({ count: 1.5 }), /Count must be a positive integer/);
+        assert.throws(() => generator[Symbol.asyncIterator]({ format: "nope" }), /Unsupported format/);
+    });
+});
+
+describe("Public API - Range Bounds", () => {
+    test("fromDate builds 48-bit IDs from dates, milliseconds and ISO strings", () => {
+        const ms = Date.UTC(2024, 5, 15, 12, 0, 0, 123);
+
+        assert.strictEqual(fromDate(new Date(ms), "hex"), ms.toString(16).padStart(12, "0"));
+        assert.strictEqual(fromDate(ms), fromDate(new Date(ms)));
+        assert.strictEqual(fromDate(BigInt(ms)), fromDate(new Date(ms)));
+        assert.strictEqual(fromDate(new Date(ms).toISOString()), fromDate(new Date(ms)));
+        assert.strictEqual(timestampToDate(fromDate(ms, "base32"), "base32").getTime(), ms);
+        assert.deepStrictEqual(fromDate(ms, "uint8array"), Uint8Array.from(UUID48Timestamp.timestampToBuffer(BigInt(ms))));
+        assert.strictEqual(fromDate(ms, "hex", { bound: "upper" }), fromDate(ms, "hex"));
+    });
+
+    test("fromDate builds UUIDv7 and ULID bounds with all-0 and all-1 random bits", () => {
+        const ms = 0x0190_1234_5678;
+
+        assert.strictEqual(fromDate(ms, "uuid"), "01901234-5678-7000-8000-000000000000");
+        assert.strictEqual(fromDate(ms, "uuid", { bound: "upper" }), "01901234-5678-7fff-bfff-ffffffffffff");
+        assert.ok(validate(fromDate(ms, "uuid", { bound: "upper" }), "uuid"));
+        assert.strictEqual(fromDate(ms, "ulid"), "01J0938NKR0000000000000000");
+        assert.strictEqual(fromDate(ms, "ulid", { bound: "upper" }), "01J0938NKRZZZZZZZZZZZZZZZZ");
+    });
+
+    test("boundsForRange includes every ID generated within the range", () => {
+        const start = Date.UTC(2024, 0, 1);
+        const generator = new TimestampGenerator({ clock: new ManualClock(start, { autoAdvanceMs: 1 }) });
+        const uuids = generator.generateUUIDBatch(20, "uuid");
+        const sortable = generator.generateBatch(20, "base64sort");
+        const end = start + 39;
+
+        for (const [format, ids] of [["uuid", uuids], ["base64sort", sortable]]) {
+            const { lower, upper } = boundsForRange(start, end, format);
+            for (const id of ids) {
+                assert.ok(lower <= id && id <= upper, `${id} should be within [${lower}, ${upper}]`);
+            }
+        }
+
+        const { lower, upper } = boundsForRange(start + 1, end - 1, "uuid");
+        assert.ok(uuids[0] < lower);
+        assert.ok(sortable[19] > boundsForRange(start, end - 1, "base64sort").upper);
+        assert.ok(upper < "ffffffff-ffff-7fff-bfff-ffffffffffff");
+    });
+
+    test("range bounds honor a custom epoch", () => {
+        const epoch = new Date("2020-01-01T00:00:00Z");
+        const generator = new TimestampGenerator({ epoch, defaultFormat: "hex" });
+        const date = new Date("2024-01-01T00:00:00Z");
+
+        assert.strictEqual(generator.fromDate(date), (date.getTime() - epoch.getTime()).toString(16).padStart(12, "0"));
+        assert.strictEqual(generator.timestampToDate(generator.fromDate(date)).getTime(), date.getTime());
+        assert.deepStrictEqual(boundsForRange(date, date, "hex", { epoch }), generator.boundsForRange(date, date));
+        assert.throws(() => generator.fromDate(date, "uuid"), /require the Unix epoch/);
+        assert.throws(() => generator.fromDate(new Date("2019-01-01T00:00:00Z")), /before epoch/);
+    });
+
+    test("range bounds reject invalid input", () => {
+        assert.throws(() => fromDate("not a date"), /Invalid date/);
+        assert.throws(() => fromDate(NaN), /Invalid date/);
+        assert.throws(() => fromDate(-1), /before epoch/);
+        assert.throws(() => fromDate(2 ** 48), /48-bit limit/);
+        assert.throws(() => fromDate(0, "uuid", { bound: "middle" }), /bound must be/);
+        assert.throws(() => fromDate(0, "base36"), /Unsupported format/);
+        assert.throws(() => boundsForRange(2000, 1000), /start must not be after/);
+    });
+});
+
+describe("Public API - check", () => {
+    const reason = (...args) => check(...args).reason;
+
+    test("reports shape problems with reason codes", () => {
+        assert.strictEqual(reason("AZjMtm5", "base64url"), "BAD_LENGTH");
+        assert.strictEqual(reason("AZjMtm5+", "base64url"), "BAD_ALPHABET");
+        assert.strictEqual(reason(12345, "hex"), "BAD_TYPE");
+        assert.strictEqual(reason(null), "BAD_TYPE");
+        assert.strictEqual(reason("0198ccb66e4g", "hex"), "BAD_ALPHABET");
+        assert.strictEqual(reason(new Uint8Array(5), "uint8array"), "BAD_LENGTH");
+        assert.strictEqual(reason("ZZZZZZZZZZ", "base32"), "OUT_OF_RANGE");
+        assert.strictEqual(reason("01U0000000", "base32"), "BAD_ALPHABET");
+        assert.strictEqual(reason(2 ** 48, "number"), "OUT_OF_RANGE");
+        assert.strictEqual(reason("0123", "decimal"), "NON_CANONICAL");
+        assert.strictEqual(reason("12a", "decimal"), "BAD_ALPHABET");
+        assert.strictEqual(reason("AZjMtm5O", "base65"), "UNSUPPORTED_FORMAT");
+    });
+
+    test("reports UUID version, variant and layout problems", () => {
+        assert.strictEqual(reason("0198ccb6-6e4e-4000-8000-000000000000", "uuid"), "BAD_VERSION");
+        assert.strictEqual(reason("0198ccb6-6e4e-7000-c000-000000000000", "uuid"), "BAD_VARIANT");
+        assert.strictEqual(reason("0198ccb66-e4e-7000-8000-000000000000", "uuid"), "MALFORMED");
+        assert.strictEqual(reason("0198ccb6-6e4e-7000-8000-00000000000", "uuid"), "BAD_LENGTH");
+        assert.strictEqual(check(generateUUIDv7(), "uuid").valid, true);
+    });
+
+    test("reports valid IDs with their timestamp", () => {
+        const ms = Date.UTC(2024, 0, 1);
+        const id = fromDate(ms);
+
+        assert.deepStrictEqual(check(id), { valid: true, reason: null, message: null, timestamp: ms });
+        assert.strictEqual(check(id, "hex").timestamp, null);
+    });
+
+    test("enforces notBefore, notAfter and maxFutureSkewMs", () => {
+        const old = fromDate("1970-01-02T00:00:00Z");
+        const farFuture = fromDate("8000-01-01T00:00:00Z");
+        const now = generateId();
+        const bounds = { notBefore: "2020-01-01T00:00:00Z", notAfter: new Date("2100-01-01T00:00:00Z") };
+
+        assert.strictEqual(reason(old, "base64url", bounds), "BEFORE_EPOCH");
+        assert.strictEqual(reason(farFuture, "base64url", bounds), "AFTER_CUTOFF");
+        assert.strictEqual(reason(farFuture, "base64url", { maxFutureSkewMs: 60000 }), "IN_FUTURE");
+        assert.strictEqual(reason(fromDate(Date.now() + 30000), "base64url", { maxFutureSkewMs: 1000 }), "IN_FUTURE");
+        assert.strictEqual(check(now, "base64url", { ...bounds, maxFutureSkewMs: 1000 }).valid, true);
+
+        assert.ok(validate(old));
+        assert.ok(!validate(old, "base64url", bounds));
+        assert.ok(!validate(farFuture, "base64url", { maxFutureSkewMs: 0 }));
+        assert.ok(validate(now, "base64url", { maxFutureSkewMs: 1000 }));
+    });
+
+    test("reports BEFORE_EPOCH for IDs earlier than notBefore under a custom epoch", () => {
+        const epoch = Date.UTC(2020, 0, 1);
+        const id = fromDate(Date.UTC(2021, 0, 1), "base64url", { epoch });
+        const result = check(id, "base64url", { epoch, notBefore: "2022-01-01T00:00:00Z" });
+
+        assert.strictEqual(result.reason, "BEFORE_EPOCH");
+        assert.match(result.message, /before notBefore/);
+        assert.strictEqual(result.timestamp, Date.UTC(2021, 0, 1));
+        assert.strictEqual(check(id, "base64url", { epoch, notBefore: epoch }).valid, true);
+    });
+
+    test("reports IDs from a different epoch", () => {
+        const result = check(generateId(), "base64url", { epoch: new Date("2020-01-01T00:00:00Z") });
+        assert.strictEqual(result.reason, "WRONG_EPOCH");
+        assert.match(result.message, /different epoch/);
+    });
+
+    test("TimestampGenerator checks with its epoch and format", () => {
+        const generator = new TimestampGenerator({ epoch: Date.UTC(2020, 0, 1), defaultFormat: "hex" });
+        const id = generator.generate();
+
+        assert.strictEqual(generator.check(id).valid, true);
+        assert.strictEqual(generator.check(id, "hex", { notAfter: "2021-01-01" }).reason, "AFTER_CUTOFF");
+        assert.ok(!generator.validate(id, "hex", { notAfter: "2021-01-01" }));
+    });
+
+    test("rejects invalid options", () => {
+        assert.throws(() => check(generateId(), "base64url", { maxFutureSkewMs: -1 }), /maxFutureSkewMs/);
+        assert.throws(() => validate(generateId(), "base64url", { notBefore: "not a date" }), /Invalid date/);
+    });
+});
+
+describe("Public API - parse", () => {
+    test("detects and decodes 48-bit formats", () => {
+        const ms = Date.UTC(2024, 5, 13, 15, 25, 38, 296);
+        const buffer = UUID48Timestamp.timestampToBuffer(BigInt(ms));
+
+        for (const [id, format] of [
+            [convert(buffer, "buffer", "base64url"), "base64url"],
+            [convert(buffer, "buffer", "hex"), "hex"],
+            [convert(buffer, "buffer", "base32"), "base32"],
+            [buffer, "buffer"],
+            [Uint8Array.from(buffer), "uint8array"]
+        ]) {
+            const parsed = parse(id);
+            assert.strictEqual(parsed.format, format);
+            assert.strictEqual(parsed.bits, 48);
+            assert.strictEqual(parsed.timestamp, ms);
+            assert.strictEqual(parsed.date.getTime(), ms);
+            assert.strictEqual(parsed.version, null);
+            assert.strictEqual(parsed.counter, null);
+            assert.ok(parsed.conformant);
+            assert.deepStrictEqual(parsed.findings, []);
+        }
+
+        assert.strictEqual(parse(convert(buffer, "buffer", "base64sort"), { format: "base64sort" }).timestamp, ms);
+    });
+
+    test("decodes UUIDv7 fields from every 128-bit shape", () => {
+        const uuid = "01901234-5678-7abc-9def-0123456789ab";
+        const expected = {
+            bits: 128,
+            timestamp: 0x019012345678,
+            version: 7,
+            variant: "rfc9562",
+            counter: 0xabc,
+            random: "1def0123456789ab",
+            conformant: true
+        };
+
+        // 22-char Base64URL is the shape produced by Timestamp48/gpt-5.js
+        for (const [id, format] of [
+            [uuid, "uuid"],
+            ["019012345678" + "7abc9def0123456789ab", "uuid-hex"],
+            ["AZASNFZ4eryd7wEjRWeJqw", "uuid-base64url"],
+            [convert(uuid, "uuid", "uuid-buffer"), "uuid-buffer"],
+            [convert(uuid, "uuid", "uuid-uint8array"), "uuid-uint8array"]
+        ]) {
+            const { date, findings, ...fields } = parse(id);
+            assert.deepStrictEqual(fields, { format, ...expected });
+            assert.strictEqual(date.getTime(), expected.timestamp);
+            assert.deepStrictEqual(findings, []);
+        }
+    });
+
+    test("decodes ULIDs and generated IDs", () => {
+        const ulid = parse("01J0938NKR0000000000000000");
+        assert.strictEqual(ulid.format, "ulid");
+        assert.strictEqual(ulid.timestamp, 0x019012345678);
+        assert.strictEqual(ulid.random, "00000000000000000000");
+        assert.strictEqual(ulid.variant, null);
+
+        const generator = new TimestampGenerator({ clock: new ManualClock(Date.UTC(2024, 0, 1)) });
+        generator.generateUUID();
+        const parsed = parse(generator.generateUUID("uuid-base64url"));
+        assert.strictEqual(parsed.counter, 1);
+        assert.strictEqual(parsed.timestamp, Date.UTC(2024, 0, 1));
+    });
+
+    test("reports conformance problems as findings", () => {
+        const codes = (id) => parse(id).findings.map((finding) => finding.code);
+
+        assert.deepStrictEqual(codes("01901234-5678-4abc-8def-0123456789ab"), ["BAD_VERSION"]);
+        assert.deepStrictEqual(codes("01901234-5678-7abc-cdef-0123456789ab"), ["BAD_VARIANT"]);
+        assert.deepStrictEqual(codes("01901234-5678-7ABC-9DEF-0123456789AB"), ["NON_CANONICAL"]);
+        assert.deepStrictEqual(codes("AZASNFZ4eryd7wEjRWeJqx"), ["NON_CANONICAL"]);
+        assert.deepStrictEqual(codes(fromDate(Date.now() + 60000)), ["IN_FUTURE"]);
+        assert.deepStrictEqual(
+            codes("ffffffff-ffff-0fff-0fff-ffffffffffff"),
+            ["BAD_VERSION", "BAD_VARIANT", "IN_FUTURE"]
+        );
+
+        const parsed = parse("01901234-5678-7abc-cdef-0123456789ab");
+        assert.strictEqual(parsed.variant, "microsoft");
+        assert.strictEqual(parsed.conformant, false);
+        assert.match(parsed.findings[0].message, /1100/);
+    });
+
+    test("applies a custom epoch to 48-bit formats", () => {
+        const epoch = new Date("2020-01-01T00:00:00Z");
+        const generator = new TimestampGenerator({ epoch, clock: new ManualClock(Date.UTC(2024, 0, 1)) });
+
+        assert.strictEqual(parse(generator.generate(), { epoch }).timestamp, Date.UTC(2024, 0, 1));
+    });
+
+    test("throws on malformed or unrecognized input", () => {
+        assert.throws(() => parse("not-an-id"), /Unrecognized ID/);
+        assert.throws(() => parse(Buffer.alloc(7)), /Unrecognized ID/);
+        assert.throws(() => parse(null), /Unrecognized ID/);
+        assert.throws(() => parse("zzzz", { format: "hex" }), /Invalid timestamp/);
+        assert.throws(() => parse("abc", { format: "uuid-base64url" }), /Invalid UUID Base64URL/);
+        assert.throws(() => parse("abc", { format: "base36" }), /Unsupported format/);
+    });
+});
+
+describe("Public API - UUIDv7", () => {
+    test("generateUUIDv7() returns canonical UUID by default", () => {
+        const uuid = generateUUIDv7();
+
+        assert.match(uuid, /^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+        assert.ok(validate(uuid, "uuid"));
+    });
+
+    test("generateUUIDv7() supports all UUID formats", () => {
+        const base64url = generateUUIDv7("uuid-base64url");
+        const hex = generateUUIDv7("uuid-hex");
+        const buffer = generateUUIDv7("uuid-buffer");
+
+        assert.strictEqual(base64url.length, 22);
+        assert.strictEqual(hex.length, 32);
+        assert.ok(Buffer.isBuffer(buffer));
+        assert.strictEqual(buffer.length, 16);
+
+        assert.ok(validate(base64url, "uuid-base64url"));
+        assert.ok(validate(hex, "uuid-hex"));
+        assert.ok(validate(buffer, "uuid-buffer"));
+        assert.throws(() => generateUUIDv7("hex"), /Unsupported UUID format/);
+    });
+
+    test("generateUUID() is strictly increasing within one generator", () => {
+        const generator = new TimestampGenerator();
+        const batch = generator.generateUUIDBatch(1000, "uuid-hex");
+
+        for (let i = 1; i < batch.length; i++) {
+            assert.ok(batch[i] > batch[i - 1], `UUID at ${i} should sort after previous`);
+        }
+    });
+
+    test("generateUUID() carries sub-millisecond counter in rand_a", () => {
+        const clock = new ManualClock(Date.UTC(2024, 0, 1));
+        const generator = new TimestampGenerator({ clock });
+        const counter = (buffer) => ((buffer[6] & 0x0F) << 8) | buffer[7];
+
+        const first = generator.generateUUID("uuid-buffer");
+        const second = generator.generateUUID("uuid-buffer");
+        assert.ok(first.subarray(0, 6).equals(second.subarray(0, 6)));
+        assert.strictEqual(counter(first), 0);
+        assert.strictEqual(counter(second), 1);
+
+        clock.advance(1);
+        const third = generator.generateUUID("uuid-buffer");
+        assert.strictEqual(UUID48Timestamp.bufferToTimestamp(third.subarray(0, 6)), BigInt(Date.UTC(2024, 0, 1) + 1));
+        assert.strictEqual(counter(third), 0);
+    });
+
+    test("validate rejects non-v7 UUIDs", () => {
+        assert.ok(!validate("123e4567-e89b-12d3-a456-426614174000", "uuid"));
+        assert.ok(!validate("0198ccb6-6e4e-7000-0000-000000000000", "uuid")); // bad variant
+        assert.ok(!validate("not-a-uuid", "uuid"));
+        assert.ok(!validate(Buffer.alloc(16), "uuid-buffer"));
+        assert.ok(!validate("A".repeat(22), "uuid-base64url"));
+    });
+
+    test("convert between UUID formats and to 48-bit timestamp", () => {
+        const uuid = generateUUIDv7();
+
+        const base64url = convert(uuid, "uuid", "uuid-base64url");
+        const buffer = convert(base64url, "uuid-base64url", "uuid-buffer");
+        const hex = convert(buffer, "uuid-buffer", "uuid-hex");
+        assert.strictEqual(convert(hex, "uuid-hex", "uuid"), uuid);
+
+        const timestampHex = convert(uuid, "uuid", "hex");
+        assert.strictEqual(timestampHex, uuid.replace(/-/g, "").slice(0, 12));
+        assert.throws(() => convert(timestampHex, "hex", "uuid"), /Cannot convert 48-bit/);
+    });
+
+    test("timestampToDate decodes UUIDv7", () => {
+        const uuid = generateUUIDv7("uuid-base64url");
+        const date = timestampToDate(uuid, "uuid-base64url");
+
+        assert.ok(Math.abs(Date.now() - date.getTime()) < 2000);
+    });
+});
+
+describe("Public API - ULID and Base32", () => {
+    test("generateULID() returns monotonic ULIDs", () => {
+        const first = generateULID();
+        const second = generateULID();
+
+        assert.ok(validate(first, "ulid"));
+        assert.ok(second > first);
+
+        const generator = new TimestampGenerator();
+        const ulids = Array.from({ length: 200 }, () => generator.generateULID());
+        assert.deepStrictEqual([...ulids].sort(), ulids);
+    });
+
+    test("base32 works across generate, validate, convert and timestampToDate", () => {
+        const base32 = generate("base32");
+
+        assert.strictEqual(base32.length, 10);
+        assert.ok(validate(base32, "base32"));
+        assert.ok(validate(base32.toLowerCase(), "base32"));
+
+        const hex = convert(base32, "base32", "hex");
+        assert.strictEqual(convert(hex, "hex", "base32"), base32);
+        assert.strictEqual(
+            timestampToDate(base32, "base32").getTime(),
+            timestampToDate(hex, "hex").getTime()
+        );
+
+        const generator = new TimestampGenerator({ defaultFormat: "base32" });
+        assert.ok(validate(generator.generate(), "base32"));
+    });
+
+    test("convert between ULID, UUIDv7 and 48-bit formats", () => {
+        const uuid = generateUUIDv7();
+
+        // UUIDv7 -> ULID is lossless
+        const ulid = convert(uuid, "uuid", "ulid");
+        assert.ok(validate(ulid, "ulid"));
+        assert.strictEqual(convert(ulid, "ulid", "uuid"), uuid);
+
+        // ULID -> UUIDv7 sets version and variant bits, keeping the timestamp
+        const original = generateULID();
+        const converted = convert(original, "ulid", "uuid");
+        assert.ok(validate(converted, "uuid"));
+        assert.strictEqual(convert(converted, "uuid", "base32"), original.slice(0, 10));
+
+        // Both extract to the same 48-bit timestamp
+        assert.strictEqual(convert(original, "ulid", "base32"), original.slice(0, 10));
+        assert.strictEqual(
+            convert(original, "ulid", "base64url"),
+            convert(converted, "uuid", "base64url")
+        );
+        assert.ok(convert(original, "ulid", "buffer").equals(convert(converted, "uuid", "buffer")));
+        assert.throws(() => convert(generate("hex"), "hex", "ulid"), /Cannot convert 48-bit/);
+    });
+});
+
 describe("Public API - Error Handling", () => {
     test("handles 48-bit overflow gracefully", () => {
         const originalDateNow = Date.now;
@@ -191,6 +946,7 @@ describe("Public API - Error Handling", () => {
         try {
             assert.throws(() => generate(), /system time.*beyond year 8921/);
             assert.throws(() => generateId(), /system time.*beyond year 8921/);
+            assert.throws(() => generateUUIDv7(), /system time.*beyond year 8921/);
             
             const generator = new TimestampGenerator();
             assert.throws(() => generator.generate(), /System time.*beyond year 8921/);
@@ -200,6 +956,14 @@ describe("Public API - Error Handling", () => {
     });
     
     
+    test("reports year-8921 overflow deterministically with injected clock", () => {
+        const clock = new ManualClock(Number(0xFFFFFFFFFFFFn));
+        const generator = new TimestampGenerator({ clock, maxSubMs: 1 });
+
+        assert.ok(generator.validate(generator.generate()));
+        assert.throws(() => generator.generate(), /System time.*beyond year 8921/);
+    });
+
     test("handles null and undefined inputs", () => {
         assert.ok(!validate(null));
         assert.ok(!validate(undefined));
@@ -0,0 +1,64 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import {
+    normalizeBase32,
+    encodeBase32,
+    decodeBase32,
+    isValidTimestampBase32,
+    timestampToBase32,
+    base32ToTimestamp
+} from "../src/base32.js";
+
+describe("Crockford Base32 Module", () => {
+    test("encodes known ULID time component", () => {
+        // Example from the ULID specification: 1469918176385 ms
+        const buffer = Buffer.alloc(6);
+        buffer.writeUIntBE(1469918176385, 0, 6);
+
+        assert.strictEqual(timestampToBase32(buffer), "01ARYZ6S41");
+        assert.ok(base32ToTimestamp("01ARYZ6S41").equals(buffer));
+    });
+
+    test("round-trips range boundaries", () => {
+        const zero = Buffer.alloc(6);
+        const max = Buffer.alloc(6, 0xFF);
+
+        assert.strictEqual(timestampToBase32(zero), "0000000000");
+        assert.strictEqual(timestampToBase32(max), "7ZZZZZZZZZ");
+        assert.ok(base32ToTimestamp("7ZZZZZZZZZ").equals(max));
+    });
+
+    test("decodes case-insensitively and normalizes I, L and O", () => {
+        assert.strictEqual(normalizeBase32("01aryz6s41"), "01ARYZ6S41");
+        assert.strictEqual(normalizeBase32("oIlL"), "0111");
+        assert.ok(base32ToTimestamp("o1aryz6s4l").equals(base32ToTimestamp("01ARYZ6S41")));
+    });
+
+    test("preserves numeric order in string order", () => {
+        const values = [0, 1, 31, 32, 1023, 1024, 2 ** 40, 2 ** 48 - 1];
+        const encoded = values.map((value) => {
+            const buffer = Buffer.alloc(6);
+            buffer.writeUIntBE(value, 0, 6);
+            return timestampToBase32(buffer);
+        });
+
+        assert.deepStrictEqual([...encoded].sort(), encoded);
+    });
+
+    test("validates timestamp strings", () => {
+        assert.ok(isValidTimestampBase32("01ARYZ6S41"));
+        assert.ok(!isValidTimestampBase32("01ARYZ6S4"));   // Too short
+        assert.ok(!isValidTimestampBase32("01ARYZ6S4U"));  // U is not in the alphabet
+        assert.ok(!isValidTimestampBase32("8ZZZZZZZZZ"));  // Exceeds 48 bits
+        assert.ok(!isValidTimestampBase32(null));
+    });
+
+    test("handles error cases gracefully", () => {
+        assert.throws(() => encodeBase32("not a buffer", 2), /Input must be a Buffer/);
+        assert.throws(() => encodeBase32(Buffer.alloc(2), 3), /does not fit/);
+        assert.throws(() => decodeBase32(123, 6), /Input must be a string/);
+        assert.throws(() => decodeBase32("01-2", 6), /invalid characters/);
+        assert.throws(() => base32ToTimestamp("short"), /Invalid timestamp Base32/);
+        assert.throws(() => timestampToBase32(Buffer.alloc(5)), /Expected 6-byte/);
+    });
+});
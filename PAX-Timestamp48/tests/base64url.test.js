@@ -7,8 +7,13 @@ import {
     isValidBase64URL, 
     isValidTimestampBase64URL,
     timestampToBase64URL,
-    base64URLToTimestamp 
+    base64URLToTimestamp,
+    encodeBase64Sort,
+    decodeBase64Sort,
+    timestampToBase64Sort,
+    base64SortToTimestamp
 } from "../src/base64url.js";
+import { randomBytes } from "node:crypto";
 
 describe("Base64URL Encoding Module", () => {
     test("encodes buffer to Base64URL correctly", () => {
@@ -83,6 +88,26 @@ describe("Base64URL Encoding Module", () => {
         assert.ok(buffer.equals(decoded));
     });
     
+    test("pure JS codec matches Node Buffer for every length", () => {
+        for (let length = 0; length <= 40; length++) {
+            const buffer = randomBytes(length);
+            const expected = buffer.toString("base64url");
+
+            assert.strictEqual(encodeBase64URL(buffer), expected);
+            assert.strictEqual(encodeBase64URL(new Uint8Array(buffer)), expected);
+            assert.ok(decodeBase64URL(expected).equals(buffer));
+        }
+
+        // Like Buffer, incomplete trailing groups are ignored
+        assert.ok(decodeBase64URL("QUJDRA").equals(Buffer.from("QUJDRA", "base64url")));
+        assert.ok(decodeBase64URL("QUJDR").equals(Buffer.from("QUJDR", "base64url")));
+    });
+
+    test("accepts Uint8Array timestamps", () => {
+        const bytes = new Uint8Array([0x01, 0x98, 0xcc, 0xb6, 0x6e, 0x4e]);
+        assert.strictEqual(timestampToBase64URL(bytes), timestampToBase64URL(Buffer.from(bytes)));
+    });
+
     test("handles error cases gracefully", () => {
         // encodeBase64URL errors
         assert.throws(() => encodeBase64URL("not a buffer"), /Input must be a Buffer/);
@@ -124,3 +149,58 @@ describe("Base64URL Encoding Module", () => {
         assert.ok(/^[A-Za-z0-9_-]*$/.test(encoded));
     });
 });
+
+describe("Sortable Base64 Encoding", () => {
+    const toBuffer = (value) => {
+        const buffer = Buffer.alloc(6);
+        buffer.writeUIntBE(value, 0, 6);
+        return buffer;
+    };
+
+    test("round-trips 6-byte timestamps", () => {
+        const buffer = Buffer.from([1, 152, 204, 182, 110, 78]);
+        const encoded = timestampToBase64Sort(buffer);
+
+        assert.strictEqual(encoded.length, 8);
+        assert.ok(/^[A-Za-z0-9_-]+$/.test(encoded));
+        assert.ok(base64SortToTimestamp(encoded).equals(buffer));
+        assert.ok(decodeBase64Sort(encodeBase64Sort(buffer)).equals(buffer));
+    });
+
+    test("encodes range boundaries to first and last alphabet characters", () => {
+        assert.strictEqual(timestampToBase64Sort(toBuffer(0)), "--------");
+        assert.strictEqual(timestampToBase64Sort(toBuffer(2 ** 48 - 1)), "zzzzzzzz");
+    });
+
+    test("string order equals numeric order across the full 48-bit range", () => {
+        const values = [0, 1, 63, 64, 2 ** 24, 2 ** 47 - 1, 2 ** 47, 2 ** 48 - 2, 2 ** 48 - 1];
+        for (let i = 0; i < 5000; i++) {
+            values.push(randomBytes(6).readUIntBE(0, 6));
+        }
+        // Adjacent values exercise carries between character positions
+        for (let shift = 0; shift < 48; shift += 6) {
+            values.push(2 ** shift - 1, 2 ** shift);
+        }
+
+        const encoded = values.map((value) => timestampToBase64Sort(toBuffer(value)));
+        for (let i = 0; i < values.length; i++) {
+            const j = (i * 7919 + 1) % values.length;
+            const numeric = Math.sign(values[i] - values[j]);
+            const lexical = encoded[i] < encoded[j] ? -1 : encoded[i] > encoded[j] ? 1 : 0;
+            assert.strictEqual(lexical, numeric,
+                `Order mismatch for ${values[i]} (${encoded[i]}) vs ${values[j]} (${encoded[j]})`);
+        }
+
+        const sortedByString = [...encoded].sort();
+        const sortedByNumber = [...values].sort((a, b) => a - b)
+            .map((value) => timestampToBase64Sort(toBuffer(value)));
+        assert.deepStrictEqual(sortedByString, sortedByNumber);
+    });
+
+    test("handles error cases gracefully", () => {
+        assert.throws(() => decodeBase64Sort(123), /Input must be a string/);
+        assert.throws(() => decodeBase64Sort("A+B"), /Invalid Base64sort string/);
+        assert.throws(() => base64SortToTimestamp("short"), /Invalid timestamp Base64sort/);
+        assert.throws(() => timestampToBase64Sort(Buffer.alloc(5)), /Expected 6-byte/);
+    });
+});
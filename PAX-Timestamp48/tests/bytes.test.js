@@ -0,0 +1,56 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import {
+    isBytes,
+    wrapBytes,
+    toBuffer,
+    toUint8Array,
+    bytesToHex,
+    hexToBytes,
+    randomBytes,
+    concatBytes,
+    bytesEqual
+} from "../src/bytes.js";
+
+describe("Byte Array Helpers", () => {
+    test("wrapBytes returns Buffer views where Buffer exists", () => {
+        const bytes = new Uint8Array([1, 2, 3]);
+        const wrapped = wrapBytes(bytes);
+
+        assert.ok(Buffer.isBuffer(wrapped));
+        wrapped[0] = 9;
+        assert.strictEqual(bytes[0], 9);
+        assert.strictEqual(wrapBytes(wrapped), wrapped);
+        assert.ok(Buffer.isBuffer(toBuffer(bytes)));
+    });
+
+    test("toUint8Array copies into a plain Uint8Array", () => {
+        const buffer = Buffer.from([1, 2, 3]);
+        const plain = toUint8Array(buffer);
+
+        assert.strictEqual(Object.getPrototypeOf(plain), Uint8Array.prototype);
+        assert.deepStrictEqual([...plain], [1, 2, 3]);
+        plain[0] = 9;
+        assert.strictEqual(buffer[0], 1);
+    });
+
+    test("hex round-trips and rejects malformed input", () => {
+        assert.strictEqual(bytesToHex(new Uint8Array([0x00, 0x0f, 0xab, 0xff])), "000fabff");
+        assert.strictEqual(bytesToHex(hexToBytes("DEADbeef")), "deadbeef");
+        assert.strictEqual(hexToBytes("").length, 0);
+        assert.throws(() => hexToBytes("abc"), /Invalid hex string/);
+        assert.throws(() => hexToBytes("zz"), /Invalid hex string/);
+    });
+
+    test("randomBytes, concatBytes and bytesEqual", () => {
+        const random = randomBytes(16);
+        assert.ok(isBytes(random));
+        assert.strictEqual(random.length, 16);
+
+        const joined = concatBytes(new Uint8Array([1]), Buffer.from([2, 3]));
+        assert.ok(bytesEqual(joined, new Uint8Array([1, 2, 3])));
+        assert.ok(!bytesEqual(joined, new Uint8Array([1, 2])));
+        assert.ok(!bytesEqual(joined, new Uint8Array([1, 2, 4])));
+        assert.ok(!isBytes([1, 2, 3]));
+    });
+});
@@ -0,0 +1,135 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import { Readable } from "node:stream";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { run } from "../src/cli.js";
+import { validate } from "../src/index.js";
+
+const BIN = fileURLToPath(new URL("../bin/uuid48.js", import.meta.url));
+
+/**
+ * Run the CLI with in-memory streams
+ */
+async function cli(args, input = "") {
+    let stdout = "";
+    let stderr = "";
+    const io = {
+        stdin: Readable.from([input]),
+        stdout: { write: (chunk) => { stdout += chunk; } },
+        stderr: { write: (chunk) => { stderr += chunk; } }
+    };
+
+    const code = await run(args, io);
+    return { code, stdout, stderr, lines: stdout.split("\n").filter(Boolean) };
+}
+
+describe("uuid48 CLI", () => {
+    test("generate prints distinct IDs in the requested format", async () => {
+        const { code, lines } = await cli(["generate", "5", "--format", "hex"]);
+
+        assert.strictEqual(code, 0);
+        assert.strictEqual(lines.length, 5);
+        assert.strictEqual(new Set(lines).size, 5);
+        assert.ok(lines.every((id) => validate(id, "hex")));
+
+        const uuid = await cli(["generate", "-f", "uuid", "--json"]);
+        const { id, format } = JSON.parse(uuid.stdout);
+        assert.strictEqual(format, "uuid");
+        assert.ok(validate(id, "uuid"));
+
+        const uuids = (await cli(["generate", "200", "-f", "uuid"])).lines;
+        assert.strictEqual(new Set(uuids).size, 200);
+        assert.deepStrictEqual([...uuids].sort(), uuids);
+        assert.ok(uuids.some((line) => !line.includes("-7000-")));
+    });
+
+    test("decode prints date, milliseconds and age", async () => {
+        const { code, stdout } = await cli(["decode", "AZjMtm5O"]);
+        const [id, iso, ms, age] = stdout.trim().split("\t");
+
+        assert.strictEqual(code, 0);
+        assert.strictEqual(id, "AZjMtm5O");
+        assert.strictEqual(iso, new Date(Number(ms)).toISOString());
+        assert.strictEqual(Number(ms), 0x0198ccb66e4e);
+        assert.match(age, /^\d+ms$/);
+    });
+
+    test("decode reads stdin and reports invalid IDs in JSON", async () => {
+        const { code, lines } = await cli(["decode", "--json"], "AZjMtm5O\n\n  bad  \r\n");
+
+        assert.strictEqual(code, 1);
+        assert.strictEqual(lines.length, 2);
+        assert.strictEqual(JSON.parse(lines[0]).ms, 0x0198ccb66e4e);
+        assert.deepStrictEqual(
+            { ...JSON.parse(lines[1]), error: undefined },
+            { id: "bad", valid: false, error: undefined }
+        );
+    });
+
+    test("decode honors --epoch", async () => {
+        const { lines } = await cli(["decode", "AAAAAAPo", "--epoch", "2020-01-01T00:00:00Z", "--json"]);
+        assert.strictEqual(JSON.parse(lines[0]).date, "2020-01-01T00:00:01.000Z");
+    });
+
+    test("convert converts between formats", async () => {
+        const { code, stdout } = await cli(["convert", "--from", "base64url", "--to", "hex"], "AZjMtm5O\n");
+        assert.strictEqual(code, 0);
+        assert.strictEqual(stdout, "0198ccb66e4e\n");
+
+        const invalid = await cli(["convert", "AZjMtm5O", "nope", "--from", "base64url", "--to", "base32"]);
+        assert.strictEqual(invalid.code, 1);
+        assert.strictEqual(invalid.lines.length, 1);
+        assert.match(invalid.stderr, /nope: Invalid timestamp/);
+    });
+
+    test("numeric formats are read and printed as decimal text", async () => {
+        const decimal = BigInt("0x0198ccb66e4e").toString();
+        const { code, stdout } = await cli(["convert", "AZjMtm5O", "--from", "base64url", "--to", "number"]);
+        assert.strictEqual(code, 0);
+        assert.strictEqual(stdout, `${decimal}\n`);
+
+        const back = await cli(["convert", decimal, "--from", "bigint", "--to", "base64url"]);
+        assert.strictEqual(back.stdout, "AZjMtm5O\n");
+
+        const generated = await cli(["generate", "-f", "bigint", "--json"]);
+        const { id, format } = JSON.parse(generated.stdout);
+        assert.strictEqual(format, "decimal");
+        assert.ok(validate(id, "decimal"));
+    });
+
+    test("validate sets the exit code", async () => {
+        assert.strictEqual((await cli(["validate", "AZjMtm5O"])).code, 0);
+
+        const { code, lines } = await cli(["validate", "--json"], "AZjMtm5O\nxx\n");
+        assert.strictEqual(code, 1);
+        assert.deepStrictEqual(lines.map((line) => JSON.parse(line).valid), [true, false]);
+        assert.deepStrictEqual(lines.map((line) => JSON.parse(line).reason), [null, "BAD_LENGTH"]);
+
+        const text = await cli(["validate", "AZjMtm5+"]);
+        assert.strictEqual(text.stdout, "AZjMtm5+\tinvalid\tBAD_ALPHABET\n");
+    });
+
+    test("usage errors exit with code 2", async () => {
+        assert.strictEqual((await cli([])).code, 2);
+        assert.strictEqual((await cli(["explode"])).code, 2);
+        assert.strictEqual((await cli(["generate", "0"])).code, 2);
+        assert.strictEqual((await cli(["generate", "--format", "buffer"])).code, 2);
+        assert.strictEqual((await cli(["convert", "AZjMtm5O", "--from", "base64url"])).code, 2);
+        assert.strictEqual((await cli(["decode", "--epoch", "someday"])).code, 2);
+        assert.strictEqual((await cli(["validate", "--bogus"])).code, 2);
+
+        const help = await cli(["--help"]);
+        assert.strictEqual(help.code, 0);
+        assert.match(help.stdout, /Usage: uuid48/);
+    });
+
+    test("bin entry point reads stdin and sets the process exit code", () => {
+        const ok = spawnSync(process.execPath, [BIN, "validate"], { input: "AZjMtm5O\n", encoding: "utf8" });
+        assert.strictEqual(ok.status, 0);
+        assert.strictEqual(ok.stdout, "AZjMtm5O\tvalid\n");
+
+        const bad = spawnSync(process.execPath, [BIN, "validate", "xx"], { encoding: "utf8" });
+        assert.strictEqual(bad.status, 1);
+    });
+});
@@ -0,0 +1,75 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import { ManualClock, resolveClock, resolveClockMs, resolveEpoch, systemClock } from "../src/clock.js";
+
+describe("Clock Sources", () => {
+    test("systemClock reads Date.now", () => {
+        const diff = Math.abs(systemClock() - Date.now());
+        assert.ok(diff < 100);
+    });
+
+    test("resolveClock normalizes numbers, bigints and objects", () => {
+        assert.strictEqual(resolveClock(() => 1234.9)(), 1234n);
+        assert.strictEqual(resolveClock(() => 42n)(), 42n);
+        assert.strictEqual(resolveClock({ now: () => 7 })(), 7n);
+        assert.strictEqual(typeof resolveClock()(), "bigint");
+    });
+
+    test("resolveClock rejects invalid clocks and readings", () => {
+        assert.throws(() => resolveClock(42), /clock must be a function/);
+        assert.throws(() => resolveClock(() => -1)(), /negative time/);
+        assert.throws(() => resolveClock(() => NaN)(), /non-negative/);
+        assert.throws(() => resolveClock(() => "1000")(), /non-negative/);
+        assert.throws(() => resolveClock(() => -1n)(), /negative time/);
+    });
+
+    test("resolveClockMs reads the same times as numbers", () => {
+        assert.strictEqual(resolveClockMs(() => 1234.9)(), 1234);
+        assert.strictEqual(resolveClockMs(() => 42n)(), 42);
+        assert.strictEqual(resolveClockMs({ now: () => 1500 }, 1000n)(), 500);
+        assert.throws(() => resolveClockMs(() => 999, 1000n)(), /before epoch/);
+        assert.throws(() => resolveClockMs(() => NaN)(), /non-negative/);
+        assert.throws(() => resolveClockMs(42), /clock must be a function/);
+    });
+
+    test("ManualClock advances, sets and rewinds", () => {
+        const clock = new ManualClock(1000);
+
+        assert.strictEqual(clock.now(), 1000);
+        assert.strictEqual(clock.advance(5).now(), 1005);
+        assert.strictEqual(clock.rewind(10).now(), 995);
+        assert.strictEqual(clock.set(2000n).now(), 2000);
+        assert.strictEqual(clock.set(new Date(3000)).now(), 3000);
+        assert.strictEqual(clock.advance().now(), 3001);
+        assert.throws(() => clock.set("soon"), /Invalid time/);
+    });
+
+    test("ManualClock now() works unbound and auto-advances", () => {
+        const clock = new ManualClock(0, { autoAdvanceMs: 2 });
+        const now = clock.now;
+
+        assert.strictEqual(now(), 0);
+        assert.strictEqual(now(), 2);
+        assert.strictEqual(clock.time, 4);
+    });
+
+    test("resolveEpoch accepts numbers, bigints and dates", () => {
+        assert.strictEqual(resolveEpoch(), 0n);
+        assert.strictEqual(resolveEpoch(1288834974657), 1288834974657n);
+        assert.strictEqual(resolveEpoch(42n), 42n);
+        assert.strictEqual(resolveEpoch(new Date("2015-01-01T00:00:00Z")), 1420070400000n);
+        assert.throws(() => resolveEpoch(-1), /non-negative integer/);
+        assert.throws(() => resolveEpoch(1.5), /non-negative integer/);
+        assert.throws(() => resolveEpoch(new Date("invalid")), /non-negative integer/);
+        assert.throws(() => resolveEpoch(-1n), /non-negative/);
+    });
+
+    test("resolveClock returns time relative to epoch", () => {
+        const clock = new ManualClock(5000);
+        const read = resolveClock(clock, 1000n);
+
+        assert.strictEqual(read(), 4000n);
+        clock.set(999);
+        assert.throws(() => read(), /before epoch/);
+    });
+});
@@ -0,0 +1,47 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import { Emitter } from "../src/emitter.js";
+
+describe("Emitter", () => {
+    test("on and emit pass arguments to listeners in order", () => {
+        const emitter = new Emitter();
+        const calls = [];
+
+        emitter.on("tick", (a, b) => calls.push(["first", a, b]));
+        emitter.on("tick", (a) => calls.push(["second", a]));
+
+        assert.strictEqual(emitter.emit("tick", 1, 2), true);
+        assert.deepStrictEqual(calls, [["first", 1, 2], ["second", 1]]);
+        assert.strictEqual(emitter.emit("other"), false);
+    });
+
+    test("once listeners run a single time and can be removed early", () => {
+        const emitter = new Emitter();
+        let count = 0;
+        const listener = () => count++;
+
+        emitter.once("tick", listener);
+        emitter.emit("tick");
+        emitter.emit("tick");
+        assert.strictEqual(count, 1);
+
+        emitter.once("tick", listener);
+        emitter.off("tick", listener);
+        emitter.emit("tick");
+        assert.strictEqual(count, 1);
+        assert.strictEqual(emitter.listenerCount("tick"), 0);
+    });
+
+    test("off removes one registration and tolerates unknown listeners", () => {
+        const emitter = new Emitter();
+        const listener = () => {};
+
+        emitter.on("tick", listener).on("tick", listener);
+        emitter.off("tick", listener).off("tick", () => {}).off("missing", listener);
+        assert.strictEqual(emitter.listenerCount("tick"), 1);
+    });
+
+    test("rejects non-function listeners", () => {
+        assert.throws(() => new Emitter().on("tick", null), /listener must be a function/);
+    });
+});
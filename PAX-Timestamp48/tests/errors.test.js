@@ -0,0 +1,147 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import {
+    UUID48Error,
+    TimestampOverflowError,
+    InvalidFormatError,
+    InvalidTimestampError,
+    ClockSkewError,
+    ClockDriftError,
+    ULIDOverflowError
+} from "../src/errors.js";
+import {
+    generate,
+    generateUUIDv7,
+    convert,
+    timestampToDate,
+    parse,
+    fromDate,
+    TimestampGenerator,
+    ManualClock,
+    SnowflakeGenerator,
+    decodeSnowflake
+} from "../src/index.js";
+import { resolveClock, resolveClockMs } from "../src/clock.js";
+import { base64URLToTimestamp } from "../src/base64url.js";
+import { base32ToTimestamp } from "../src/base32.js";
+import { stringToUUID } from "../src/uuidv7.js";
+import { decodeULID } from "../src/ulid.js";
+
+/**
+ * Assert that fn throws an instance of ErrorClass with the given code
+ */
+function assertError(fn, ErrorClass, code) {
+    assert.throws(fn, (error) => {
+        assert.ok(error instanceof ErrorClass, `expected ${ErrorClass.name}, got ${error.name}: ${error.message}`);
+        assert.ok(error instanceof UUID48Error);
+        assert.strictEqual(error.name, ErrorClass.name);
+        assert.strictEqual(error.code, code);
+        return true;
+    });
+}
+
+describe("Error Classes", () => {
+    test("carry stable names, codes and values", () => {
+        const overflow = new TimestampOverflowError(2n ** 48n, 2n ** 48n - 1n);
+        assert.strictEqual(overflow.code, "TIMESTAMP_OVERFLOW");
+        assert.strictEqual(overflow.timestamp, 2n ** 48n);
+        assert.strictEqual(overflow.maxTimestamp, 2n ** 48n - 1n);
+        assert.match(overflow.message, /exceeds the maximum/);
+
+        const format = new InvalidFormatError("base36");
+        assert.strictEqual(format.code, "INVALID_FORMAT");
+        assert.strictEqual(format.format, "base36");
+        assert.strictEqual(format.message, "Unsupported format: base36");
+
+        const timestamp = new InvalidTimestampError("bad", "hex");
+        assert.strictEqual(timestamp.code, "INVALID_TIMESTAMP");
+        assert.strictEqual(timestamp.format, "hex");
+        assert.strictEqual(new InvalidTimestampError("bad").format, null);
+
+        const skew = new ClockSkewError(5n, 10n);
+        assert.strictEqual(skew.code, "CLOCK_SKEW");
+        assert.deepStrictEqual([skew.time, skew.epoch], [5n, 10n]);
+        assert.match(new ClockSkewError(-1n, 0n).message, /negative time/);
+
+        assert.strictEqual(new ClockDriftError(3, 2).code, "CLOCK_DRIFT");
+        assert.strictEqual(new ULIDOverflowError(5n).code, "ULID_OVERFLOW");
+        for (const error of [overflow, format, timestamp, skew]) {
+            assert.ok(error instanceof UUID48Error);
+            assert.ok(error instanceof Error);
+        }
+    });
+
+    test("unknown formats and impossible conversions raise InvalidFormatError", () => {
+        assertError(() => generate("base36"), InvalidFormatError, "INVALID_FORMAT");
+        assertError(() => generateUUIDv7("hex"), InvalidFormatError, "INVALID_FORMAT");
+        assertError(() => new TimestampGenerator({ defaultFormat: "uuid" }), InvalidFormatError, "INVALID_FORMAT");
+        assertError(() => new TimestampGenerator().generateBatch(2, "base36"), InvalidFormatError, "INVALID_FORMAT");
+        assertError(() => convert(generate("hex"), "hex", "uuid"), InvalidFormatError, "INVALID_FORMAT");
+        assertError(() => parse("abc", { format: "base36" }), InvalidFormatError, "INVALID_FORMAT");
+        assertError(() => new SnowflakeGenerator().generate("uuid"), InvalidFormatError, "INVALID_FORMAT");
+    });
+
+    test("undecodable IDs raise InvalidTimestampError with their format", () => {
+        assert.throws(() => convert("invalid", "base64url", "hex"), (error) => {
+            assert.ok(error instanceof InvalidTimestampError);
+            assert.strictEqual(error.format, "base64url");
+            return true;
+        });
+        assertError(() => timestampToDate("zz", "hex"), InvalidTimestampError, "INVALID_TIMESTAMP");
+        assertError(
+            () => timestampToDate(generate(), "base64url", { epoch: new Date("2020-01-01T00:00:00Z") }),
+            InvalidTimestampError,
+            "INVALID_TIMESTAMP"
+        );
+        assertError(() => parse("zzzz"), InvalidTimestampError, "INVALID_TIMESTAMP");
+        assertError(() => base64URLToTimestamp("short"), InvalidTimestampError, "INVALID_TIMESTAMP");
+        assertError(() => base32ToTimestamp("short"), InvalidTimestampError, "INVALID_TIMESTAMP");
+        assertError(() => stringToUUID("not-a-uuid"), InvalidTimestampError, "INVALID_TIMESTAMP");
+        assertError(() => decodeULID("short"), InvalidTimestampError, "INVALID_TIMESTAMP");
+        assertError(() => decodeSnowflake("12ab"), InvalidTimestampError, "INVALID_TIMESTAMP");
+    });
+
+    test("clock readings before the epoch raise ClockSkewError", () => {
+        assertError(() => resolveClock(() => -1n)(), ClockSkewError, "CLOCK_SKEW");
+        assertError(() => resolveClock(() => -1)(), ClockSkewError, "CLOCK_SKEW");
+        assertError(() => resolveClockMs(() => -1n)(), ClockSkewError, "CLOCK_SKEW");
+        assertError(() => resolveClockMs(() => -1)(), ClockSkewError, "CLOCK_SKEW");
+        assertError(() => resolveClockMs(() => 999, 1000n)(), ClockSkewError, "CLOCK_SKEW");
+
+        const generator = new TimestampGenerator({ clock: () => 999, epoch: 1000 });
+        assert.throws(() => generator.generate(), (error) => {
+            assert.ok(error instanceof ClockSkewError);
+            assert.strictEqual(error.time, 999);
+            assert.strictEqual(error.epoch, 1000n);
+            return true;
+        });
+    });
+
+    test("argument errors remain plain Errors", () => {
+        assert.throws(() => new TimestampGenerator().generateBatch(0), (error) => !(error instanceof UUID48Error));
+        assert.throws(() => fromDate("not a date"), (error) => !(error instanceof UUID48Error));
+    });
+
+    // Last: overflowing the convenience functions leaves their shared generator ahead of the clock
+    test("overflow surfaces as TimestampOverflowError from every entry point", () => {
+        const originalDateNow = Date.now;
+        Date.now = () => Number(0xFFFFFFFFFFFFn + 1000n);
+
+        try {
+            assertError(() => generate(), TimestampOverflowError, "TIMESTAMP_OVERFLOW");
+            assertError(() => generateUUIDv7(), TimestampOverflowError, "TIMESTAMP_OVERFLOW");
+        } finally {
+            Date.now = originalDateNow;
+        }
+
+        const generator = new TimestampGenerator({ clock: new ManualClock(Number(0xFFFFFFFFFFFFn) + 1) });
+        assert.throws(() => generator.generate(), (error) => {
+            assert.ok(error instanceof TimestampOverflowError);
+            assert.strictEqual(error.timestamp, 0xFFFFFFFFFFFFn + 1n);
+            assert.ok(error.cause instanceof TimestampOverflowError);
+            return true;
+        });
+        assertError(() => generator.generateInto(new Uint8Array(6)), TimestampOverflowError, "TIMESTAMP_OVERFLOW");
+        assertError(() => fromDate(2 ** 48), TimestampOverflowError, "TIMESTAMP_OVERFLOW");
+    });
+});
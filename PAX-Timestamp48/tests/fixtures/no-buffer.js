@@ -0,0 +1,4 @@
+'use strict';
+
+// Imported first by no-buffer.test.js: simulates a runtime without Buffer
+delete globalThis.Buffer;
@@ -0,0 +1,14 @@
+// Worker used by shared.test.js: generates IDs from a shared generator handle
+import { parentPort, workerData } from "node:worker_threads";
+import { SharedUUID48Timestamp } from "../../src/shared.js";
+import { TimestampGenerator } from "../../src/index.js";
+
+const algorithm = SharedUUID48Timestamp.attach(workerData.handle);
+const generator = new TimestampGenerator({ algorithm, defaultFormat: "hex" });
+
+const ids = [];
+for (let i = 0; i < workerData.count; i++) {
+    ids.push(workerData.uuid ? generator.generateUUID("uuid-hex") : generator.generate());
+}
+
+parentPort.postMessage(ids);
@@ -0,0 +1,98 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import { registerFormat, getFormat, listFormats, BUILT_IN_FORMATS } from "../src/formats.js";
+import {
+    generate,
+    validate,
+    check,
+    convert,
+    timestampToDate,
+    fromDate,
+    parse,
+    TimestampGenerator,
+    ManualClock,
+    InvalidFormatError,
+    InvalidTimestampError
+} from "../src/index.js";
+import { UUID48Timestamp } from "../src/timestamp.js";
+
+// Lowercase base 36 of the 48-bit value, at most 10 digits
+registerFormat("base36", {
+    encode: (bytes) => UUID48Timestamp.bufferToTimestamp(bytes).toString(36),
+    decode: (value) => UUID48Timestamp.timestampToBuffer(BigInt(parseInt(value, 36))),
+    validate: (value) => typeof value === "string" && /^[0-9a-z]{1,10}$/.test(value) &&
+        parseInt(value, 36) <= 0xFFFFFFFFFFFF
+});
+
+describe("Format Registry", () => {
+    test("lists built-in formats first, then registered ones", () => {
+        assert.deepStrictEqual(BUILT_IN_FORMATS, [
+            "base64url", "base64sort", "base32", "hex", "buffer", "uint8array", "number", "bigint", "decimal"
+        ]);
+        assert.deepStrictEqual(listFormats().slice(0, BUILT_IN_FORMATS.length), BUILT_IN_FORMATS);
+        assert.ok(listFormats().includes("base36"));
+        assert.strictEqual(typeof getFormat("hex").encode, "function");
+        assert.strictEqual(getFormat("uuid"), null);
+    });
+
+    test("rejects invalid, reserved and duplicate registrations", () => {
+        const codec = { encode: () => "", decode: () => new Uint8Array(6), validate: () => true };
+
+        assert.throws(() => registerFormat("", codec), /non-empty string/);
+        assert.throws(() => registerFormat("uuid", codec), /reserved for 128-bit IDs/);
+        assert.throws(() => registerFormat("ulid", codec), /reserved/);
+        assert.throws(() => registerFormat("hex", codec), /already registered/);
+        assert.throws(() => registerFormat("base36", codec), /already registered/);
+        assert.throws(() => registerFormat("nodecode", { encode: () => "", validate: () => true }), /decode function/);
+        assert.throws(() => registerFormat("nocodec"), /encode function/);
+        assert.ok(!listFormats().includes("nodecode"));
+    });
+
+    test("registered formats work with the convenience functions", () => {
+        const ms = Date.UTC(2024, 0, 1);
+        const id = fromDate(ms, "base36");
+
+        assert.strictEqual(id, ms.toString(36));
+        assert.ok(validate(id, "base36"));
+        assert.ok(!validate("NOT-36", "base36"));
+        assert.strictEqual(timestampToDate(id, "base36").getTime(), ms);
+        assert.strictEqual(convert(id, "base36", "number"), ms);
+        assert.strictEqual(convert(ms, "number", "base36"), id);
+        assert.strictEqual(convert(fromDate(ms, "uuid"), "uuid", "base36"), id);
+        assert.strictEqual(parse(id, { format: "base36" }).timestamp, ms);
+        assert.ok(validate(generate("base36"), "base36"));
+    });
+
+    test("check reports custom format problems as MALFORMED", () => {
+        assert.deepStrictEqual(check("-", "base36"), {
+            valid: false,
+            reason: "MALFORMED",
+            message: 'Invalid ID for format "base36"',
+            timestamp: null
+        });
+        assert.strictEqual(check(fromDate(0, "base36"), "base36", { notBefore: 1 }).reason, "BEFORE_EPOCH");
+    });
+
+    test("TimestampGenerator accepts registered formats as defaultFormat", () => {
+        const clock = new ManualClock(Date.UTC(2024, 0, 1));
+        const generator = new TimestampGenerator({ clock, defaultFormat: "base36", waitStrategy: "unique" });
+
+        assert.strictEqual(generator.generate(), clock.now().toString(36));
+        const batch = generator.generateBatch(3);
+        assert.ok(batch.every((id) => generator.validate(id)));
+        assert.deepStrictEqual([...generator[Symbol.iterator]({ count: 2 })].length, 2);
+        assert.strictEqual(generator.getConfig().defaultFormat, "base36");
+    });
+
+    test("unknown formats and bad codecs raise typed errors", () => {
+        assert.throws(() => generate("base37"), InvalidFormatError);
+        assert.throws(() => new TimestampGenerator({ defaultFormat: "base37" }), /Supported: .*"base36"/);
+
+        registerFormat("short-decode", {
+            encode: () => "x",
+            decode: () => new Uint8Array(4),
+            validate: (value) => value === "x"
+        });
+        assert.throws(() => convert("x", "short-decode", "hex"), InvalidTimestampError);
+    });
+});
@@ -0,0 +1,83 @@
+// Must stay the first import so that Buffer is gone before the library loads
+import "./fixtures/no-buffer.js";
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import {
+    generate,
+    generateUUIDv7,
+    generateULID,
+    validate,
+    convert,
+    timestampToDate,
+    TimestampGenerator,
+    UUID48Timestamp
+} from "../src/index.js";
+import { encodeBase64URL, decodeBase64URL } from "../src/base64url.js";
+
+const text = (str) => new TextEncoder().encode(str);
+
+describe("Runtime without Buffer", () => {
+    test("Buffer is unavailable", () => {
+        assert.strictEqual(typeof globalThis.Buffer, "undefined");
+    });
+
+    test("core generator returns plain Uint8Array", () => {
+        const bytes = new UUID48Timestamp().generate();
+
+        assert.strictEqual(Object.getPrototypeOf(bytes), Uint8Array.prototype);
+        assert.strictEqual(bytes.length, 6);
+        assert.ok(UUID48Timestamp.validateBuffer(bytes));
+        assert.ok(Math.abs(Number(UUID48Timestamp.bufferToTimestamp(bytes)) - Date.now()) < 5000);
+    });
+
+    test("Base64URL codec matches RFC 4648 test vectors", () => {
+        const vectors = [["", ""], ["f", "Zg"], ["fo", "Zm8"], ["foo", "Zm9v"],
+            ["foob", "Zm9vYg"], ["fooba", "Zm9vYmE"], ["foobar", "Zm9vYmFy"]];
+
+        for (const [input, encoded] of vectors) {
+            assert.strictEqual(encodeBase64URL(text(input)), encoded);
+            assert.deepStrictEqual(decodeBase64URL(encoded), text(input));
+        }
+        assert.strictEqual(encodeBase64URL(new Uint8Array([0xFB, 0xFF])), "-_8");
+    });
+
+    test("generates every string format and uint8array", () => {
+        for (const format of ["base64url", "base64sort", "base32", "hex"]) {
+            assert.ok(validate(generate(format), format), format);
+        }
+
+        const bytes = generate("uint8array");
+        assert.ok(bytes instanceof Uint8Array);
+        assert.ok(validate(bytes, "uint8array"));
+        assert.strictEqual(convert(convert(bytes, "uint8array", "hex"), "hex", "base64url"),
+            convert(bytes, "uint8array", "base64url"));
+        assert.ok(Math.abs(timestampToDate(bytes, "uint8array").getTime() - Date.now()) < 5000);
+    });
+
+    test("buffer formats explain that Buffer is unavailable", () => {
+        assert.throws(() => generate("buffer"), /Buffer is not available/);
+        assert.throws(() => generateUUIDv7("uuid-buffer"), /Buffer is not available/);
+    });
+
+    test("generates UUIDv7 and ULID", () => {
+        const uuid = generateUUIDv7();
+        assert.ok(validate(uuid, "uuid"));
+        assert.strictEqual(uuid[14], "7");
+
+        const bytes = generateUUIDv7("uuid-uint8array");
+        assert.strictEqual(bytes.length, 16);
+        assert.strictEqual(convert(bytes, "uuid-uint8array", "uuid-hex").length, 32);
+
+        const ulid = generateULID();
+        assert.ok(validate(ulid, "ulid"));
+        assert.ok(validate(convert(ulid, "ulid", "uuid"), "uuid"));
+    });
+
+    test("TimestampGenerator works with uint8array default format", () => {
+        const generator = new TimestampGenerator({ defaultFormat: "uint8array", waitStrategy: "unique" });
+        const hex = generator.generateBatch(20).map((bytes) => convert(bytes, "uint8array", "hex"));
+
+        assert.strictEqual(new Set(hex).size, 20);
+        assert.deepStrictEqual([...hex].sort(), hex);
+    });
+});
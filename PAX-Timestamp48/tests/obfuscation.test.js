@@ -0,0 +1,69 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import { obfuscateTimestamp, deobfuscateTimestamp } from "../src/obfuscation.js";
+import {
+    obfuscate,
+    deobfuscate,
+    generate,
+    validate,
+    fromDate,
+    convert,
+    InvalidFormatError,
+    InvalidTimestampError
+} from "../src/index.js";
+import { bytesToHex } from "../src/bytes.js";
+
+const KEY = "correct horse battery staple";
+
+describe("Obfuscation", () => {
+    test("round-trips IDs and preserves their format", () => {
+        const id = generate();
+        const hidden = obfuscate(id, KEY);
+
+        assert.notStrictEqual(hidden, id);
+        assert.ok(validate(hidden, "base64url"));
+        assert.strictEqual(deobfuscate(hidden, KEY), id);
+
+        const hex = convert(id, "base64url", "hex");
+        const hiddenHex = obfuscate(hex, KEY, { format: "hex" });
+        assert.match(hiddenHex, /^[0-9a-f]{12}$/);
+        assert.strictEqual(hiddenHex, convert(hidden, "base64url", "hex"));
+        assert.strictEqual(deobfuscate(hiddenHex, KEY, { format: "hex" }), hex);
+
+        const buffer = convert(id, "base64url", "buffer");
+        const hiddenBuffer = obfuscate(buffer, KEY, { format: "buffer" });
+        assert.ok(Buffer.isBuffer(hiddenBuffer));
+        assert.strictEqual(hiddenBuffer.length, 6);
+        assert.deepStrictEqual(deobfuscate(hiddenBuffer, KEY, { format: "buffer" }), buffer);
+    });
+
+    test("is a keyed permutation that hides ordering", () => {
+        const start = Date.UTC(2024, 0, 1);
+        const ids = Array.from({ length: 1000 }, (_, i) => fromDate(start + i, "hex"));
+        const hidden = ids.map((id) => obfuscate(id, KEY, { format: "hex" }));
+
+        assert.strictEqual(new Set(hidden).size, ids.length);
+        assert.notDeepStrictEqual([...hidden].sort(), hidden);
+        assert.deepStrictEqual(hidden.map((id) => deobfuscate(id, KEY, { format: "hex" })), ids);
+        assert.notStrictEqual(obfuscate(ids[0], "other key", { format: "hex" }), hidden[0]);
+        assert.notStrictEqual(deobfuscate(hidden[0], "other key", { format: "hex" }), ids[0]);
+    });
+
+    test("covers the edges of the 48-bit space", () => {
+        for (const hex of ["000000000000", "ffffffffffff", "000000ffffff", "ffffff000000"]) {
+            const bytes = convert(hex, "hex", "uint8array");
+            const hidden = obfuscateTimestamp(bytes, KEY);
+
+            assert.strictEqual(hidden.length, 6);
+            assert.strictEqual(bytesToHex(deobfuscateTimestamp(hidden, new TextEncoder().encode(KEY))), hex);
+        }
+    });
+
+    test("rejects invalid IDs, formats and keys", () => {
+        assert.throws(() => obfuscate("invalid", KEY), InvalidTimestampError);
+        assert.throws(() => deobfuscate("zz", KEY, { format: "hex" }), InvalidTimestampError);
+        assert.throws(() => obfuscate(fromDate(0, "uuid"), KEY, { format: "uuid" }), InvalidFormatError);
+        assert.throws(() => obfuscate(generate(), ""), /non-empty string or Uint8Array/);
+        assert.throws(() => obfuscateTimestamp(new Uint8Array(5), KEY), /6-byte/);
+    });
+});
@@ -0,0 +1,115 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import { Worker } from "node:worker_threads";
+import { SharedUUID48Timestamp } from "../src/shared.js";
+import { ManualClock } from "../src/clock.js";
+
+const WORKER_URL = new URL("./fixtures/shared-worker.js", import.meta.url);
+
+function runWorkers(handle, workers, count, uuid = false) {
+    return Promise.all(Array.from({ length: workers }, () => new Promise((resolve, reject) => {
+        const worker = new Worker(WORKER_URL, { workerData: { handle, count, uuid } });
+        worker.once("message", resolve);
+        worker.once("error", reject);
+    })));
+}
+
+describe("SharedUUID48Timestamp", () => {
+    test("mirrors UUID48Timestamp semantics with injected clock", () => {
+        const clock = new ManualClock(1000);
+        const generator = new SharedUUID48Timestamp({ clock, maxSubMs: 2 });
+        const next = () => generator.generate().readUIntBE(0, 6);
+
+        assert.strictEqual(next(), 1000);
+        assert.strictEqual(next(), 1000);
+        assert.strictEqual(generator.subMillisecondCounter, 1n);
+        assert.strictEqual(next(), 1001);  // counter overflow borrows next ms
+
+        clock.rewind(500);
+        assert.strictEqual(next(), 1002);  // clock backward continues forward
+        assert.strictEqual(generator.lastSystemTime, 1002n);
+    });
+
+    test("generateInto writes consecutive timestamps", () => {
+        const generator = new SharedUUID48Timestamp({ clock: new ManualClock(1000), maxSubMs: 2 });
+        const target = Buffer.alloc(18);
+
+        assert.strictEqual(generator.generateInto(target, 0, 3), 18);
+        assert.deepStrictEqual([0, 6, 12].map((offset) => target.readUIntBE(offset, 6)), [1000, 1000, 1001]);
+        assert.throws(() => generator.generateInto(target, 13), /target is too small/);
+    });
+
+    test("instances attached to one buffer share state", () => {
+        const clock = new ManualClock(5000);
+        const first = new SharedUUID48Timestamp({ clock, waitStrategy: "unique", maxLookaheadMs: 100 });
+        const second = SharedUUID48Timestamp.attach(first.share(), { clock });
+
+        assert.strictEqual(first.generate().readUIntBE(0, 6), 5000);
+        assert.strictEqual(second.generate().readUIntBE(0, 6), 5001);
+        assert.strictEqual(first.generate().readUIntBE(0, 6), 5002);
+        assert.deepStrictEqual(second.getConfig(), first.getConfig());
+    });
+
+    test("attached instances keep the custom epoch", () => {
+        const clock = new ManualClock(1_000_500);
+        const first = new SharedUUID48Timestamp({ clock, epoch: 1_000_000 });
+        const second = SharedUUID48Timestamp.attach(first.share(), { clock });
+
+        assert.strictEqual(first.generate().readUIntBE(0, 6), 500);
+        assert.strictEqual(second.getConfig().epoch, 1_000_000);
+        assert.strictEqual(second.generate().readUIntBE(0, 6), 500);
+        assert.strictEqual(second.subMillisecondCounter, 1n);
+    });
+
+    test("validates options and buffer", () => {
+        assert.throws(() => new SharedUUID48Timestamp({ buffer: new ArrayBuffer(8) }), /SharedArrayBuffer/);
+        assert.throws(() => new SharedUUID48Timestamp({ buffer: new SharedArrayBuffer(4) }), /8-byte/);
+        assert.throws(() => new SharedUUID48Timestamp({ waitStrategy: "never" }), /waitStrategy/);
+        assert.throws(() => new SharedUUID48Timestamp({ maxSubMs: 65537 }), /maxSubMs/);
+        assert.throws(() => new SharedUUID48Timestamp({ maxDriftMs: 10 }), /maxDriftMs is not supported/);
+        assert.throws(() => new SharedUUID48Timestamp({ driftPolicy: "block" }), /driftPolicy is not supported/);
+        assert.throws(() => new SharedUUID48Timestamp({ onEvent: () => {} }), /onEvent is not supported/);
+
+        let loaded = false;
+        const stateStore = { load: () => { loaded = true; return 0n; }, update: () => {} };
+        assert.throws(() => new SharedUUID48Timestamp({ stateStore }), /stateStore is not supported/);
+        assert.strictEqual(loaded, false);
+        assert.throws(() => new SharedUUID48Timestamp({ clock: () => 2 ** 48 }).generate(), /48-bit limit/);
+    });
+
+    test("generateAsync waits without blocking", async () => {
+        const clock = new ManualClock(1000);
+        const generator = new SharedUUID48Timestamp({ clock, maxSubMs: 1, waitStrategy: "wait" });
+
+        assert.strictEqual((await generator.generateAsync()).readUIntBE(0, 6), 1000);
+
+        const pending = generator.generateAsync();
+        setTimeout(() => clock.advance(1), 5);
+        assert.strictEqual((await pending).readUIntBE(0, 6), 1001);
+    });
+
+    test("worker threads observe one global sequence of unique values", async () => {
+        const shared = new SharedUUID48Timestamp({ waitStrategy: "unique", maxLookaheadMs: 60000 });
+        const results = await runWorkers(shared.share(), 4, 1000);
+        const all = results.flat();
+
+        // Each thread sees its own values strictly increasing
+        for (const ids of results) {
+            for (let i = 1; i < ids.length; i++) {
+                assert.ok(ids[i] > ids[i - 1], "Per-thread sequence should be strictly increasing");
+            }
+        }
+
+        assert.strictEqual(new Set(all).size, 4000, "No value should be issued twice across threads");
+        assert.strictEqual(BigInt(`0x${all.sort().at(-1)}`), shared.lastSystemTime);
+    });
+
+    test("worker threads produce globally unique UUIDv7 counters", async () => {
+        const shared = new SharedUUID48Timestamp();
+        const results = await runWorkers(shared.share(), 4, 1000, true);
+        const prefixes = results.flat().map((uuid) => uuid.slice(0, 16));
+
+        // Timestamp + version + rand_a counter is unique across all threads
+        assert.strictEqual(new Set(prefixes).size, 4000);
+    });
+});
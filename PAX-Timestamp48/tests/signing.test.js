@@ -0,0 +1,89 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import { signTimestamp, verifySignedTimestamp, DEFAULT_TAG_BYTES } from "../src/signing.js";
+import { sign, verify, fromDate, generate, InvalidTimestampError, InvalidFormatError } from "../src/index.js";
+import { bytesToHex } from "../src/bytes.js";
+
+const KEY = "correct horse battery staple";
+
+describe("Signed Tokens", () => {
+    test("round-trips IDs through sign and verify", () => {
+        const id = generate();
+        const token = sign(id, KEY);
+
+        assert.match(token, /^[A-Za-z0-9_-]{30}$/);
+        assert.strictEqual(verify(token, KEY), id);
+        assert.strictEqual(verify(token, new TextEncoder().encode(KEY)), id);
+        assert.strictEqual(verify(sign(bytesToHex(fromDate(0, "buffer")), KEY, { format: "hex" }), KEY, {
+            format: "number"
+        }), 0);
+    });
+
+    test("signs deterministically with a truncated HMAC-SHA256", () => {
+        const timestamp = fromDate(Date.UTC(2024, 0, 1), "uint8array");
+
+        assert.strictEqual(DEFAULT_TAG_BYTES, 16);
+        assert.strictEqual(signTimestamp(timestamp, KEY), signTimestamp(timestamp, KEY));
+        assert.strictEqual(signTimestamp(timestamp, KEY, { tagBytes: 8 }).length, 19);
+        assert.strictEqual(signTimestamp(timestamp, KEY, { tagBytes: 32 }).length, 51);
+        assert.ok(signTimestamp(timestamp, KEY, { tagBytes: 32 }).startsWith(signTimestamp(timestamp, KEY).slice(0, 8)));
+        assert.deepStrictEqual(
+            bytesToHex(verifySignedTimestamp(signTimestamp(timestamp, KEY), KEY).timestamp),
+            bytesToHex(timestamp)
+        );
+    });
+
+    test("rejects tampered, truncated and wrongly keyed tokens", () => {
+        const token = sign(generate(), KEY);
+        const flipped = token.slice(0, 5) + (token[5] === "A" ? "B" : "A") + token.slice(6);
+
+        assert.strictEqual(verify(flipped, KEY), null);
+        assert.strictEqual(verify(token.slice(0, -1), KEY), null);
+        assert.strictEqual(verify(token + "A", KEY), null);
+        assert.strictEqual(verify(token, "other key"), null);
+        assert.strictEqual(verify(token, KEY, { tagBytes: 8 }), null);
+        assert.strictEqual(verify(`a.b.${token}`, KEY), null);
+        assert.strictEqual(verify(null, KEY), null);
+    });
+
+    test("rotates keys through key IDs", () => {
+        const id = generate();
+        const oldToken = sign(id, { k1: "old secret" }, { keyId: "k1" });
+        const keys = new Map([["k1", "old secret"], ["k2", "new secret"]]);
+        const newToken = sign(id, keys, { keyId: "k2" });
+
+        assert.ok(oldToken.startsWith("k1."));
+        assert.strictEqual(verify(oldToken, keys), id);
+        assert.strictEqual(verify(newToken, keys), id);
+        assert.strictEqual(verify(newToken, { k1: "new secret" }), null);
+        assert.strictEqual(verify(sign(id, KEY), keys), null);
+        assert.strictEqual(verify(newToken, "new secret"), id);
+        assert.deepStrictEqual(verifySignedTimestamp(newToken, keys).keyId, "k2");
+    });
+
+    test("combines signature checking with a freshness window", () => {
+        const token = sign(fromDate(Date.now() - 60_000), KEY);
+
+        assert.ok(verify(token, KEY, { maxAgeMs: 120_000 }));
+        assert.strictEqual(verify(token, KEY, { maxAgeMs: 1_000 }), null);
+        assert.strictEqual(verify(sign(fromDate(Date.now() + 60_000), KEY), KEY, { maxAgeMs: 120_000 }), null);
+
+        const epoch = Date.UTC(2020, 0, 1);
+        const custom = sign(fromDate(Date.now() - 60_000, "base64url", { epoch }), KEY);
+        assert.ok(verify(custom, KEY, { maxAgeMs: 120_000, epoch }));
+        assert.strictEqual(verify(custom, KEY, { maxAgeMs: 120_000 }), null);
+    });
+
+    test("rejects invalid IDs, keys and options", () => {
+        assert.throws(() => sign("invalid", KEY), InvalidTimestampError);
+        assert.throws(() => sign(fromDate(0, "uuid"), KEY, { format: "uuid" }), InvalidFormatError);
+        assert.throws(() => sign(fromDate(0, "ulid"), KEY, { format: "ulid" }), InvalidFormatError);
+        assert.throws(() => verify(sign(generate(), KEY), KEY, { format: "uuid" }), InvalidFormatError);
+        assert.throws(() => sign(generate(), ""), /non-empty string or Uint8Array/);
+        assert.throws(() => sign(generate(), { k1: KEY }), /keyId is required/);
+        assert.throws(() => sign(generate(), { k1: KEY }, { keyId: "k2" }), /Unknown keyId "k2"/);
+        assert.throws(() => sign(generate(), KEY, { keyId: "bad.id" }), /Base64URL characters/);
+        assert.throws(() => sign(generate(), KEY, { tagBytes: 4 }), /between 8 and 32/);
+        assert.throws(() => verify("token", KEY, { maxAgeMs: -1 }), /non-negative/);
+    });
+});
@@ -0,0 +1,131 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import {
+    SnowflakeGenerator,
+    decodeSnowflake,
+    resolveSnowflakeLayout,
+    SNOWFLAKE_LAYOUTS
+} from "../src/snowflake.js";
+import { ManualClock } from "../src/clock.js";
+
+describe("Snowflake IDs", () => {
+    test("decodes the Discord documentation example", () => {
+        const decoded = decodeSnowflake("175928847299117063", { layout: "discord" });
+
+        assert.strictEqual(decoded.id, 175928847299117063n);
+        assert.strictEqual(decoded.timestamp, 1462015105796);
+        assert.strictEqual(decoded.date.toISOString(), "2016-04-30T11:18:25.796Z");
+        assert.strictEqual(decoded.workerId, 1);
+        assert.strictEqual(decoded.processId, 0);
+        assert.strictEqual(decoded.sequence, 7);
+    });
+
+    test("packs timestamp, node fields and sequence in Twitter layout", () => {
+        const clock = new ManualClock(SNOWFLAKE_LAYOUTS.twitter.epoch + 1000);
+        const generator = new SnowflakeGenerator({ clock, datacenterId: 3, workerId: 17 });
+
+        const first = generator.generate();
+        const second = generator.generate();
+
+        assert.strictEqual(first, (1000n << 22n) | (3n << 17n) | (17n << 12n));
+        assert.strictEqual(second, first + 1n);
+
+        const decoded = decodeSnowflake(second);
+        assert.strictEqual(decoded.timestamp, SNOWFLAKE_LAYOUTS.twitter.epoch + 1000);
+        assert.strictEqual(decoded.datacenterId, 3);
+        assert.strictEqual(decoded.workerId, 17);
+        assert.strictEqual(decoded.sequence, 1);
+    });
+
+    test("round-trips decimal, hex and base64url outputs", () => {
+        const clock = new ManualClock(Date.UTC(2024, 0, 1));
+        for (const format of ["decimal", "hex", "base64url"]) {
+            const generator = new SnowflakeGenerator({ clock, layout: "discord", workerId: 31, processId: 2 });
+            const id = generator.generate(format);
+            const decoded = decodeSnowflake(id, { layout: "discord", format });
+
+            assert.strictEqual(typeof id, "string");
+            assert.strictEqual(decoded.timestamp, Date.UTC(2024, 0, 1));
+            assert.strictEqual(decoded.workerId, 31);
+            assert.strictEqual(decoded.processId, 2);
+        }
+
+        const generator = new SnowflakeGenerator({ clock, defaultFormat: "hex" });
+        assert.match(generator.generate(), /^[0-9a-f]{16}$/);
+        assert.strictEqual(new SnowflakeGenerator({ clock }).generate("base64url").length, 11);
+    });
+
+    test("IDs stay unique and increasing when the sequence overflows", () => {
+        const clock = new ManualClock(5000);
+        const layout = { epoch: 0, timestampBits: 41, workerBits: 10, sequenceBits: 2 };
+        const generator = new SnowflakeGenerator({ clock, layout, waitStrategy: "increment" });
+
+        const ids = generator.generateBatch(10);
+        for (let i = 1; i < ids.length; i++) {
+            assert.ok(ids[i] > ids[i - 1], `ID ${i} should be greater than ID ${i - 1}`);
+        }
+        assert.strictEqual(decodeSnowflake(ids[4], { layout }).timestamp, 5001);
+    });
+
+    test("IDs stay increasing when the clock steps backward", () => {
+        const clock = new ManualClock(SNOWFLAKE_LAYOUTS.twitter.epoch + 2000);
+        const generator = new SnowflakeGenerator({ clock });
+
+        const before = generator.generate();
+        clock.rewind(500);
+        const after = generator.generate();
+
+        assert.ok(after > before);
+    });
+
+    test("supports custom layouts and epoch overrides", () => {
+        const epoch = new Date("2020-01-01T00:00:00Z");
+        const clock = new ManualClock(epoch.getTime() + 42);
+        const generator = new SnowflakeGenerator({
+            clock,
+            epoch,
+            layout: { timestampBits: 40, fields: [["regionId", 4], ["nodeId", 8]], sequenceBits: 10 },
+            regionId: 9,
+            nodeId: 200
+        });
+
+        const decoded = decodeSnowflake(generator.generate(), {
+            epoch,
+            layout: { timestampBits: 40, fields: [["regionId", 4], ["nodeId", 8]], sequenceBits: 10 }
+        });
+        assert.strictEqual(decoded.timestamp, epoch.getTime() + 42);
+        assert.strictEqual(decoded.regionId, 9);
+        assert.strictEqual(decoded.nodeId, 200);
+        assert.deepStrictEqual(generator.getConfig().fields, [["regionId", 4], ["nodeId", 8]]);
+        assert.strictEqual(generator.getConfig().epoch, epoch.getTime());
+    });
+
+    test("rejects invalid layouts and field values", () => {
+        assert.throws(() => resolveSnowflakeLayout("instagram"), /Unknown snowflake layout/);
+        assert.throws(() => resolveSnowflakeLayout({ timestampBits: 49 }), /timestampBits/);
+        assert.throws(() => resolveSnowflakeLayout({ timestampBits: 41, sequenceBits: 17 }), /sequenceBits/);
+        assert.throws(
+            () => resolveSnowflakeLayout({ timestampBits: 48, workerBits: 10, sequenceBits: 16 }),
+            /more than 64/
+        );
+        assert.throws(() => new SnowflakeGenerator({ workerId: 32 }), /workerId must be an integer between 0 and 31/);
+        assert.throws(() => new SnowflakeGenerator({ datacenterId: -1 }), /datacenterId/);
+        assert.throws(() => new SnowflakeGenerator({ defaultFormat: "uuid" }), /Invalid defaultFormat/);
+        assert.throws(() => new SnowflakeGenerator().generate("uuid"), /Unsupported snowflake format/);
+    });
+
+    test("rejects timestamps that overflow the timestamp field", () => {
+        const clock = new ManualClock(2 ** 10);
+        const generator = new SnowflakeGenerator({ clock, layout: { epoch: 0, timestampBits: 10 } });
+
+        assert.throws(() => generator.generate(), /exceeds the 10-bit field/);
+    });
+
+    test("rejects malformed or oversized IDs when decoding", () => {
+        assert.throws(() => decodeSnowflake("12ab"), /Invalid snowflake decimal/);
+        assert.throws(() => decodeSnowflake("abc", { format: "hex" }), /Invalid snowflake hex/);
+        assert.throws(() => decodeSnowflake("AAAAAAAAAAB", { format: "base64url" }), /Invalid snowflake Base64URL/);
+        assert.throws(() => decodeSnowflake(-1n), /unsigned 64-bit/);
+        assert.throws(() => decodeSnowflake(1n << 63n), /does not fit the 63-bit layout/);
+    });
+});
@@ -0,0 +1,119 @@
+import { test, describe, beforeEach, afterEach } from "node:test";
+import assert from "node:assert";
+import { mkdtempSync, rmSync, readdirSync, readFileSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { FileStateStore } from "../src/state-store.js";
+import { UUID48Timestamp } from "../src/timestamp.js";
+import { ManualClock } from "../src/clock.js";
+
+describe("FileStateStore", () => {
+    let dir;
+    let path;
+
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), "uuid48-state-"));
+        path = join(dir, "state.json");
+    });
+
+    afterEach(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    test("loads 0n when no state file exists", () => {
+        assert.strictEqual(new FileStateStore(path).load(), 0n);
+    });
+
+    test("never issues values below the mark persisted by a previous process", () => {
+        const clock = new ManualClock(5000);
+        const store = new FileStateStore(path);
+        const first = new UUID48Timestamp({ clock, stateStore: store });
+
+        assert.strictEqual(first.generate().readUIntBE(0, 6), 5000);
+        store.close();
+
+        // Restart after the host clock stepped backward
+        clock.set(1000);
+        const restarted = new UUID48Timestamp({ clock, stateStore: new FileStateStore(path) });
+        assert.strictEqual(restarted.generate().readUIntBE(0, 6), 5001);
+    });
+
+    test("does not count the restored lease as drift", () => {
+        const clock = new ManualClock(5000);
+        const store = new FileStateStore(path);
+        new UUID48Timestamp({ clock, stateStore: store }).generate();
+
+        // Crash without close(): the lease stays 1000ms ahead of the clock
+        const restarted = new UUID48Timestamp({ clock, maxDriftMs: 10, stateStore: new FileStateStore(path) });
+        assert.strictEqual(restarted.generate().readUIntBE(0, 6), 6001);
+        for (let i = 0; i < 9; i++) {
+            restarted.generate();
+        }
+        assert.throws(() => restarted.generate(), /maxDriftMs \(10\)/);
+
+        // Drift is measured against the clock again once it passes the lease
+        clock.set(6100);
+        assert.strictEqual(restarted.generate().readUIntBE(0, 6), 6100);
+    });
+
+    test("writes atomically without leaving temporary files", () => {
+        const store = new FileStateStore(path, { flushIntervalMs: 0 });
+        store.update(1234n);
+        store.update(1235n);
+
+        assert.deepStrictEqual(readdirSync(dir), ["state.json"]);
+        assert.strictEqual(JSON.parse(readFileSync(path, "utf8")).lease, "1235");
+    });
+
+    test("writes a lease ahead of issuance before returning", () => {
+        const store = new FileStateStore(path, { flushIntervalMs: 10 });
+        store.update(42n);
+        assert.strictEqual(new FileStateStore(path).load(), 52n);
+
+        // Within the lease: no write
+        store.update(51n);
+        assert.strictEqual(new FileStateStore(path).load(), 52n);
+
+        store.update(52n);
+        assert.strictEqual(new FileStateStore(path).load(), 62n);
+
+        // A clean shutdown trims the lease to the last issued timestamp
+        store.close();
+        assert.strictEqual(new FileStateStore(path).load(), 52n);
+    });
+
+    test("covers every issued value after a crash without close()", () => {
+        const clock = new ManualClock(5000);
+        const first = new UUID48Timestamp({ clock, stateStore: new FileStateStore(path) });
+        for (let i = 0; i < 50; i++) {
+            clock.advance(1);
+            first.generate();
+        }
+
+        // Restart after the host clock stepped backward, without a final flush
+        clock.set(1000);
+        const restarted = new UUID48Timestamp({ clock, stateStore: new FileStateStore(path) });
+        assert.ok(restarted.generate().readUIntBE(0, 6) > 5050);
+    });
+
+    test("ignores marks below the current high-water mark", () => {
+        const store = new FileStateStore(path, { flushIntervalMs: 0 });
+        store.update(100n);
+        store.update(50n);
+
+        assert.strictEqual(store.highWaterMark, 100n);
+        assert.strictEqual(new FileStateStore(path).load(), 100n);
+    });
+
+    test("rejects corrupt state and invalid options", () => {
+        writeFileSync(path, "not json");
+        assert.throws(() => new FileStateStore(path).load(), /Corrupt state file/);
+        assert.throws(() => new FileStateStore(""), /non-empty string/);
+        assert.throws(() => new FileStateStore(path, { flushIntervalMs: -1 }), /flushIntervalMs/);
+    });
+
+    test("reports write failures", () => {
+        const store = new FileStateStore(join(dir, "missing", "state.json"), { flushIntervalMs: 0 });
+        assert.throws(() => store.update(1n), /Failed to write state file/);
+    });
+});
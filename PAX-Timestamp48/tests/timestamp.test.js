@@ -1,6 +1,8 @@
 import { test, describe } from "node:test";
 import assert from "node:assert";
 import { UUID48Timestamp } from "../src/timestamp.js";
+import { ManualClock } from "../src/clock.js";
+import { ClockDriftError } from "../src/errors.js";
 
 describe("UUID48Timestamp Core Algorithm", () => {
     test("generates valid 48-bit timestamps", () => {
@@ -88,6 +90,359 @@ describe("UUID48Timestamp Core Algorithm", () => {
         assert.ok(UUID48Timestamp.validateBuffer(timestamp));
     });
     
+    test("unique strategy returns strictly increasing values", () => {
+        const generator = new UUID48Timestamp({ waitStrategy: "unique", maxLookaheadMs: 60000 });
+        let last = -1;
+
+        for (let i = 0; i < 10000; i++) {
+            const value = generator.generate().readUIntBE(0, 6);
+            assert.ok(value > last, `Value at ${i} should be > previous`);
+            last = value;
+        }
+    });
+
+    test("unique strategy bounds lead over system time", () => {
+        const generator = new UUID48Timestamp({ waitStrategy: "unique", maxLookaheadMs: 5 });
+
+        for (let i = 0; i < 50; i++) {
+            const value = generator.generate().readUIntBE(0, 6);
+            assert.ok(value - Date.now() <= 5, "Lead should not exceed maxLookaheadMs");
+        }
+    });
+
+    test("rejects invalid unique options", () => {
+        assert.throws(() => new UUID48Timestamp({ waitStrategy: "strict" }), /waitStrategy must be/);
+        assert.throws(() => new UUID48Timestamp({ maxLookaheadMs: -1 }), /maxLookaheadMs/);
+        assert.throws(() => new UUID48Timestamp({ maxLookaheadMs: 1.5 }), /maxLookaheadMs/);
+    });
+
+    test("maxDriftMs with throw policy rejects timestamps too far ahead", () => {
+        const clock = new ManualClock(1000);
+        const generator = new UUID48Timestamp({ clock, maxSubMs: 2, maxDriftMs: 1 });
+        const next = () => generator.generate().readUIntBE(0, 6);
+
+        assert.strictEqual(next(), 1000);
+        assert.strictEqual(next(), 1000);
+        assert.strictEqual(next(), 1001);  // overflow borrows 1ms, within the limit
+
+        assert.throws(() => generator.generate(), (error) => {
+            assert.ok(error instanceof ClockDriftError);
+            assert.strictEqual(error.code, "CLOCK_DRIFT");
+            assert.strictEqual(error.leadMs, 2);
+            assert.strictEqual(error.maxDriftMs, 1);
+            return true;
+        });
+        assert.strictEqual(generator.getStats().generated, 3);
+
+        clock.advance(1);
+        assert.strictEqual(next(), 1001);  // state was left untouched by the rejection
+
+        clock.rewind(10);
+        assert.throws(() => generator.generate(), /maxDriftMs \(1\)/);
+    });
+
+    test("maxDriftMs with block and wait policies bounds lead under sustained overflow", () => {
+        for (const driftPolicy of ["block", "wait"]) {
+            // The clock moves 1ms every 10 reads; maxSubMs 1 overflows on every call
+            let reads = 0;
+            const clock = () => 1000 + Math.floor(reads++ / 10);
+            const waits = [];
+            const generator = new UUID48Timestamp({
+                clock,
+                maxSubMs: 1,
+                maxDriftMs: 2,
+                driftPolicy,
+                onEvent: (name, details) => {
+                    if (name === "wait") {
+                        waits.push({ ...details, lastMs: Number(generator.lastSystemTime) });
+                    }
+                }
+            });
+
+            let previous = -1;
+            for (let i = 0; i < 20; i++) {
+                const value = generator.generate().readUIntBE(0, 6);
+                assert.ok(value > previous, `${driftPolicy}: values should increase`);
+                previous = value;
+            }
+
+            assert.ok(generator.getStats().maxLeadMs <= 2, `${driftPolicy}: lead should stay within maxDriftMs`);
+            assert.ok(waits.length > 0);
+            assert.ok(waits.every(({ reason }) => reason === "drift"));
+
+            // "block" resumes once the lead is back at the limit, "wait" once it is gone
+            const allowedLead = driftPolicy === "block" ? 2 : 0;
+            assert.ok(waits.every(({ untilMs, lastMs }) => untilMs === lastMs + 1 - allowedLead));
+        }
+    });
+
+    test("generateAsync waits for drift without blocking", async () => {
+        const clock = new ManualClock(1000);
+        const generator = new UUID48Timestamp({ clock, maxSubMs: 1, maxDriftMs: 1, driftPolicy: "block" });
+
+        assert.strictEqual((await generator.generateAsync()).readUIntBE(0, 6), 1000);
+        assert.strictEqual((await generator.generateAsync()).readUIntBE(0, 6), 1001);
+
+        const pending = generator.generateAsync();
+        setTimeout(() => clock.advance(1), 5);
+        assert.strictEqual((await pending).readUIntBE(0, 6), 1002);
+        assert.strictEqual(generator.getStats().maxLeadMs, 1);
+    });
+
+    test("reports and validates drift options", () => {
+        const generator = new UUID48Timestamp({ maxDriftMs: 50, driftPolicy: "wait" });
+        assert.strictEqual(generator.getConfig().maxDriftMs, 50);
+        assert.strictEqual(generator.getConfig().driftPolicy, "wait");
+        assert.strictEqual(new UUID48Timestamp().getConfig().maxDriftMs, null);
+
+        assert.throws(() => new UUID48Timestamp({ maxDriftMs: -1 }), /maxDriftMs/);
+        assert.throws(() => new UUID48Timestamp({ maxDriftMs: 0.5 }), /maxDriftMs/);
+        assert.throws(() => new UUID48Timestamp({ driftPolicy: "ignore" }), /driftPolicy must be/);
+    });
+
+    test("uses injected clock for same-millisecond, overflow and backward paths", () => {
+        const clock = new ManualClock(1000);
+        const generator = new UUID48Timestamp({ clock, maxSubMs: 2 });
+        const next = () => Number(UUID48Timestamp.bufferToTimestamp(generator.generate()));
+
+        assert.strictEqual(next(), 1000);
+        assert.strictEqual(next(), 1000);  // counter 1
+        assert.strictEqual(next(), 1001);  // counter overflow borrows next ms
+
+        clock.rewind(500);
+        assert.strictEqual(next(), 1002);  // clock backward continues forward
+        assert.strictEqual(generator.subMillisecondCounter, 0n);
+
+        clock.set(5000);
+        assert.strictEqual(next(), 5000);
+    });
+
+    test("wait strategy reads injected clock until next millisecond", () => {
+        const clock = new ManualClock(1000);
+        const generator = new UUID48Timestamp({ clock, maxSubMs: 1, waitStrategy: "wait" });
+
+        assert.strictEqual(generator.generate().readUIntBE(0, 6), 1000);
+
+        // Every read advances 1ms: overflow at 1000, wait loop sees 1001 and uses it
+        clock.autoAdvanceMs = 1;
+        assert.strictEqual(generator.generate().readUIntBE(0, 6), 1001);
+    });
+
+    test("detects 48-bit overflow from injected clock", () => {
+        const generator = new UUID48Timestamp({ clock: () => 0x1000000000000n });
+        assert.throws(() => generator.generate(), /48-bit limit/);
+
+        const last = new UUID48Timestamp({ clock: () => 0xFFFFFFFFFFFF });
+        assert.strictEqual(last.generate().toString("hex"), "ffffffffffff");
+    });
+
+    test("generateAsync yields instead of busy-waiting on counter overflow", async () => {
+        const clock = new ManualClock(1000);
+        const generator = new UUID48Timestamp({ clock, maxSubMs: 1, waitStrategy: "wait" });
+
+        assert.strictEqual((await generator.generateAsync()).readUIntBE(0, 6), 1000);
+
+        // Frozen clock: the next call must wait until the clock is moved
+        const pending = generator.generateAsync();
+        setTimeout(() => clock.advance(1), 5);
+        assert.strictEqual((await pending).readUIntBE(0, 6), 1001);
+    });
+
+    test("generateAsync respects unique lookahead without blocking", async () => {
+        const clock = new ManualClock(1000);
+        const generator = new UUID48Timestamp({ clock, waitStrategy: "unique", maxLookaheadMs: 1 });
+
+        assert.strictEqual((await generator.generateAsync()).readUIntBE(0, 6), 1000);
+        assert.strictEqual((await generator.generateAsync()).readUIntBE(0, 6), 1001);
+
+        const pending = generator.generateAsync();
+        setTimeout(() => clock.advance(1), 5);
+        assert.strictEqual((await pending).readUIntBE(0, 6), 1002);
+    });
+
+    test("reports events and statistics for overflow and backward clock", () => {
+        const clock = new ManualClock(1000);
+        const events = [];
+        const generator = new UUID48Timestamp({
+            clock,
+            maxSubMs: 2,
+            onEvent: (name, details) => events.push([name, details])
+        });
+
+        generator.generate();
+        generator.generate();
+        assert.strictEqual(generator.generate().readUIntBE(0, 6), 1001);
+
+        clock.rewind(5);
+        assert.strictEqual(generator.generate().readUIntBE(0, 6), 1002);
+
+        assert.deepStrictEqual(events.map(([name]) => name), [
+            "counterOverflow", "driftAhead", "clockBackward", "driftAhead"
+        ]);
+        assert.deepStrictEqual(events[2][1], { skewMs: 5, previousMs: 1000, currentMs: 995 });
+        assert.deepStrictEqual(events[3][1], { leadMs: 7, timestampMs: 1002 });
+
+        assert.deepStrictEqual(generator.getStats(), {
+            generated: 4,
+            clockBackward: 1,
+            counterOverflow: 1,
+            driftAhead: 2,
+            wait: 0,
+            maxSkewMs: 5,
+            maxLeadMs: 7,
+            leadMs: 7
+        });
+
+        // Lead shrinks as the clock catches up
+        clock.set(1010);
+        assert.strictEqual(generator.getStats().leadMs, 0);
+    });
+
+    test("reports events after the generator state is updated", () => {
+        const clock = new ManualClock(1000);
+        const seen = [];
+        const generator = new UUID48Timestamp({
+            clock,
+            maxSubMs: 2,
+            onEvent: (name) => seen.push([
+                name, generator.lastSystemTime, generator.subMillisecondCounter, generator.leadMs,
+                generator.getStats()
+            ])
+        });
+
+        generator.generate();
+        generator.generate();
+        generator.generate();
+        clock.rewind(5);
+        generator.generate();
+
+        const [overflow, firstLead, backward, secondLead] = seen;
+        assert.deepStrictEqual(overflow.slice(0, 4), ["counterOverflow", 1001n, 0n, 1n]);
+        assert.strictEqual(overflow[4].generated, 3);
+        assert.strictEqual(overflow[4].counterOverflow, 1);
+        assert.strictEqual(firstLead[4].driftAhead, 1);
+        assert.deepStrictEqual(backward.slice(0, 4), ["clockBackward", 1002n, 0n, 7n]);
+        assert.strictEqual(backward[4].generated, 4);
+        assert.strictEqual(backward[4].clockBackward, 1);
+        assert.strictEqual(backward[4].maxSkewMs, 5);
+        assert.strictEqual(secondLead[4].maxLeadMs, 7);
+    });
+
+    test("reports waits and counts each generated value once", () => {
+        const clock = new ManualClock(1000);
+        const events = [];
+        const generator = new UUID48Timestamp({
+            clock,
+            maxSubMs: 1,
+            waitStrategy: "wait",
+            onEvent: (name, details) => events.push([name, details])
+        });
+
+        generator.generate();
+        clock.autoAdvanceMs = 1;
+        generator.generate();
+
+        assert.deepStrictEqual(events[1], ["wait", { reason: "counterOverflow", untilMs: 1001 }]);
+        assert.strictEqual(generator.getStats().generated, 2);
+        assert.strictEqual(generator.getStats().wait, 1);
+    });
+
+    test("generateInto writes consecutive timestamps at an offset", () => {
+        const generator = new UUID48Timestamp({ clock: new ManualClock(0x010203040506) });
+        const target = new Uint8Array(20).fill(0xEE);
+
+        assert.strictEqual(generator.generateInto(target, 2, 3), 20);
+        assert.deepStrictEqual([...target.subarray(0, 2)], [0xEE, 0xEE]);
+        for (let offset = 2; offset < 20; offset += 6) {
+            assert.deepStrictEqual([...target.subarray(offset, offset + 6)], [1, 2, 3, 4, 5, 6]);
+        }
+        assert.strictEqual(generator.subMillisecondCounter, 2n);
+        assert.strictEqual(generator.lastSystemTime, 0x010203040506n);
+        assert.strictEqual(generator.generateInto(target, 20, 0), 20);
+    });
+
+    test("generateInto matches generate() values, events and statistics", () => {
+        // Same millisecond, counter overflow, clock backward and lookahead
+        const script = (clock, step) => {
+            for (let i = 0; i < 5; i++) step();
+            clock.advance(3);
+            for (let i = 0; i < 3; i++) step();
+            clock.rewind(10);
+            for (let i = 0; i < 3; i++) step();
+            clock.advance(20);
+            step();
+        };
+
+        for (const waitStrategy of ["increment", "unique"]) {
+            const run = (useInto) => {
+                const clock = new ManualClock(1000);
+                const events = [];
+                const generator = new UUID48Timestamp({
+                    clock,
+                    maxSubMs: 2,
+                    waitStrategy,
+                    onEvent: (name, details) => events.push([name, details])
+                });
+                const values = [];
+                script(clock, () => {
+                    const bytes = new Uint8Array(6);
+                    if (useInto) {
+                        generator.generateInto(bytes);
+                    } else {
+                        bytes.set(generator.generate());
+                    }
+                    values.push(UUID48Timestamp.bufferToTimestamp(bytes));
+                });
+                return { values, events, stats: generator.getStats(), counter: generator.subMillisecondCounter };
+            };
+
+            assert.deepStrictEqual(run(true), run(false), `${waitStrategy} strategy`);
+        }
+    });
+
+    test("generateInto batches stay monotonic and reach the state store once", () => {
+        const marks = [];
+        const generator = new UUID48Timestamp({
+            clock: new ManualClock(5000, { autoAdvanceMs: 0.25 }),
+            stateStore: { load: () => 0n, update: (mark) => marks.push(mark) }
+        });
+        const target = new Uint8Array(6 * 1000);
+
+        generator.generateInto(target, 0, 1000);
+
+        let previous = -1n;
+        for (let offset = 0; offset < target.length; offset += 6) {
+            const value = UUID48Timestamp.bufferToTimestamp(target.subarray(offset, offset + 6));
+            assert.ok(value >= previous);
+            previous = value;
+        }
+        assert.strictEqual(generator.getStats().generated, 1000);
+        assert.deepStrictEqual(marks, [generator.lastSystemTime]);
+    });
+
+    test("generateInto rejects invalid targets", () => {
+        const generator = new UUID48Timestamp();
+
+        assert.throws(() => generator.generateInto([0, 0, 0, 0, 0, 0]), /target must be a Buffer or Uint8Array/);
+        assert.throws(() => generator.generateInto(new Uint8Array(5)), /target is too small/);
+        assert.throws(() => generator.generateInto(new Uint8Array(12), 7), /target is too small/);
+        assert.throws(() => generator.generateInto(new Uint8Array(12), -1), /offset must be/);
+        assert.throws(() => generator.generateInto(new Uint8Array(12), 0, 1.5), /count must be/);
+        assert.strictEqual(generator.getStats().generated, 0);
+    });
+
+    test("counts timestamps from a custom epoch", () => {
+        const clock = new ManualClock(Date.UTC(2020, 0, 1, 0, 0, 1));
+        const generator = new UUID48Timestamp({ clock, epoch: new Date("2020-01-01T00:00:00Z") });
+
+        assert.strictEqual(generator.generate().readUIntBE(0, 6), 1000);
+        assert.strictEqual(generator.getConfig().epoch, Date.UTC(2020, 0, 1));
+
+        clock.set(Date.UTC(2019, 11, 31));
+        assert.throws(() => generator.generate(), /before epoch/);
+        assert.throws(() => new UUID48Timestamp({ epoch: -5 }), /epoch must be/);
+    });
+
     test("validates buffer correctly", () => {
         const generator = new UUID48Timestamp();
         const validBuffer = generator.generate();
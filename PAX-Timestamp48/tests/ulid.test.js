@@ -0,0 +1,68 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import { ULIDGenerator, encodeULID, decodeULID, isValidULID } from "../src/ulid.js";
+import { UUID48Timestamp } from "../src/timestamp.js";
+import { ULIDOverflowError } from "../src/errors.js";
+
+describe("ULID Module", () => {
+    test("generates 26-character ULIDs with current timestamp", () => {
+        const generator = new ULIDGenerator();
+        const ulid = generator.generate();
+
+        assert.match(ulid, /^[0-7][0-9A-HJKMNP-TV-Z]{25}$/);
+        assert.ok(isValidULID(ulid));
+
+        const timestamp = UUID48Timestamp.bufferToTimestamp(decodeULID(ulid).subarray(0, 6));
+        assert.ok(Math.abs(Number(timestamp) - Date.now()) < 2000);
+    });
+
+    test("increments randomness within the same millisecond", () => {
+        const generator = new ULIDGenerator();
+        const ulids = [];
+        for (let i = 0; i < 1000; i++) {
+            ulids.push(generator.generateBuffer());
+        }
+
+        for (let i = 1; i < ulids.length; i++) {
+            assert.ok(Buffer.compare(ulids[i - 1], ulids[i]) < 0, `ULID at ${i} should sort after previous`);
+
+            if (ulids[i].subarray(0, 6).equals(ulids[i - 1].subarray(0, 6))) {
+                const previous = BigInt(`0x${ulids[i - 1].subarray(6).toString("hex")}`);
+                const current = BigInt(`0x${ulids[i].subarray(6).toString("hex")}`);
+                assert.strictEqual(current, previous + 1n);
+            }
+        }
+    });
+
+    test("throws when randomness overflows within one millisecond", () => {
+        const generator = new ULIDGenerator();
+        const first = generator.generateBuffer();
+
+        generator.lastRandom = Buffer.alloc(10, 0xFF);
+        generator.algorithm.generate = () => Buffer.from(first.subarray(0, 6));
+        assert.throws(() => generator.generateBuffer(), (error) => {
+            assert.ok(error instanceof ULIDOverflowError);
+            assert.strictEqual(error.code, "ULID_OVERFLOW");
+            assert.strictEqual(error.timestamp, UUID48Timestamp.bufferToTimestamp(first.subarray(0, 6)));
+            return true;
+        });
+    });
+
+    test("round-trips and normalizes on decode", () => {
+        const buffer = Buffer.from("0198ccb66e4e70008f3a5c1d2e7b9a40", "hex");
+        const ulid = encodeULID(buffer);
+
+        assert.strictEqual(ulid.length, 26);
+        assert.ok(decodeULID(ulid).equals(buffer));
+        assert.ok(decodeULID(ulid.toLowerCase()).equals(buffer));
+        assert.ok(decodeULID("0lARZ3NDEKTSV4RRFFQ69G5FAV").equals(decodeULID("01ARZ3NDEKTSV4RRFFQ69G5FAV")));
+    });
+
+    test("rejects invalid ULIDs", () => {
+        assert.ok(!isValidULID("01ARZ3NDEKTSV4RRFFQ69G5FA"));   // Too short
+        assert.ok(!isValidULID("01ARZ3NDEKTSV4RRFFQ69G5FAU"));  // U is not in the alphabet
+        assert.ok(!isValidULID("81ARZ3NDEKTSV4RRFFQ69G5FAV"));  // Exceeds 128 bits
+        assert.ok(!isValidULID(42));
+        assert.throws(() => encodeULID(Buffer.alloc(15)), /16-byte/);
+    });
+});
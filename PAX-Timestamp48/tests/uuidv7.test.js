@@ -0,0 +1,91 @@
+import { test, describe } from "node:test";
+import assert from "node:assert";
+import {
+    getCounterBits,
+    packUUIDv7,
+    isValidUUIDv7Buffer,
+    isValidUUIDString,
+    uuidToString,
+    stringToUUID,
+    uuidToBase64URL,
+    base64URLToUUID,
+    uuidToTimestamp
+} from "../src/uuidv7.js";
+import { UUID48Timestamp } from "../src/timestamp.js";
+
+describe("UUIDv7 Packing Module", () => {
+    test("packs timestamp, version and variant", () => {
+        const timestamp = Buffer.from([0x01, 0x98, 0xcc, 0xb6, 0x6e, 0x4e]);
+        const uuid = packUUIDv7(timestamp, 0xABC);
+
+        assert.strictEqual(uuid.length, 16);
+        assert.ok(uuid.subarray(0, 6).equals(timestamp));
+        assert.strictEqual(uuid[6], 0x7A);
+        assert.strictEqual(uuid[7], 0xBC);
+        assert.strictEqual(uuid[8] & 0xC0, 0x80);
+        assert.ok(isValidUUIDv7Buffer(uuid));
+    });
+
+    test("places 16-bit counters across rand_a and rand_b", () => {
+        const timestamp = Buffer.alloc(6);
+        const uuid = packUUIDv7(timestamp, 0xABCD, 65536);
+
+        assert.strictEqual(getCounterBits(65536), 16);
+        assert.strictEqual(uuid[6], 0x7A);
+        assert.strictEqual(uuid[7], 0xBC);
+        assert.strictEqual((uuid[8] >> 2) & 0x0F, 0xD);
+        assert.strictEqual(uuid[8] & 0xC0, 0x80);
+    });
+
+    test("counter order matches byte order", () => {
+        const timestamp = Buffer.from([0, 0, 0, 0, 0, 1]);
+
+        for (const maxSubMs of [4096, 65536]) {
+            let previous = packUUIDv7(timestamp, 0, maxSubMs);
+            for (let counter = 1; counter < 64; counter++) {
+                const current = packUUIDv7(timestamp, counter, maxSubMs);
+                assert.ok(Buffer.compare(previous, current) < 0,
+                    `Counter ${counter} should sort after ${counter - 1} (maxSubMs ${maxSubMs})`);
+                previous = current;
+            }
+        }
+    });
+
+    test("rejects invalid inputs", () => {
+        assert.throws(() => packUUIDv7(Buffer.alloc(5)), /6-byte/);
+        assert.throws(() => packUUIDv7(Buffer.alloc(6), 4096), /Counter must be/);
+        assert.throws(() => packUUIDv7(Buffer.alloc(6), -1), /Counter must be/);
+    });
+
+    test("round-trips canonical string form", () => {
+        const uuid = packUUIDv7(new UUID48Timestamp().generate(), 1);
+        const str = uuidToString(uuid);
+
+        assert.match(str, /^[0-9a-f]{8}-[0-9a-f]{4}-7[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+        assert.ok(isValidUUIDString(str));
+        assert.ok(stringToUUID(str).equals(uuid));
+        assert.ok(stringToUUID(str.toUpperCase()).equals(uuid));
+        assert.throws(() => stringToUUID(str.replace(/-/g, "")), /Invalid UUID string/);
+    });
+
+    test("round-trips 22-character Base64URL form", () => {
+        const uuid = packUUIDv7(new UUID48Timestamp().generate(), 2);
+        const encoded = uuidToBase64URL(uuid);
+
+        assert.strictEqual(encoded.length, 22);
+        assert.ok(base64URLToUUID(encoded).equals(uuid));
+        assert.throws(() => base64URLToUUID("short"), /22 characters/);
+
+        // Last character must leave its low 4 bits unused
+        const tampered = encoded.slice(0, 21) + "B";
+        assert.throws(() => base64URLToUUID(tampered), /non-canonical/);
+    });
+
+    test("extracts timestamp prefix", () => {
+        const timestamp = new UUID48Timestamp().generate();
+        const uuid = packUUIDv7(timestamp, 0);
+
+        assert.ok(uuidToTimestamp(uuid).equals(timestamp));
+        assert.throws(() => uuidToTimestamp(Buffer.alloc(16)), /Invalid UUIDv7 buffer/);
+    });
+});
@@ -7,30 +7,256 @@
  * @license MIT
  */
 
-// Type definitions for supported formats
-export type TimestampFormat = "base64url" | "hex" | "buffer";
+// Byte results are Buffer in Node.js and plain Uint8Array in other runtimes;
+// byte inputs accept any Uint8Array
+
+// Integer formats hold the 48-bit value itself (0..2^48-1); "decimal" is its base-10 string
+export type NumericFormat = "number" | "bigint" | "decimal";
+
+/**
+ * Value type of every 48-bit format by name ("buffer" requires Node.js).
+ * Formats added with registerFormat() are typed by merging into this interface:
+ *
+ *     declare module "@tools/uuid48-timestamp" {
+ *         interface TimestampFormatRegistry {
+ *             base36: string;
+ *         }
+ *     }
+ */
+export interface TimestampFormatRegistry {
+    base64url: string;
+    base64sort: string;
+    base32: string;
+    hex: string;
+    buffer: Buffer;
+    uint8array: Uint8Array;
+    number: number;
+    bigint: bigint;
+    decimal: string;
+}
+
+// Type definitions for supported 48-bit formats, built-in and registered
+export type TimestampFormat = keyof TimestampFormatRegistry & string;
+
+// Type definitions for full 128-bit UUIDv7 formats ("uuid-buffer" requires Node.js)
+export type UUIDFormat = "uuid" | "uuid-base64url" | "uuid-hex" | "uuid-buffer" | "uuid-uint8array";
+
+// 26-character Crockford Base32 ULID
+export type ULIDFormat = "ulid";
+
+// Any format accepted by validate, convert and timestampToDate
+export type IdFormat = TimestampFormat | UUIDFormat | ULIDFormat;
+
+// Any ID value: text, 48-bit integer, bytes or the value of a registered format
+export type IdValue = string | number | bigint | Uint8Array | TimestampFormatRegistry[TimestampFormat];
+
+// Formats whose values are strings, including registered ones
+type StringFormat =
+    | { [F in TimestampFormat]: TimestampFormatRegistry[F] extends string ? F : never }[TimestampFormat]
+    | "uuid" | "uuid-base64url" | "uuid-hex" | ULIDFormat;
 
 // Type definitions for wait strategies
-export type WaitStrategy = "increment" | "wait";
+export type WaitStrategy = "increment" | "wait" | "unique";
+
+// What happens when the next timestamp would run further ahead than maxDriftMs
+export type DriftPolicy = "throw" | "block" | "wait";
+
+// Time source returning Unix milliseconds as number or bigint
+export type ClockSource = (() => number | bigint) | { now(): number | bigint };
+
+// Epoch as Unix milliseconds or Date
+export type Epoch = number | bigint | Date;
+
+// Options for decoding timestamps generated under a custom epoch
+export interface EpochOptions {
+    /** Epoch the timestamp counts from (default: Unix epoch) */
+    epoch?: Epoch;
+}
+
+// Instant accepted by fromDate and boundsForRange: Date, Unix milliseconds or ISO string
+export type DateInput = Date | number | bigint | string;
+
+// Options for validate and check
+export interface ValidateOptions extends EpochOptions {
+    /** Reject IDs decoding to an earlier instant */
+    notBefore?: DateInput;
+    /** Reject IDs decoding to a later instant */
+    notAfter?: DateInput;
+    /** Reject IDs decoding to more than this many milliseconds after now */
+    maxFutureSkewMs?: number;
+}
+
+// Machine-readable reason an ID failed check()
+export type CheckReason =
+    | "UNSUPPORTED_FORMAT"
+    | "BAD_TYPE"
+    | "BAD_LENGTH"
+    | "BAD_ALPHABET"
+    | "NON_CANONICAL"
+    | "OUT_OF_RANGE"
+    | "BAD_VERSION"
+    | "BAD_VARIANT"
+    | "MALFORMED"
+    | "WRONG_EPOCH"
+    | "BEFORE_EPOCH"
+    | "AFTER_CUTOFF"
+    | "IN_FUTURE";
+
+export interface CheckResult {
+    valid: boolean;
+    /** Null if valid */
+    reason: CheckReason | null;
+    /** Human-readable explanation; null if valid */
+    message: string | null;
+    /** Unix milliseconds of a valid ID, null otherwise */
+    timestamp: number | null;
+}
+
+// Options for fromDate
+export interface FromDateOptions extends EpochOptions {
+    /** Smallest ("lower") or largest ("upper") ID for the instant (default: "lower") */
+    bound?: "lower" | "upper";
+}
+
+// Inclusive ID bounds returned by boundsForRange
+export interface IdRange<T = IdValue> {
+    lower: T;
+    upper: T;
+}
 
 // Configuration options for UUID48Timestamp
 export interface UUID48TimestampOptions {
     /** Maximum sub-millisecond counter value (1-65536, default: 4096) */
     maxSubMs?: number;
-    /** Strategy for counter overflow: "increment" or "wait" (default: "increment") */
+    /**
+     * Strategy for counter overflow (default: "increment").
+     * "unique" makes every value strictly greater than the previous one.
+     */
     waitStrategy?: WaitStrategy;
+    /** Maximum lead over system time in "unique" mode before blocking (default: 1000) */
+    maxLookaheadMs?: number;
+    /** Maximum lead over system time in any mode (default: unlimited; UUID48Timestamp only) */
+    maxDriftMs?: number;
+    /**
+     * Beyond maxDriftMs: "throw" a ClockDriftError, "block" until back within the
+     * limit, or "wait" until the clock catches up completely (default: "throw")
+     */
+    driftPolicy?: DriftPolicy;
+    /** Time source (default: Date.now) */
+    clock?: ClockSource;
+    /** Epoch the 48-bit timestamps count from (default: 0, the Unix epoch) */
+    epoch?: Epoch;
+    /** Persistent high-water mark store; values never go below the loaded mark */
+    stateStore?: StateStore;
+    /** Hook called for every generator event */
+    onEvent?: ((name: GeneratorEventName, details: GeneratorEventMap[GeneratorEventName]) => void) | null;
+}
+
+// Events reported by UUID48Timestamp and emitted by TimestampGenerator
+export interface GeneratorEventMap {
+    /** The clock returned a value below its previous reading */
+    clockBackward: { skewMs: number; previousMs: number; currentMs: number };
+    /** The sub-millisecond counter ran out within one millisecond */
+    counterOverflow: { timestampMs: number; maxSubMs: number; waitStrategy: WaitStrategy };
+    /** Issued timestamps moved further ahead of the clock */
+    driftAhead: { leadMs: number; timestampMs: number };
+    /** The generator is about to wait until the clock reaches untilMs */
+    wait: { reason: "counterOverflow" | "lookahead"; untilMs: number };
+}
+
+export type GeneratorEventName = keyof GeneratorEventMap;
+
+// Runtime statistics returned by getStats methods
+export interface GeneratorStats {
+    /** Number of generated timestamps */
+    generated: number;
+    /** Event counters */
+    clockBackward: number;
+    counterOverflow: number;
+    driftAhead: number;
+    wait: number;
+    /** Largest observed backward clock step in ms */
+    maxSkewMs: number;
+    /** Largest observed lead of issued timestamps over the clock in ms */
+    maxLeadMs: number;
+    /** Current lead of the last issued timestamp over the clock in ms */
+    leadMs: number;
+}
+
+// Dependency-free subset of the Node.js EventEmitter API (available from "./emitter")
+export declare class Emitter {
+    on(event: string, listener: (...args: any[]) => void): this;
+    once(event: string, listener: (...args: any[]) => void): this;
+    off(event: string, listener: (...args: any[]) => void): this;
+    emit(event: string, ...args: any[]): boolean;
+    listenerCount(event: string): number;
+}
+
+// Persistent high-water mark store used by UUID48Timestamp
+export interface StateStore {
+    /** Read the persisted high-water mark (0n if none) */
+    load(): bigint;
+    /** Record the last issued timestamp */
+    update(mark: bigint): void;
+}
+
+// File-backed state store that persists a lease ahead of issuance with atomic write-and-rename
+export declare class FileStateStore implements StateStore {
+    /**
+     * @param path State file path
+     * @param options.flushIntervalMs How far the lease reaches past the last issued timestamp;
+     *   0 writes on every update (default: 1000)
+     */
+    constructor(path: string, options?: { flushIntervalMs?: number });
+
+    readonly path: string;
+    readonly flushIntervalMs: number;
+    /** Highest timestamp recorded so far */
+    readonly highWaterMark: bigint;
+    /** Persisted bound at or above every issued timestamp */
+    readonly lease: bigint;
+
+    load(): bigint;
+    update(mark: bigint): void;
+
+    /** Trim the persisted lease to the current high-water mark */
+    flush(): void;
+
+    /** Persist the final high-water mark on a clean shutdown */
+    close(): void;
 }
 
 // Configuration options for TimestampGenerator
 export interface TimestampGeneratorOptions extends UUID48TimestampOptions {
     /** Default output format (default: "base64url") */
     defaultFormat?: TimestampFormat;
+    /** Existing timestamp source to use instead of a new UUID48Timestamp (algorithm options are ignored) */
+    algorithm?: UUID48Timestamp | SharedUUID48Timestamp;
+}
+
+// Configuration options for SharedUUID48Timestamp
+// maxDriftMs, driftPolicy, stateStore and onEvent are rejected: they need per-process state
+export interface SharedUUID48TimestampOptions
+    extends Pick<UUID48TimestampOptions, "maxSubMs" | "waitStrategy" | "maxLookaheadMs" | "clock" | "epoch"> {
+    /** Existing 8-byte shared state to attach to (default: new state) */
+    buffer?: SharedArrayBuffer;
+}
+
+// Structured-cloneable handle passed to worker threads
+export interface SharedTimestampHandle extends TimestampConfiguration {
+    buffer: SharedArrayBuffer;
 }
 
 // Configuration returned by getConfig methods
 export interface TimestampConfiguration {
     maxSubMs: number;
     waitStrategy: WaitStrategy;
+    maxLookaheadMs: number;
+    /** null when unlimited; UUID48Timestamp only */
+    maxDriftMs?: number | null;
+    driftPolicy?: DriftPolicy;
+    /** Epoch in Unix milliseconds */
+    epoch: number;
 }
 
 export interface TimestampGeneratorConfiguration extends TimestampConfiguration {
@@ -48,6 +274,32 @@ export declare class UUID48Timestamp {
      */
     generate(): Buffer;
 
+    /**
+     * Generate a 48-bit timestamp without blocking the event loop
+     * @returns 6-byte buffer containing the timestamp in big-endian format
+     * @throws Error if timestamp exceeds 48-bit limit
+     */
+    generateAsync(): Promise<Buffer>;
+
+    /**
+     * Write consecutive 6-byte timestamps into a caller-supplied buffer
+     * without BigInt arithmetic or allocation while the clock moves forward
+     * @param offset Byte offset of the first timestamp (default: 0)
+     * @param count Number of timestamps to write (default: 1)
+     * @returns Offset just past the last written timestamp
+     * @throws Error if target is too small or timestamp exceeds 48-bit limit
+     */
+    generateInto(target: Uint8Array, offset?: number, count?: number): number;
+
+    /** Hook called for every generator event */
+    onEvent: ((name: GeneratorEventName, details: GeneratorEventMap[GeneratorEventName]) => void) | null;
+
+    /**
+     * Get runtime statistics
+     * @returns Event counters, maximum observed skew and current lead over the clock
+     */
+    getStats(): GeneratorStats;
+
     /**
      * Get current configuration
      * @returns Current configuration options
@@ -59,7 +311,7 @@ export declare class UUID48Timestamp {
      * @param buffer Buffer to validate
      * @returns True if valid 6-byte timestamp
      */
-    static validateBuffer(buffer: unknown): buffer is Buffer;
+    static validateBuffer(buffer: unknown): buffer is Uint8Array;
 
     /**
      * Convert 6-byte buffer back to timestamp for validation/debugging
@@ -67,15 +319,88 @@ export declare class UUID48Timestamp {
      * @returns Timestamp in milliseconds
      * @throws Error if buffer is invalid
      */
-    static bufferToTimestamp(buffer: Buffer): bigint;
+    static bufferToTimestamp(buffer: Uint8Array): bigint;
+
+    /**
+     * Convert timestamp in milliseconds to 6-byte big-endian buffer
+     * @param timestamp Timestamp in milliseconds
+     * @returns 6-byte timestamp buffer
+     * @throws Error if timestamp exceeds 48-bit limit
+     */
+    static timestampToBuffer(timestamp: bigint): Buffer;
 }
 
+// Cross-thread timestamp generator backed by SharedArrayBuffer and Atomics
+export declare class SharedUUID48Timestamp {
+    constructor(options?: SharedUUID48TimestampOptions);
+
+    /** Attach to shared state created in another thread */
+    static attach(handle: SharedTimestampHandle, options?: { clock?: ClockSource }): SharedUUID48Timestamp;
+
+    /** Get a structured-cloneable handle for postMessage or workerData */
+    share(): SharedTimestampHandle;
+
+    /** Last timestamp issued by any attached thread */
+    readonly lastSystemTime: bigint;
+
+    /** Counter of the last value issued by this thread */
+    readonly subMillisecondCounter: bigint;
+
+    /** Generate a 48-bit timestamp as 6-byte Buffer */
+    generate(): Buffer;
+
+    /** Generate a 48-bit timestamp without blocking the event loop */
+    generateAsync(): Promise<Buffer>;
+
+    /** Write consecutive 6-byte timestamps into a caller-supplied buffer */
+    generateInto(target: Uint8Array, offset?: number, count?: number): number;
+
+    /** Get current configuration */
+    getConfig(): TimestampConfiguration;
+}
+
+// Manually controlled clock for deterministic tests
+export declare class ManualClock {
+    /**
+     * @param startMs Initial time in milliseconds (default: 0)
+     * @param options.autoAdvanceMs Advance by this amount after every read (default: 0)
+     */
+    constructor(startMs?: number | bigint | Date, options?: { autoAdvanceMs?: number });
+
+    /** Current time in milliseconds */
+    time: number;
+
+    /** Read current time (bound, so it can be passed as a bare function) */
+    now(): number;
+
+    /** Set current time */
+    set(ms: number | bigint | Date): this;
+
+    /** Move time forward (default: 1ms) */
+    advance(ms?: number): this;
+
+    /** Move time backward (default: 1ms) */
+    rewind(ms?: number): this;
+}
+
+// Clock functions (available from "./clock")
+export declare function systemClock(): number;
+export declare function resolveEpoch(epoch?: Epoch): bigint;
+export declare function resolveClock(clock?: ClockSource, epoch?: bigint): () => bigint;
+export declare function resolveClockMs(clock?: ClockSource, epoch?: bigint): () => number;
+
 // Function overloads for generate() with format parameter
 export function generate(): string;
 export function generate(format: "base64url"): string;
+export function generate(format: "base64sort"): string;
+export function generate(format: "base32"): string;
 export function generate(format: "hex"): string;
 export function generate(format: "buffer"): Buffer;
-export function generate(format: TimestampFormat): string | Buffer;
+export function generate(format: "uint8array"): Uint8Array;
+export function generate(format: "decimal"): string;
+export function generate(format: "number"): number;
+export function generate(format: "bigint"): bigint;
+export function generate<F extends TimestampFormat>(format: F): TimestampFormatRegistry[F];
 
 /**
  * Generate 48-bit timestamp as Base64URL string (most common use case)
@@ -95,27 +420,84 @@ export declare function generateHex(): string;
  */
 export declare function generateBuffer(): Buffer;
 
+// Function overloads for generateUUIDv7() with format parameter
+export function generateUUIDv7(): string;
+export function generateUUIDv7(format: "uuid"): string;
+export function generateUUIDv7(format: "uuid-base64url"): string;
+export function generateUUIDv7(format: "uuid-hex"): string;
+export function generateUUIDv7(format: "uuid-buffer"): Buffer;
+export function generateUUIDv7(format: "uuid-uint8array"): Uint8Array;
+export function generateUUIDv7(format: UUIDFormat): string | Uint8Array;
+
+/**
+ * Generate monotonic 26-character ULID
+ * @returns ULID in uppercase Crockford Base32
+ */
+export declare function generateULID(): string;
+
 // Function overloads for validate() with format parameter
 export function validate(timestamp: string): boolean;
 export function validate(timestamp: string, format: "base64url"): boolean;
+export function validate(timestamp: string, format: "base64sort"): boolean;
+export function validate(timestamp: string, format: "base32" | "ulid"): boolean;
 export function validate(timestamp: string, format: "hex"): boolean;
-export function validate(timestamp: Buffer, format: "buffer"): boolean;
-export function validate(timestamp: string | Buffer, format: TimestampFormat): boolean;
+export function validate(timestamp: Uint8Array, format: "buffer" | "uint8array"): boolean;
+export function validate(timestamp: string, format: "uuid" | "uuid-base64url" | "uuid-hex"): boolean;
+export function validate(timestamp: Uint8Array, format: "uuid-buffer" | "uuid-uint8array"): boolean;
+/** Integer formats require 0..2^48-1; "decimal" requires canonical digits without leading zeros */
+export function validate(timestamp: number | bigint | string, format: NumericFormat): boolean;
+export function validate(timestamp: unknown, format: IdFormat): boolean;
+/** Under a custom epoch, timestamps decoding to more than a day in the future are rejected */
+export function validate(timestamp: unknown, format: IdFormat, options: ValidateOptions): boolean;
+
+/**
+ * Validate like validate() and report why an ID is invalid
+ * @throws Error if options are invalid
+ */
+export declare function check(id: unknown, format?: IdFormat, options?: ValidateOptions): CheckResult;
 
 // Advanced timestamp generator class
-export declare class TimestampGenerator {
+/**
+ * Limits for TimestampGenerator iterators
+ */
+export interface IterationOptions {
+    /** Number of timestamps before the iterator ends (default: unlimited) */
+    count?: number;
+    /** Output format (default: the generator's defaultFormat) */
+    format?: TimestampFormat;
+}
+
+/**
+ * Options for TimestampGenerator#stream
+ */
+export interface StreamOptions extends IterationOptions {
+    /** Timestamps buffered ahead of the consumer (default: 16) */
+    highWaterMark?: number;
+}
+
+export declare class TimestampGenerator extends Emitter {
     constructor(options?: TimestampGeneratorOptions);
 
+    on<E extends GeneratorEventName>(event: E, listener: (details: GeneratorEventMap[E]) => void): this;
+    once<E extends GeneratorEventName>(event: E, listener: (details: GeneratorEventMap[E]) => void): this;
+    off<E extends GeneratorEventName>(event: E, listener: (details: GeneratorEventMap[E]) => void): this;
+
     /**
      * Generate timestamp in default or specified format
      * @param format Output format (optional, uses defaultFormat if not specified)
      * @returns Generated timestamp
      */
-    generate(): string | Buffer;
+    generate(): IdValue;
     generate(format: "base64url"): string;
+    generate(format: "base64sort"): string;
+    generate(format: "base32"): string;
     generate(format: "hex"): string;
     generate(format: "buffer"): Buffer;
-    generate(format: TimestampFormat): string | Buffer;
+    generate(format: "uint8array"): Uint8Array;
+    generate(format: "decimal"): string;
+    generate(format: "number"): number;
+    generate(format: "bigint"): bigint;
+    generate<F extends TimestampFormat>(format: F): TimestampFormatRegistry[F];
 
     /**
      * Generate multiple timestamps efficiently
@@ -124,11 +506,118 @@ export declare class TimestampGenerator {
      * @returns Array of generated timestamps
      * @throws Error if count is not a positive integer
      */
-    generateBatch(count: number): Array<string | Buffer>;
+    generateBatch(count: number): IdValue[];
     generateBatch(count: number, format: "base64url"): string[];
+    generateBatch(count: number, format: "base64sort"): string[];
+    generateBatch(count: number, format: "base32"): string[];
     generateBatch(count: number, format: "hex"): string[];
     generateBatch(count: number, format: "buffer"): Buffer[];
-    generateBatch(count: number, format: TimestampFormat): Array<string | Buffer>;
+    generateBatch(count: number, format: "uint8array"): Uint8Array[];
+    generateBatch(count: number, format: "decimal"): string[];
+    generateBatch(count: number, format: "number"): number[];
+    generateBatch(count: number, format: "bigint"): bigint[];
+    generateBatch<F extends TimestampFormat>(count: number, format: F): Array<TimestampFormatRegistry[F]>;
+
+    /**
+     * Generate timestamps into one contiguous buffer, timestamp i at byte i * 6
+     * @returns count * 6 bytes
+     */
+    generateBatchBuffer(count: number): Buffer;
+
+    /**
+     * Write consecutive 6-byte timestamps into a caller-supplied buffer
+     * @param offset Byte offset of the first timestamp (default: 0)
+     * @param count Number of timestamps to write (default: 1)
+     * @returns Offset just past the last written timestamp
+     */
+    generateInto(target: Uint8Array, offset?: number, count?: number): number;
+
+    /**
+     * Generate timestamp without blocking the event loop
+     * @param format Output format (optional, uses defaultFormat if not specified)
+     * @returns Generated timestamp
+     */
+    generateAsync(): Promise<IdValue>;
+    generateAsync(format: "base64url" | "base64sort" | "base32" | "hex" | "decimal"): Promise<string>;
+    generateAsync(format: "buffer"): Promise<Buffer>;
+    generateAsync(format: "uint8array"): Promise<Uint8Array>;
+    generateAsync(format: "number"): Promise<number>;
+    generateAsync(format: "bigint"): Promise<bigint>;
+    generateAsync<F extends TimestampFormat>(format: F): Promise<TimestampFormatRegistry[F]>;
+
+    /**
+     * Generate multiple timestamps without blocking the event loop
+     * @param count Number of timestamps to generate
+     * @param format Output format (optional, uses defaultFormat if not specified)
+     * @returns Array of generated timestamps
+     * @throws Error if count is not a positive integer
+     */
+    generateBatchAsync(count: number): Promise<IdValue[]>;
+    generateBatchAsync(count: number, format: "base64url" | "base64sort" | "base32" | "hex" | "decimal"): Promise<string[]>;
+    generateBatchAsync(count: number, format: "buffer"): Promise<Buffer[]>;
+    generateBatchAsync(count: number, format: "uint8array"): Promise<Uint8Array[]>;
+    generateBatchAsync(count: number, format: "number"): Promise<number[]>;
+    generateBatchAsync(count: number, format: "bigint"): Promise<bigint[]>;
+    generateBatchAsync<F extends TimestampFormat>(count: number, format: F): Promise<Array<TimestampFormatRegistry[F]>>;
+
+    /**
+     * Stream timestamps as an object-mode Readable that respects backpressure
+     * Shares monotonic state with generate().
+     * @param options count (default: unlimited), format and highWaterMark (default: 16)
+     * @returns Readable stream of timestamps
+     * @throws Error if count or format is invalid, or node:stream is not available
+     */
+    stream(options?: StreamOptions): import("stream").Readable;
+
+    /**
+     * Iterate over timestamps; endless unless options.count is given
+     * @param options count (default: unlimited) and format
+     * @throws Error if count or format is invalid
+     */
+    [Symbol.iterator](options?: IterationOptions): Generator<IdValue, void, undefined>;
+
+    /**
+     * Iterate over timestamps without blocking the event loop, e.g. `for await (const id of generator)`
+     * @param options count (default: unlimited) and format
+     * @throws Error if count or format is invalid
+     */
+    [Symbol.asyncIterator](options?: IterationOptions): AsyncGenerator<IdValue, void, undefined>;
+
+    /**
+     * Generate full 128-bit UUIDv7 using this generator's monotonic state
+     * @param format Output format (default: "uuid")
+     * @returns Generated UUIDv7
+     */
+    generateUUID(): string;
+    generateUUID(format: "uuid" | "uuid-base64url" | "uuid-hex"): string;
+    generateUUID(format: "uuid-buffer"): Buffer;
+    generateUUID(format: "uuid-uint8array"): Uint8Array;
+    generateUUID(format: UUIDFormat): string | Uint8Array;
+
+    /**
+     * Generate multiple UUIDv7 values in strictly increasing order
+     * @param count Number of UUIDs to generate
+     * @param format Output format (default: "uuid")
+     * @returns Array of generated UUIDs
+     * @throws Error if count is not a positive integer
+     */
+    generateUUIDBatch(count: number): string[];
+    generateUUIDBatch(count: number, format: "uuid" | "uuid-base64url" | "uuid-hex"): string[];
+    generateUUIDBatch(count: number, format: "uuid-buffer"): Buffer[];
+    generateUUIDBatch(count: number, format: "uuid-uint8array"): Uint8Array[];
+    generateUUIDBatch(count: number, format: UUIDFormat): Array<string | Uint8Array>;
+
+    /**
+     * Generate monotonic ULID using this generator's timestamp state
+     * @returns 26-character ULID
+     */
+    generateULID(): string;
+
+    /**
+     * Get runtime statistics of the underlying algorithm
+     * @throws Error if the algorithm does not collect statistics
+     */
+    getStats(): GeneratorStats;
 
     /**
      * Get current generator configuration
@@ -140,40 +629,453 @@ export declare class TimestampGenerator {
      * Validate timestamp using this generators default format
      * @param timestamp Timestamp to validate
      * @param format Format to validate against (optional, uses defaultFormat)
+     * @param options Time bounds (the epoch is always this generator's)
      * @returns True if valid
      */
-    validate(timestamp: string | Buffer, format?: TimestampFormat): boolean;
+    validate(timestamp: unknown, format?: IdFormat, options?: Omit<ValidateOptions, "epoch">): boolean;
+
+    /**
+     * Check an ID using this generator's epoch and default format
+     * @returns Validity with a reason code
+     */
+    check(id: unknown, format?: IdFormat, options?: Omit<ValidateOptions, "epoch">): CheckResult;
+
+    /**
+     * Convert timestamp to Date using this generator's epoch
+     * @throws Error if timestamp is invalid or was generated under a different epoch
+     */
+    timestampToDate(timestamp: IdValue, format?: IdFormat): Date;
+
+    /** Build the smallest or largest ID for an instant using this generator's epoch */
+    fromDate(date: DateInput, format?: IdFormat, options?: { bound?: "lower" | "upper" }): IdValue;
+
+    /** Build inclusive ID bounds for a time range using this generator's epoch */
+    boundsForRange(start: DateInput, end: DateInput, format?: IdFormat): IdRange;
 }
 
 // Conversion functions
+export function convert(timestamp: IdValue, fromFormat: IdFormat, toFormat: "number"): number;
+export function convert(timestamp: IdValue, fromFormat: IdFormat, toFormat: "bigint"): bigint;
 export function convert(timestamp: string, fromFormat: "base64url", toFormat: "hex"): string;
 export function convert(timestamp: string, fromFormat: "base64url", toFormat: "buffer"): Buffer;
 export function convert(timestamp: string, fromFormat: "hex", toFormat: "base64url"): string;
 export function convert(timestamp: string, fromFormat: "hex", toFormat: "buffer"): Buffer;
-export function convert(timestamp: Buffer, fromFormat: "buffer", toFormat: "base64url"): string;
-export function convert(timestamp: Buffer, fromFormat: "buffer", toFormat: "hex"): string;
+export function convert(timestamp: Uint8Array, fromFormat: "buffer", toFormat: "base64url"): string;
+export function convert(timestamp: Uint8Array, fromFormat: "buffer", toFormat: "hex"): string;
+export function convert(timestamp: IdValue, fromFormat: TimestampFormat, toFormat: "base64sort" | "base32" | "decimal"): string;
+export function convert(timestamp: IdValue, fromFormat: IdFormat, toFormat: "uint8array" | "uuid-uint8array"): Uint8Array;
+export function convert(timestamp: string, fromFormat: "base64sort" | "base32", toFormat: "base64url" | "hex"): string;
+export function convert(timestamp: string, fromFormat: "base64sort" | "base32", toFormat: "buffer"): Buffer;
+export function convert(timestamp: string, fromFormat: "ulid", toFormat: "uuid-buffer" | "buffer"): Buffer;
+export function convert(timestamp: string, fromFormat: "ulid", toFormat: StringFormat): string;
+export function convert(timestamp: string | Uint8Array, fromFormat: UUIDFormat, toFormat: "uuid-buffer" | "buffer"): Buffer;
+export function convert(
+    timestamp: string | Uint8Array,
+    fromFormat: UUIDFormat,
+    toFormat: StringFormat
+): string;
+export function convert<F extends TimestampFormat>(
+    timestamp: IdValue,
+    fromFormat: IdFormat,
+    toFormat: F
+): TimestampFormatRegistry[F];
 export function convert(
-    timestamp: string | Buffer,
-    fromFormat: TimestampFormat,
-    toFormat: TimestampFormat
-): string | Buffer;
+    timestamp: IdValue,
+    fromFormat: IdFormat,
+    toFormat: IdFormat
+): IdValue;
 
 // Utility functions
-export declare function timestampToDate(timestamp: string | Buffer, format?: TimestampFormat): Date;
-export declare function getTimestampAge(timestamp: string | Buffer, format?: TimestampFormat): number;
+export declare function timestampToDate(timestamp: IdValue, format?: IdFormat, options?: EpochOptions): Date;
+export declare function getTimestampAge(timestamp: IdValue, format?: IdFormat, options?: EpochOptions): number;
 export declare function isTimestampFresh(
-    timestamp: string | Buffer,
+    timestamp: IdValue,
     maxAgeMs: number,
-    format?: TimestampFormat
+    format?: IdFormat,
+    options?: EpochOptions
 ): boolean;
 
+// Structured decoding
+export type ParseFindingCode = "BAD_VERSION" | "BAD_VARIANT" | "IN_FUTURE" | "NON_CANONICAL";
+
+export interface ParseFinding {
+    code: ParseFindingCode;
+    message: string;
+}
+
+export interface ParseOptions extends EpochOptions {
+    /** Format of the ID (default: detected from its shape) */
+    format?: IdFormat;
+}
+
+export interface ParsedId {
+    /** Given or detected format */
+    format: IdFormat;
+    /** 48 for timestamp formats, 128 for UUID and ULID formats */
+    bits: 48 | 128;
+    /** Unix milliseconds */
+    timestamp: number;
+    date: Date;
+    /** UUID version nibble (null for 48-bit formats and ULID) */
+    version: number | null;
+    /** UUID variant (null for 48-bit formats and ULID) */
+    variant: "ncs" | "rfc9562" | "microsoft" | "future" | null;
+    /** 12-bit rand_a field (null for 48-bit formats and ULID) */
+    counter: number | null;
+    /** Hex of rand_b (UUID) or the 80 random bits (ULID); null for 48-bit formats */
+    random: string | null;
+    /** True if there are no findings */
+    conformant: boolean;
+    findings: ParseFinding[];
+}
+
+/** Decode any supported ID, reporting RFC 9562 conformance problems as findings */
+export declare function parse(id: IdValue, options?: ParseOptions): ParsedId;
+
+// Format registry (also available from "./formats")
+export interface FormatCodec<T = unknown> {
+    /** Turn a 6-byte big-endian timestamp into a value of this format */
+    encode(bytes: Uint8Array): T;
+    /** Turn a value that passed validate back into the 6-byte timestamp */
+    decode(value: T): Uint8Array;
+    /** True if the value is a well-formed ID of this format */
+    validate(value: unknown): boolean;
+}
+
+/**
+ * Register a 48-bit format; declare its value type in TimestampFormatRegistry first
+ * @throws Error if the name is taken or reserved for 128-bit formats, or the codec lacks a function
+ */
+export declare function registerFormat<F extends TimestampFormat>(
+    name: F,
+    codec: FormatCodec<TimestampFormatRegistry[F]>
+): void;
+/** Registered codec, or null (UUIDv7 and ULID formats are not in the registry) */
+export declare function getFormat<F extends TimestampFormat>(name: F): FormatCodec<TimestampFormatRegistry[F]> | null;
+export declare function getFormat(name: string): FormatCodec | null;
+/** Registered 48-bit formats, built-in formats first */
+export declare function listFormats(): TimestampFormat[];
+export declare const BUILT_IN_FORMATS: readonly TimestampFormat[];
+
+// Signed tokens (also available from "./signing")
+/** Single secret, or key ring mapping key IDs to secrets for key rotation */
+export type SigningKey = string | Uint8Array | Record<string, string | Uint8Array> | Map<string, string | Uint8Array>;
+
+export interface SignOptions {
+    /** 48-bit format of the ID (default: "base64url") */
+    format?: TimestampFormat;
+    /** HMAC-SHA256 bytes to keep, 8 to 32 (default: 16) */
+    tagBytes?: number;
+    /** ID of the signing key, prefixed to the token; required with a key ring */
+    keyId?: string;
+}
+
+export interface VerifyOptions extends EpochOptions {
+    /** 48-bit format of the returned ID (default: "base64url") */
+    format?: TimestampFormat;
+    /** Tag length the token was signed with (default: 16) */
+    tagBytes?: number;
+    /** Also require isTimestampFresh with this maximum age */
+    maxAgeMs?: number;
+}
+
+/**
+ * Append a truncated HMAC over the 6-byte timestamp: "[keyId.]base64url(timestamp || tag)"
+ * @throws InvalidFormatError for 128-bit formats, InvalidTimestampError if the ID is invalid for its format
+ */
+export declare function sign(id: IdValue, key: SigningKey, options?: SignOptions): string;
+/** ID in options.format, or null if the token is forged, malformed, signed with an unknown key or too old */
+export declare function verify<F extends TimestampFormat>(
+    token: string,
+    key: SigningKey,
+    options: VerifyOptions & { format: F }
+): TimestampFormatRegistry[F] | null;
+export declare function verify(token: string, key: SigningKey, options?: VerifyOptions): string | null;
+export declare function signTimestamp(
+    timestamp: Uint8Array,
+    key: SigningKey,
+    options?: Omit<SignOptions, "format">
+): string;
+export declare function verifySignedTimestamp(
+    token: string,
+    key: SigningKey,
+    options?: Pick<VerifyOptions, "tagBytes">
+): { timestamp: Uint8Array; keyId: string | null } | null;
+export declare const DEFAULT_TAG_BYTES: 16;
+
+// Obfuscation (also available from "./obfuscation")
+export interface ObfuscateOptions {
+    /** 48-bit format of the ID and the result (default: "base64url") */
+    format?: TimestampFormat;
+}
+
+/**
+ * Keyed, format-preserving permutation of the 48-bit space that hides creation time
+ * @throws InvalidTimestampError if the ID is invalid for its format
+ */
+export declare function obfuscate<F extends TimestampFormat>(
+    id: TimestampFormatRegistry[F],
+    key: string | Uint8Array,
+    options: ObfuscateOptions & { format: F }
+): TimestampFormatRegistry[F];
+export declare function obfuscate(id: string, key: string | Uint8Array, options?: ObfuscateOptions): string;
+/** Restore an ID obfuscated with the same key */
+export declare function deobfuscate<F extends TimestampFormat>(
+    id: TimestampFormatRegistry[F],
+    key: string | Uint8Array,
+    options: ObfuscateOptions & { format: F }
+): TimestampFormatRegistry[F];
+export declare function deobfuscate(id: string, key: string | Uint8Array, options?: ObfuscateOptions): string;
+export declare function obfuscateTimestamp(timestamp: Uint8Array, key: string | Uint8Array): Uint8Array;
+export declare function deobfuscateTimestamp(timestamp: Uint8Array, key: string | Uint8Array): Uint8Array;
+
+// Range-query bounds
+export function fromDate<F extends TimestampFormat>(date: DateInput, format: F, options?: FromDateOptions): TimestampFormatRegistry[F];
+export function fromDate(date: DateInput, format?: StringFormat, options?: FromDateOptions): string;
+export function fromDate(date: DateInput, format: "buffer" | "uuid-buffer", options?: FromDateOptions): Buffer;
+export function fromDate(date: DateInput, format: "uint8array" | "uuid-uint8array", options?: FromDateOptions): Uint8Array;
+export function fromDate(date: DateInput, format: "number", options?: FromDateOptions): number;
+export function fromDate(date: DateInput, format: "bigint", options?: FromDateOptions): bigint;
+export function fromDate(date: DateInput, format?: IdFormat, options?: FromDateOptions): IdValue;
+
+export function boundsForRange<F extends TimestampFormat>(
+    start: DateInput,
+    end: DateInput,
+    format: F,
+    options?: EpochOptions
+): IdRange<TimestampFormatRegistry[F]>;
+export function boundsForRange(
+    start: DateInput,
+    end: DateInput,
+    format?: StringFormat,
+    options?: EpochOptions
+): IdRange<string>;
+export function boundsForRange(start: DateInput, end: DateInput, format: "number", options?: EpochOptions): IdRange<number>;
+export function boundsForRange(start: DateInput, end: DateInput, format: "bigint", options?: EpochOptions): IdRange<bigint>;
+export function boundsForRange(start: DateInput, end: DateInput, format: IdFormat, options?: EpochOptions): IdRange;
+
+// Byte array helpers (available from "./bytes")
+export declare function isBytes(value: unknown): value is Uint8Array;
+export declare function wrapBytes(bytes: Uint8Array): Buffer | Uint8Array;
+export declare function toBuffer(bytes: Uint8Array): Buffer;
+export declare function toUint8Array(bytes: Uint8Array): Uint8Array;
+export declare function bytesToHex(bytes: Uint8Array): string;
+export declare function hexToBytes(hex: string): Buffer | Uint8Array;
+export declare function randomBytes(length: number): Buffer | Uint8Array;
+export declare function concatBytes(...arrays: Uint8Array[]): Buffer | Uint8Array;
+export declare function bytesEqual(a: Uint8Array, b: Uint8Array): boolean;
+export declare function checkWriteRange(target: Uint8Array, offset: number, byteLength: number): number;
+
 // Base64URL functions (re-exported for convenience)
-export declare function encodeBase64URL(buffer: Buffer): string;
+export declare function encodeBase64URL(buffer: Uint8Array): string;
 export declare function decodeBase64URL(str: string): Buffer;
 export declare function isValidBase64URL(str: string): boolean;
 export declare function isValidTimestampBase64URL(str: string): boolean;
-export declare function timestampToBase64URL(timestampBuffer: Buffer): string;
+export declare function timestampToBase64URL(timestampBuffer: Uint8Array): string;
 export declare function base64URLToTimestamp(base64url: string): Buffer;
+export declare function encodeBase64Sort(buffer: Uint8Array): string;
+export declare function decodeBase64Sort(str: string): Buffer;
+export declare function isValidTimestampBase64Sort(str: string): boolean;
+export declare function timestampToBase64Sort(timestampBuffer: Uint8Array): string;
+export declare function base64SortToTimestamp(base64sort: string): Buffer;
+
+// UUIDv7 packing functions (available from "./uuidv7")
+export declare function getCounterBits(maxSubMs?: number): 12 | 16;
+export declare function packUUIDv7(timestampBuffer: Uint8Array, counter?: number, maxSubMs?: number): Buffer;
+export declare function isValidUUIDv7Buffer(buffer: unknown): buffer is Uint8Array;
+export declare function isValidUUIDString(str: unknown): str is string;
+export declare function uuidToString(buffer: Uint8Array): string;
+export declare function stringToUUID(str: string): Buffer;
+export declare function uuidToBase64URL(buffer: Uint8Array): string;
+export declare function base64URLToUUID(str: string): Buffer;
+export declare function uuidToTimestamp(buffer: Uint8Array): Buffer;
+export declare function setUUIDv7Bits(buffer: Uint8Array): Buffer;
+
+// Crockford Base32 functions (available from "./base32")
+export declare const CROCKFORD_ALPHABET: string;
+export declare function normalizeBase32(str: string): string;
+export declare function encodeBase32(buffer: Uint8Array, length?: number): string;
+export declare function decodeBase32(str: string, byteLength: number): Buffer;
+export declare function isValidTimestampBase32(str: unknown): boolean;
+export declare function timestampToBase32(timestampBuffer: Uint8Array): string;
+export declare function base32ToTimestamp(base32: string): Buffer;
+
+// ULID functions (available from "./ulid")
+export declare function encodeULID(buffer: Uint8Array): string;
+export declare function decodeULID(str: string): Buffer;
+export declare function isValidULID(str: unknown): boolean;
+
+export declare class ULIDGenerator {
+    constructor(algorithm?: UUID48Timestamp);
+
+    /** Generate a ULID as 16-byte buffer */
+    generateBuffer(): Buffer;
+
+    /** Generate a ULID as 26-character string */
+    generate(): string;
+}
+
+// Snowflake IDs (available from "./snowflake")
+export type SnowflakeFormat = "bigint" | "decimal" | "hex" | "base64url";
+
+export interface SnowflakeLayoutDefinition {
+    /** Epoch of the timestamp field (default: 0) */
+    epoch?: Epoch;
+    /** Width of the timestamp field, 1-48 */
+    timestampBits: number;
+    /** Node fields as [name, bits] pairs, most significant first */
+    fields?: ReadonlyArray<readonly [string, number]>;
+    /** Shorthand for fields: datacenterId width (default: 0) */
+    datacenterBits?: number;
+    /** Shorthand for fields: workerId width (default: 10) */
+    workerBits?: number;
+    /** Width of the sequence field, 1-16 (default: 12) */
+    sequenceBits?: number;
+}
+
+export type SnowflakeLayout = "twitter" | "discord" | SnowflakeLayoutDefinition;
+
+export interface ResolvedSnowflakeLayout {
+    epoch: bigint;
+    timestampBits: number;
+    timestampShift: bigint;
+    fields: Array<{ name: string; bits: number; shift: bigint }>;
+    sequenceBits: number;
+    totalBits: number;
+}
+
+export interface SnowflakeGeneratorOptions {
+    /** Layout name or definition (default: "twitter") */
+    layout?: SnowflakeLayout;
+    /** Overrides the layout's epoch */
+    epoch?: Epoch;
+    /** Sequence overflow strategy (default: "wait") */
+    waitStrategy?: WaitStrategy;
+    /** Time source (default: Date.now) */
+    clock?: ClockSource;
+    /** Default output format (default: "bigint") */
+    defaultFormat?: SnowflakeFormat;
+    /** Node field values by name, e.g. workerId, datacenterId, processId (default: 0) */
+    [field: string]: unknown;
+}
+
+export interface DecodeSnowflakeOptions {
+    /** Layout name or definition (default: "twitter") */
+    layout?: SnowflakeLayout;
+    /** Overrides the layout's epoch */
+    epoch?: Epoch;
+    /** Format of string input (default: "decimal") */
+    format?: Exclude<SnowflakeFormat, "bigint">;
+}
+
+export interface DecodedSnowflake {
+    id: bigint;
+    /** Unix milliseconds */
+    timestamp: number;
+    date: Date;
+    sequence: number;
+    /** Node fields by name */
+    [field: string]: bigint | number | Date;
+}
+
+export declare const SNOWFLAKE_LAYOUTS: Readonly<Record<"twitter" | "discord", Readonly<SnowflakeLayoutDefinition>>>;
+export declare function resolveSnowflakeLayout(layout?: SnowflakeLayout): ResolvedSnowflakeLayout;
+
+export declare class SnowflakeGenerator {
+    constructor(options?: SnowflakeGeneratorOptions);
+
+    /** Resolved layout */
+    readonly layout: ResolvedSnowflakeLayout;
+
+    /** Generate a 64-bit snowflake ID */
+    generate(): bigint | string;
+    generate(format: "bigint"): bigint;
+    generate(format: "decimal" | "hex" | "base64url"): string;
+
+    /** Generate multiple snowflake IDs in increasing order */
+    generateBatch(count: number): Array<bigint | string>;
+    generateBatch(count: number, format: "bigint"): bigint[];
+    generateBatch(count: number, format: "decimal" | "hex" | "base64url"): string[];
+
+    /** Get current configuration */
+    getConfig(): {
+        epoch: number;
+        timestampBits: number;
+        fields: Array<[string, number]>;
+        sequenceBits: number;
+        defaultFormat: SnowflakeFormat;
+        [field: string]: unknown;
+    };
+}
+
+// Error classes; invalid arguments and options are reported as plain Errors
+export type UUID48ErrorCode = "TIMESTAMP_OVERFLOW" | "INVALID_FORMAT" | "INVALID_TIMESTAMP" | "CLOCK_SKEW" | "CLOCK_DRIFT" | "ULID_OVERFLOW";
+
+/** Base class of all errors with a stable code */
+export declare class UUID48Error extends Error {
+    constructor(message: string, code: UUID48ErrorCode, options?: { cause?: unknown });
+    readonly code: UUID48ErrorCode;
+}
+
+/** A timestamp does not fit its bits: clock beyond year 8921, date past the 48-bit range */
+export declare class TimestampOverflowError extends UUID48Error {
+    constructor(timestamp: bigint, maxTimestamp: bigint, message?: string, options?: { cause?: unknown });
+    readonly name: "TimestampOverflowError";
+    readonly code: "TIMESTAMP_OVERFLOW";
+    readonly timestamp: bigint;
+    readonly maxTimestamp: bigint;
+}
+
+/** A format name is unknown, or a conversion between formats is impossible */
+export declare class InvalidFormatError extends UUID48Error {
+    constructor(format: string, message?: string);
+    readonly name: "InvalidFormatError";
+    readonly code: "INVALID_FORMAT";
+    readonly format: string;
+}
+
+/** An ID cannot be decoded, or decodes to an implausible time under the given epoch */
+export declare class InvalidTimestampError extends UUID48Error {
+    constructor(message: string, format?: string | null);
+    readonly name: "InvalidTimestampError";
+    readonly code: "INVALID_TIMESTAMP";
+    /** Format the ID was decoded as, if known */
+    readonly format: string | null;
+}
+
+/** The clock reads a negative time or a time before the epoch */
+export declare class ClockSkewError extends UUID48Error {
+    constructor(time: number | bigint, epoch: number | bigint);
+    readonly name: "ClockSkewError";
+    readonly code: "CLOCK_SKEW";
+    /** Clock reading in Unix milliseconds */
+    readonly time: number | bigint;
+    readonly epoch: number | bigint;
+}
+
+/**
+ * Thrown under driftPolicy "throw" when the next timestamp would exceed maxDriftMs
+ */
+export declare class ClockDriftError extends UUID48Error {
+    constructor(leadMs: number, maxDriftMs: number);
+    readonly name: "ClockDriftError";
+    readonly code: "CLOCK_DRIFT";
+    /** Lead over the clock the rejected timestamp would have had */
+    readonly leadMs: number;
+    readonly maxDriftMs: number;
+}
+
+/** More ULIDs were requested in one millisecond than the 80 random bits can count */
+export declare class ULIDOverflowError extends UUID48Error {
+    constructor(timestamp: bigint);
+    readonly name: "ULIDOverflowError";
+    readonly code: "ULID_OVERFLOW";
+    /** Millisecond whose random component is exhausted */
+    readonly timestamp: bigint;
+}
+
+/** Decode a snowflake ID into timestamp, node fields and sequence */
+export declare function decodeSnowflake(id: bigint | string, options?: DecodeSnowflakeOptions): DecodedSnowflake;
 
 // Default export interface
 declare const _default: {
@@ -181,13 +1083,36 @@ declare const _default: {
     generateId: typeof generateId;
     generateHex: typeof generateHex;
     generateBuffer: typeof generateBuffer;
+    generateUUIDv7: typeof generateUUIDv7;
+    generateULID: typeof generateULID;
     validate: typeof validate;
+    check: typeof check;
+    sign: typeof sign;
+    verify: typeof verify;
+    obfuscate: typeof obfuscate;
+    deobfuscate: typeof deobfuscate;
+    registerFormat: typeof registerFormat;
+    listFormats: typeof listFormats;
     convert: typeof convert;
     timestampToDate: typeof timestampToDate;
     getTimestampAge: typeof getTimestampAge;
     isTimestampFresh: typeof isTimestampFresh;
+    fromDate: typeof fromDate;
+    boundsForRange: typeof boundsForRange;
+    parse: typeof parse;
     TimestampGenerator: typeof TimestampGenerator;
     UUID48Timestamp: typeof UUID48Timestamp;
+    SharedUUID48Timestamp: typeof SharedUUID48Timestamp;
+    ManualClock: typeof ManualClock;
+    SnowflakeGenerator: typeof SnowflakeGenerator;
+    decodeSnowflake: typeof decodeSnowflake;
+    UUID48Error: typeof UUID48Error;
+    TimestampOverflowError: typeof TimestampOverflowError;
+    InvalidFormatError: typeof InvalidFormatError;
+    InvalidTimestampError: typeof InvalidTimestampError;
+    ClockSkewError: typeof ClockSkewError;
+    ClockDriftError: typeof ClockDriftError;
+    ULIDOverflowError: typeof ULIDOverflowError;
 };
 
 export default _default;
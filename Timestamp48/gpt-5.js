@@ -2,17 +2,12 @@
 
 const crypto = require('crypto');
 
-const _state = {
-  lastMs: 0n,
-  seq12: 0,
-};
+const SEQ_MASK = 0x0fff;
 
-const _nowMs = () => BigInt(Date.now());
-const _waitNextMs = (currentMs) => {
-  let t = _nowMs();
-  while (t <= currentMs) t = _nowMs();
-  return t;
-};
+const SEQ_INIT = ['random', 'zero'];
+
+const _toMs = (time) =>
+  typeof time === 'bigint' ? time : BigInt(Math.floor(time));
 
 const _packUuidV7 = (ts48, seq12, randTail8) => {
   const buf = Buffer.allocUnsafe(16);
@@ -32,8 +27,8 @@ const _packUuidV7 = (ts48, seq12, randTail8) => {
   buf[7] = seq12 & 0xff;
 
   // 62 random bits with RFC 4122 variant (10xxxxxx)
-  randTail8[0] = (randTail8[0] & 0x3f) | 0x80;
-  randTail8.copy(buf, 8);
+  buf.set(randTail8.subarray(0, 8), 8);
+  buf[8] = (buf[8] & 0x3f) | 0x80;
 
   return buf;
 };
@@ -45,30 +40,116 @@ const _toBase64Url = (buf) =>
     .replace(/\//g, '_')
     .replace(/=+$/, '');
 
+const _toUuid = (buf) => {
+  const hex = buf.toString('hex');
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20),
+  ].join('-');
+};
+
+const ENCODERS = {
+  base64url: _toBase64Url,
+  hex: (buf) => buf.toString('hex'),
+  uuid: _toUuid,
+  buffer: (buf) => buf,
+};
+
+const _encoderFor = (format) => {
+  const encode = ENCODERS[format];
+  if (!encode) {
+    const formats = Object.keys(ENCODERS).join(', ');
+    throw new Error(`format must be one of: ${formats}`);
+  }
+  return encode;
+};
+
 /**
- * Generates a UUIDv7-like 128-bit ID:
+ * Creates an independent UUIDv7-like 128-bit ID generator:
  * - 48-bit Unix ms timestamp
  * - version 7 nibble
  * - 12-bit monotonic sequence (per ms)
  * - variant (RFC 4122)
  * - 62 random tail bits
- * Encoded as Base64URL (22 chars).
+ *
+ * Options:
+ * - clock: () => number | bigint, Unix ms (default: Date.now)
+ * - random: (size) => Buffer | Uint8Array (default: crypto.randomBytes)
+ * - seqInit: 'random' | 'zero', sequence start in a new ms (default: 'random')
+ * - format: 'base64url' | 'hex' | 'uuid' | 'buffer' (default: 'base64url')
+ *
+ * On seq12 overflow within one ms, generate() spins until the clock moves on.
  */
-const generateV7Base64Url = () => {
-  let ts = _nowMs();
-  if (ts === _state.lastMs) {
-    _state.seq12 = (_state.seq12 + 1) & 0x0fff;
-    if (_state.seq12 === 0) ts = _waitNextMs(ts);
-  } else {
-    _state.seq12 = crypto.randomInt(0, 0x1000);
+const createGenerator = (options = {}) => {
+  const {
+    clock = Date.now,
+    random = crypto.randomBytes,
+    seqInit = 'random',
+    format = 'base64url',
+  } = options;
+
+  if (typeof clock !== 'function') {
+    throw new TypeError('clock must be a function');
+  }
+  if (typeof random !== 'function') {
+    throw new TypeError('random must be a function');
   }
-  _state.lastMs = ts;
+  if (!SEQ_INIT.includes(seqInit)) {
+    throw new Error(`seqInit must be one of: ${SEQ_INIT.join(', ')}`);
+  }
+  _encoderFor(format);
+
+  const state = {
+    lastMs: 0n,
+    seq12: 0,
+  };
+
+  const _nowMs = () => _toMs(clock());
+
+  const _waitNextMs = (currentMs) => {
+    let t = _nowMs();
+    while (t <= currentMs) t = _nowMs();
+    return t;
+  };
+
+  const _initSeq = () => {
+    if (seqInit === 'zero') return 0;
+    const bytes = random(2);
+    return ((bytes[0] << 8) | bytes[1]) & SEQ_MASK;
+  };
+
+  const generate = (outputFormat = format) => {
+    const encode = _encoderFor(outputFormat);
 
-  const tail = crypto.randomBytes(8);
-  const bytes = _packUuidV7(ts, _state.seq12, tail);
-  return _toBase64Url(bytes);
+    let ts = _nowMs();
+    if (ts === state.lastMs) {
+      state.seq12 = (state.seq12 + 1) & SEQ_MASK;
+      if (state.seq12 === 0) ts = _waitNextMs(ts);
+    } else {
+      state.seq12 = _initSeq();
+    }
+    state.lastMs = ts;
+
+    const tail = random(8);
+    const bytes = _packUuidV7(ts, state.seq12, tail);
+    return encode(bytes);
+  };
+
+  return { generate };
 };
 
+const defaultGenerator = createGenerator();
+
+/**
+ * Generates a UUIDv7-like 128-bit ID with the default generator,
+ * encoded as Base64URL (22 chars).
+ */
+const generateV7Base64Url = () => defaultGenerator.generate('base64url');
+
 module.exports = {
+  createGenerator,
   generateV7Base64Url,
 };
@@ -0,0 +1,108 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createGenerator, generateV7Base64Url } = require('./gpt-5.js');
+
+const fixedClock = (...readings) => {
+  let i = 0;
+  const clock = () => readings[Math.min(i++, readings.length - 1)];
+  clock.reads = () => i;
+  return clock;
+};
+
+const zeroRandom = (size) => new Uint8Array(size);
+
+const decode = (id) => Buffer.from(id, 'base64url');
+const seqOf = (buf) => ((buf[6] & 0x0f) << 8) | buf[7];
+const msOf = (buf) => Number(buf.readUIntBE(0, 6));
+
+test('generateV7Base64Url keeps returning 22-char v7 IDs', () => {
+  const id = generateV7Base64Url();
+  const buf = decode(id);
+
+  assert.match(id, /^[A-Za-z0-9_-]{22}$/);
+  assert.strictEqual(buf[6] >> 4, 7);
+  assert.strictEqual(buf[8] >> 6, 0b10);
+  assert.ok(Math.abs(msOf(buf) - Date.now()) < 1000);
+});
+
+test('generators are independent and use injected clock and RNG', () => {
+  const options = {
+    clock: () => 1718292338296,
+    random: zeroRandom,
+    format: 'uuid',
+  };
+  const a = createGenerator(options);
+  const b = createGenerator(options);
+
+  assert.strictEqual(a.generate(), '01901234-5678-7000-8000-000000000000');
+  assert.strictEqual(a.generate(), '01901234-5678-7001-8000-000000000000');
+  assert.strictEqual(b.generate(), '01901234-5678-7000-8000-000000000000');
+});
+
+test('supports hex, uuid, base64url and buffer output', () => {
+  const gen = createGenerator({ clock: () => 1n, random: zeroRandom });
+
+  assert.strictEqual(gen.generate('hex'), '00000000000170008000000000000000');
+  const uuid = gen.generate('uuid');
+  assert.strictEqual(uuid, '00000000-0001-7001-8000-000000000000');
+  assert.strictEqual(gen.generate(), 'AAAAAAABcAKAAAAAAAAAAA');
+  const buf = gen.generate('buffer');
+  assert.ok(Buffer.isBuffer(buf));
+  assert.strictEqual(seqOf(buf), 3);
+});
+
+test('seqInit selects random or zero sequence start', () => {
+  const random = (size) => new Uint8Array(size).fill(0xab);
+  const clock = () => 5000;
+
+  const seeded = createGenerator({ clock, random, format: 'buffer' });
+  assert.strictEqual(seqOf(seeded.generate()), 0xbab);
+
+  const zero = createGenerator({ clock, random, seqInit: 'zero' });
+  assert.strictEqual(seqOf(zero.generate('buffer')), 0);
+});
+
+test('seq12 wrap-around waits for the next millisecond', () => {
+  // 4096 IDs fill ms 1000; the wrap then reads 1000 twice more before 1001
+  const readings = new Array(4099).fill(1000);
+  const clock = fixedClock(...readings, 1001);
+  const gen = createGenerator({ clock, seqInit: 'zero', format: 'buffer' });
+
+  for (let i = 0; i < 4096; i++) {
+    const buf = gen.generate();
+    assert.strictEqual(msOf(buf), 1000);
+    assert.strictEqual(seqOf(buf), i);
+  }
+
+  const wrapped = gen.generate();
+  assert.strictEqual(msOf(wrapped), 1001);
+  assert.strictEqual(seqOf(wrapped), 0);
+  assert.strictEqual(clock.reads(), 4100);
+
+  const next = gen.generate();
+  assert.strictEqual(msOf(next), 1001);
+  assert.strictEqual(seqOf(next), 1);
+});
+
+test('seq12 wrap-around from a random start keeps IDs increasing', () => {
+  const clock = fixedClock(...new Array(20).fill(7), 8);
+  const random = (size) => new Uint8Array(size).fill(0xff);
+  const gen = createGenerator({ clock, random, format: 'hex' });
+
+  const first = gen.generate();
+  const second = gen.generate();
+
+  assert.strictEqual(seqOf(Buffer.from(first, 'hex')), 0xfff);
+  assert.strictEqual(msOf(Buffer.from(second, 'hex')), 8);
+  assert.ok(second > first);
+});
+
+test('rejects invalid options', () => {
+  assert.throws(() => createGenerator({ clock: 1 }), /clock must be/);
+  assert.throws(() => createGenerator({ random: 'x' }), /random must be/);
+  assert.throws(() => createGenerator({ seqInit: 'one' }), /seqInit/);
+  assert.throws(() => createGenerator({ format: 'b32' }), /format/);
+  assert.throws(() => createGenerator().generate('b32'), /format/);
+});